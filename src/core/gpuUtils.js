@@ -1,3 +1,9 @@
+// Samplers are immutable, so identical descriptors share one sampler per device
+const samplerCache = new WeakMap();
+
+// 32-bit float formats can only be filtered with the 'float32-filterable' feature
+const FLOAT32_FORMATS = ['r32float', 'rg32float', 'rgba32float'];
+
 /**
  * Centralized utility class for common WebGPU operations
  * Eliminates code duplication across managers
@@ -15,38 +21,237 @@ class GPUUtils {
     }
 
     /**
-     * Creates a standard sampler with consistent settings
+     * Expands sampler options into a complete GPUSamplerDescriptor
+     * Accepts `filter` as a shorthand for mag/min filters, `addressMode` for all
+     * three address modes and the older `wrapU`/`wrapV` names
+     * @param {Object} options - Sampler options
+     * @returns {Object} Sampler descriptor with every field set
+     */
+    static normalizeSamplerDescriptor(options = {}) {
+        const addressMode = options.addressMode || 'clamp-to-edge';
+        const descriptor = {
+            magFilter: options.magFilter || options.filter || 'linear',
+            minFilter: options.minFilter || options.filter || 'linear',
+            mipmapFilter: options.mipmapFilter || 'nearest',
+            addressModeU: options.addressModeU || options.wrapU || addressMode,
+            addressModeV: options.addressModeV || options.wrapV || addressMode,
+            addressModeW: options.addressModeW || addressMode,
+            lodMinClamp: options.lodMinClamp ?? 0,
+            lodMaxClamp: options.lodMaxClamp ?? 32,
+            maxAnisotropy: options.maxAnisotropy ?? 1
+        };
+
+        if (options.compare) {
+            descriptor.compare = options.compare;
+        }
+
+        return descriptor;
+    }
+
+    /**
+     * Generates a cache key for sampler options
+     * @param {Object} options - Sampler options
+     * @returns {string} Sampler key
+     */
+    static getSamplerKey(options = {}) {
+        return JSON.stringify(this.normalizeSamplerDescriptor(options));
+    }
+
+    /**
+     * Gets a sampler with consistent settings, deduplicated per device
      * @param {GPUDevice} device - WebGPU device
      * @param {Object} options - Optional sampler configuration
      * @returns {GPUSampler} Configured sampler
      */
     static createStandardSampler(device, options = {}) {
-        return device.createSampler({
-            magFilter: options.magFilter || 'linear',
-            minFilter: options.minFilter || 'linear',
-            wrapU: options.wrapU || 'clamp-to-edge',
-            wrapV: options.wrapV || 'clamp-to-edge',
-            ...options
-        });
+        const descriptor = this.normalizeSamplerDescriptor(options);
+        const key = JSON.stringify(descriptor);
+
+        let cache = samplerCache.get(device);
+        if (!cache) {
+            cache = new Map();
+            samplerCache.set(device, cache);
+        }
+
+        if (!cache.has(key)) {
+            cache.set(key, device.createSampler({ label: `Sampler ${key}`, ...descriptor }));
+        }
+
+        return cache.get(key);
+    }
+
+    /**
+     * Whether a texture format can be sampled with a filtering sampler
+     * @param {string} format - Texture format
+     * @param {GPUDevice} device - Device, checked for the 'float32-filterable' feature
+     * @returns {boolean}
+     */
+    static isFilterableFormat(format, device) {
+        return !FLOAT32_FORMATS.includes(format) || !!device?.features?.has('float32-filterable');
+    }
+
+    /**
+     * Lists the render targets of a pass in @location order
+     * `undefined` stands for the screen, which is only drawn by single-target passes
+     * @param {Object} pass - Pass configuration
+     * @returns {Array<string|undefined>} Output texture keys
+     */
+    static getOutputTextures(pass) {
+        return Array.isArray(pass.outputTexture) ? pass.outputTexture : [pass.outputTexture];
+    }
+
+    /**
+     * Size of a mip level of a texture
+     * @param {GPUTexture} texture - Texture
+     * @param {number} level - Mip level
+     * @returns {{width: number, height: number}}
+     */
+    static getMipSize(texture, level = 0) {
+        return {
+            width: Math.max(1, texture.width >> level),
+            height: Math.max(1, texture.height >> level)
+        };
+    }
+
+    /**
+     * Number of mip levels of a full chain down to 1x1
+     * @param {number} width - Width of level 0
+     * @param {number} height - Height of level 0
+     * @returns {number}
+     */
+    static getFullMipLevelCount(width, height) {
+        return Math.floor(Math.log2(Math.max(width, height, 1))) + 1;
+    }
+
+    /**
+     * Mip level a pass reads from an input texture
+     * `inputMipLevel` is a level for every input or { textureKey: level }. A pass that renders into
+     * a mip level of a texture it also reads defaults to the level above, so a chain of passes
+     * builds a downsampled pyramid
+     * @param {Object} pass - Pass configuration
+     * @param {string} key - Input texture key
+     * @returns {number|undefined} Mip level, or undefined to bind every level
+     */
+    static getInputMipLevel(pass, key) {
+        const level = typeof pass.inputMipLevel === 'object' ? pass.inputMipLevel?.[key] : pass.inputMipLevel;
+        if (level !== undefined) {
+            return level;
+        }
+        if (pass.outputMipLevel > 0 && this.getOutputTextures(pass).includes(key)) {
+            return pass.outputMipLevel - 1;
+        }
+        return undefined;
+    }
+
+    /**
+     * View descriptor for an input texture of a pass
+     * @param {Object} pass - Pass configuration
+     * @param {string} key - Input texture key
+     * @returns {Object|undefined} Descriptor limited to the mip level the pass reads
+     */
+    static getInputViewDescriptor(pass, key) {
+        const level = this.getInputMipLevel(pass, key);
+        return level === undefined ? undefined : { baseMipLevel: level, mipLevelCount: 1 };
+    }
+
+    /**
+     * Whether render targets in these formats can be multisampled
+     * @param {string|string[]} formats - Render target format, or the formats of every target
+     * @returns {boolean} False when a target is a 32-bit float format
+     */
+    static canMultisample(formats) {
+        return ![].concat(formats).some(format => FLOAT32_FORMATS.includes(format));
+    }
+
+    /**
+     * Sample count a fragment pass renders with
+     * `sampleCount` on the pass, then the filter, defaults to 1 since a full-screen triangle has
+     * no edges to anti-alias. Passes writing a format that cannot be multisampled render with 1
+     * @param {Object} filter - Filter configuration
+     * @param {Object} pass - Pass configuration
+     * @param {string|string[]} formats - Formats of the pass's render targets
+     * @returns {number} 1 or 4
+     */
+    static getPassSampleCount(filter, pass, formats) {
+        const requested = pass.sampleCount ?? filter?.sampleCount ?? 1;
+        return requested > 1 && this.canMultisample(formats) ? requested : 1;
     }
 
     /**
      * Generates a consistent bind group layout key
      * @param {Object} filter - Filter configuration
      * @param {Object} pass - Pass configuration
+     * @param {string[]} textureSampleTypes - Sample type of each input texture, 'float' when omitted
      * @returns {string} Hashed layout key
      */
-    static generateBindGroupLayoutKey(filter, pass) {
+    static generateBindGroupLayoutKey(filter, pass, textureSampleTypes = []) {
         const keyComponents = {
             type: filter.type,
             inputTextureCount: pass.inputTexture?.length || 0,
+            textureSampleTypes,
             hasBuffer: !!filter.bufferAttachment?.bindings,
             bufferType: filter.type === 'compute' ? 'storage' : 'uniform',
-            bindingIndex: filter.bufferAttachment?.bindingIndex
+            bindingIndex: filter.bufferAttachment?.bindingIndex,
+            sampler: this.getSamplerKey(pass.sampler),
+            storageBindings: filter.type === 'compute' ?
+                this.getStorageBufferBindings(filter).map(entry => entry.bindingIndex) : undefined
         };
         return this.hashString(JSON.stringify(keyComponents));
     }
 
+    /**
+     * Lists the storage buffers a compute filter binds, in declaration order.
+     * A binding may pin its slot with `bindingIndex`; otherwise slots are
+     * assigned sequentially starting at bufferAttachment.bindingIndex.
+     * @param {Object} filter - Filter configuration
+     * @returns {Array<{key: string, binding: Object, bindingIndex: number}>} Storage bindings
+     */
+    static getStorageBufferBindings(filter) {
+        const bindings = filter.bufferAttachment?.bindings;
+        if (!bindings) {
+            return [];
+        }
+
+        let nextIndex = filter.bufferAttachment.bindingIndex || 3;
+        const result = [];
+
+        for (const [key, binding] of Object.entries(bindings)) {
+            if (binding.usage !== 'write' && binding.usage !== 'read' && binding.usage !== 'readwrite') {
+                continue;
+            }
+
+            const bindingIndex = binding.bindingIndex ?? nextIndex;
+            nextIndex = bindingIndex + 1;
+            result.push({ key, binding, bindingIndex });
+        }
+
+        return result;
+    }
+
+    /**
+     * Lists the buffers a compute pass clears before it dispatches.
+     * `pass.clearBuffers` lists them explicitly; otherwise the filter's
+     * write-only buffers (or bindings flagged `clear: true`) are cleared
+     * once, before the filter's first active pass.
+     * @param {Object} pass - Compute pass configuration
+     * @param {Object} filter - Filter the pass belongs to
+     * @returns {string[]} Binding keys of the buffers to clear
+     */
+    static getComputeClearBuffers(pass, filter) {
+        if (Array.isArray(pass.clearBuffers)) {
+            return pass.clearBuffers;
+        }
+
+        const firstActivePass = filter?.passes?.find(p => p?.active);
+        if (firstActivePass && firstActivePass !== pass) {
+            return [];
+        }
+
+        return this.getStorageBufferBindings(filter || {})
+            .filter(({ binding }) => binding.clear ?? binding.usage === 'write')
+            .map(({ key }) => key);
+    }
+
     /**
      * Generates a detailed pipeline key for caching
      * @param {Object} config - Pipeline configuration
@@ -55,16 +260,21 @@ class GPUUtils {
     static generatePipelineKey(config) {
         const keyComponents = {
             type: config.type,
-            shader: config.shaderURL,
+            shader: config.shaderKey,
             format: config.presentationFormat,
             sampleCount: config.sampleCount,
+            layoutMode: config.layoutMode,
+            samplers: config.samplerKey,
             layoutEntries: config.bindGroupLayout?.map(entry => ({
+                group: entry.group,
                 binding: entry.binding,
                 visibility: entry.visibility,
                 bufferType: entry.buffer?.type,
                 textureFormat: entry.texture?.format,
+                sampleType: entry.texture?.sampleType,
                 samplerType: entry.sampler?.type,
-                viewDimension: entry.texture?.viewDimension
+                viewDimension: entry.texture?.viewDimension,
+                storageTexture: entry.storageTexture
             })),
             vertex: config.type !== 'compute' ? {
                 buffers: [
@@ -123,13 +333,14 @@ class GPUUtils {
         // Add sampler binding (always binding 0)
         entries.push({
             binding: 0,
-            resource: this.createStandardSampler(device)
+            resource: this.createStandardSampler(device, pass.sampler)
         });
 
         // Add texture bindings
         if (pass.inputTexture?.length) {
             pass.inputTexture.forEach((textureName, index) => {
-                const textureView = textureManager.getTexture(textureName)?.createView();
+                const textureView = textureManager.getTexture(textureName)
+                    ?.createView(this.getInputViewDescriptor(pass, textureName));
                 if (!textureView) {
                     throw new Error(`Texture ${textureName} not found`);
                 }
@@ -140,8 +351,25 @@ class GPUUtils {
             });
         }
 
+        // Compute filters bind each of their storage buffers
+        if (filter.type === 'compute' && bufferResource?.buffers) {
+            for (const { key, bindingIndex } of this.getStorageBufferBindings(filter)) {
+                const buffer = bufferResource.buffers[key];
+                if (!buffer) {
+                    throw new Error(`Storage buffer ${key} not found for filter ${filter.label}`);
+                }
+                entries.push({
+                    binding: bindingIndex,
+                    resource: {
+                        buffer,
+                        offset: 0,
+                        size: buffer.size
+                    }
+                });
+            }
+        }
         // Add buffer binding if needed
-        if (filter.bufferAttachment?.bindings && bufferResource?.buffer) {
+        else if (filter.bufferAttachment?.bindings && bufferResource?.buffer) {
             entries.push({
                 binding: filter.bufferAttachment.bindingIndex || 3,
                 resource: {
@@ -164,16 +392,17 @@ class GPUUtils {
         const {
             filter,
             pass,
+            textureSampleTypes = [],
             visibility = filter.type === 'compute' ? GPUShaderStage.COMPUTE : GPUShaderStage.FRAGMENT
         } = options;
 
         const entries = [];
 
-        // Add sampler binding
+        // Add sampler binding, unfilterable textures can only be paired with a non-filtering sampler
         entries.push({
             binding: 0,
             visibility,
-            sampler: { type: 'filtering' }
+            sampler: { type: textureSampleTypes.includes('unfilterable-float') ? 'non-filtering' : 'filtering' }
         });
 
         // Add texture bindings
@@ -182,18 +411,28 @@ class GPUUtils {
                 entries.push({
                     binding: index + 1,
                     visibility,
-                    texture: { sampleType: 'float' }
+                    texture: { sampleType: textureSampleTypes[index] || 'float' }
                 });
             });
         }
 
+        // Compute filters get one storage entry per buffer binding
+        if (filter.type === 'compute') {
+            for (const { bindingIndex } of this.getStorageBufferBindings(filter)) {
+                entries.push({
+                    binding: bindingIndex,
+                    visibility,
+                    buffer: { type: 'storage' }
+                });
+            }
+        }
         // Add buffer binding if needed
-        if (filter.bufferAttachment?.bindings) {
+        else if (filter.bufferAttachment?.bindings) {
             entries.push({
                 binding: filter.bufferAttachment.bindingIndex || 3,
                 visibility,
                 buffer: {
-                    type: filter.type === 'compute' ? 'storage' : 'uniform'
+                    type: 'uniform'
                 }
             });
         }
@@ -274,14 +513,20 @@ class GPUUtils {
      * @param {Array} errors - Array of compilation errors
      * @param {string} code - Shader source code
      * @param {string} label - Shader label
+     * @param {Array} sourceMap - Optional preprocessor map of output line to { file, line }
      * @returns {Object} Formatted error information
      */
-    static formatShaderErrors(errors, code, label) {
+    static formatShaderErrors(errors, code, label, sourceMap = null) {
         const lines = code.split('\n');
-        const formattedErrors = errors.map(error => this.formatShaderMessage(error, lines));
+        const formattedErrors = errors.map(error => this.formatShaderMessage(error, lines, sourceMap));
+
+        const summary = errors.map(error => {
+            const origin = sourceMap?.[error.lineNum - 1];
+            return origin ? `${origin.file}:${origin.line}: ${error.message}` : error.message;
+        });
 
         return {
-            summary: errors.map(e => e.message).join('\n'),
+            summary: summary.join('\n'),
             details: formattedErrors,
             errorCount: errors.length,
             label
@@ -292,12 +537,19 @@ class GPUUtils {
      * Formats a single shader compilation message with context
      * @param {Object} message - Compilation message
      * @param {Array} codeLines - Source code lines
+     * @param {Array} sourceMap - Optional preprocessor map of output line to { file, line }
      * @returns {string} Formatted message
      */
-    static formatShaderMessage(message, codeLines = []) {
+    static formatShaderMessage(message, codeLines = [], sourceMap = null) {
         const { lineNum, linePos, offset, length, message: msg, type } = message;
 
-        let formattedMsg = `[${type.toUpperCase()}] Line ${lineNum}:${linePos} - ${msg}`;
+        // Report the original file and line when the code was preprocessed
+        const origin = sourceMap?.[lineNum - 1];
+        const position = origin ?
+            `${origin.file}:${origin.line}:${linePos}` :
+            `Line ${lineNum}:${linePos}`;
+
+        let formattedMsg = `[${type.toUpperCase()}] ${position} - ${msg}`;
 
         if (codeLines.length > 0 && lineNum > 0 && lineNum <= codeLines.length) {
             const line = codeLines[lineNum - 1];
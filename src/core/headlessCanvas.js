@@ -0,0 +1,74 @@
+/**
+ * Canvas stand-in for headless mode. The 'webgpu' context renders into a
+ * regular texture instead of the page, so the screen pass can be read back
+ * with exportImage() or getCurrentTexture().
+ */
+class HeadlessCanvas {
+    constructor(width = 300, height = 150) {
+        this.width = width;
+        this.height = height;
+        this.id = '';
+        this.style = {};
+        this.context = null;
+    }
+
+    getContext(type) {
+        if (type !== 'webgpu') {
+            return null;
+        }
+        if (!this.context) {
+            this.context = new HeadlessCanvasContext(this);
+        }
+        return this.context;
+    }
+}
+
+class HeadlessCanvasContext {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.configuration = null;
+        this.texture = null;
+    }
+
+    configure(configuration) {
+        this.unconfigure();
+        this.configuration = configuration;
+    }
+
+    unconfigure() {
+        this.texture?.destroy();
+        this.texture = null;
+        this.configuration = null;
+    }
+
+    getConfiguration() {
+        return this.configuration;
+    }
+
+    /**
+     * @returns {GPUTexture} Texture the screen pass renders into, recreated when the canvas is resized
+     */
+    getCurrentTexture() {
+        if (!this.configuration) {
+            throw new Error('Headless canvas context is not configured');
+        }
+
+        const { width, height } = this.canvas;
+
+        if (!this.texture || this.texture.width !== width || this.texture.height !== height) {
+            this.texture?.destroy();
+
+            const { device, format, usage = GPUTextureUsage.RENDER_ATTACHMENT } = this.configuration;
+            this.texture = device.createTexture({
+                label: 'Headless Canvas Texture',
+                size: { width, height, depthOrArrayLayers: 1 },
+                format,
+                usage: usage | GPUTextureUsage.COPY_SRC | GPUTextureUsage.TEXTURE_BINDING
+            });
+        }
+
+        return this.texture;
+    }
+}
+
+export default HeadlessCanvas;
@@ -4,11 +4,19 @@ import TextureManager from '../memory/textureManager.js';
 import BindingManager from '../utils/bindingManager.js';
 import FilterManager from "../utils/FilterManager.js";
 import Histogram from "../utils/histogram.js";
+import ImageExport from "../utils/imageExport.js";
 import CommandQueueManager from "../queue/commandQueueManager.js";
 import SettingsValidator from '../utils/settingsValidator.js';
 import RecoveryManager from "../utils/recoveryManager.js";
 import DebugLogger from "../utils/debugLogger.js";
 import GPUUtils from "./gpuUtils.js";
+import VideoProcessor from "../utils/videoProcessor.js";
+import ExecutionGraph from "../utils/executionGraph.js";
+import HeadlessCanvas from "./headlessCanvas.js";
+import OutputTargetManager from "../utils/outputTargets.js";
+import TiledExport from "../utils/tiledExport.js";
+import RenderQueue from "../queue/renderQueue.js";
+import { getBuildConfig } from '../../build.config.js';
 
 export class WebGpuRenderer {
    constructor(settings) {
@@ -17,7 +25,15 @@ export class WebGpuRenderer {
       this.imageIndex = settings.imageIndex;
       this.imageArray = settings.imageArray;
 
-      this.presentationFormat = settings.presentationFormat || navigator.gpu.getPreferredCanvasFormat(); // Default format
+      // Headless mode runs without a DOM, e.g. in Node with a mock or native WebGPU implementation
+      this.headless = settings.headless || false;
+      this.gpu = settings.gpu || globalThis.navigator?.gpu;
+
+      if (!this.gpu) {
+         throw new Error('WebGPU is not available. Pass settings.gpu where navigator.gpu is missing');
+      }
+
+      this.presentationFormat = settings.presentationFormat || this.gpu.getPreferredCanvasFormat(); // Default format
 
       this.textures = { ...settings.textures };
 
@@ -26,6 +42,9 @@ export class WebGpuRenderer {
 
       this.filters = settings.filters;
 
+      // Virtual WGSL files shaders can #include by name
+      this.shaderFiles = { ...settings.shaderFiles };
+
       // Validate settings before proceeding
       try {
          SettingsValidator.validateSettings(settings);
@@ -42,7 +61,7 @@ export class WebGpuRenderer {
       this.videoProcessor = null; // Will be initialized after device setup
 
 
-      this.canvas = document.createElement('canvas');
+      this.canvas = this.headless ? new HeadlessCanvas() : document.createElement('canvas');
       this.canvas.width = 800;
       this.canvas.height = 800;
       this.canvas.id = 'webgpu-canvas';
@@ -50,6 +69,24 @@ export class WebGpuRenderer {
       this.context = undefined;
 
       this.ratio = 1.0;
+
+      // Previews render at ratio * previewRatio, the full resolution follows refineDelay ms after the last one
+      this.previewRatio = settings.previewRatio ?? 0.25;
+      this.refineDelay = settings.refineDelay ?? 150;
+
+      // Interactive renders still waiting in the queue after this many ms are dropped when a newer one
+      // replaces them and queued again otherwise, unset to never drop them
+      this.renderDeadline = settings.renderDeadline;
+
+      // Queued operations gain a priority level per this many ms of waiting, see RenderQueue
+      this.queueAgingInterval = settings.queueAgingInterval;
+      // Milliseconds the queue waits for an operation aborted by its timeout before starting the next
+      this.queueAbortGracePeriod = settings.queueAbortGracePeriod;
+
+      // Build target settings, SequentialGPU.createApp passes its own. They configure the render queue
+      this.buildConfig = settings.buildConfig ?? getBuildConfig();
+      this.performanceTracker = settings.performanceTracker ?? null;
+
       this.image = {
          width: 0,
          height: 0,
@@ -81,10 +118,15 @@ export class WebGpuRenderer {
                commandQueue: this.commandQueue?.stats
             });
          }, 10000);
+
+         // Don't keep a Node process alive just for stats
+         this.monitoringInterval.unref?.();
       };
 
       // Add disposal event listeners
-      window.addEventListener('beforeunload', this._cleanup.bind(this));
+      if (!this.headless) {
+         window.addEventListener('beforeunload', this._cleanup.bind(this));
+      }
 
    }
 
@@ -130,13 +172,14 @@ export class WebGpuRenderer {
          };
       }
 
-      // Setup multi-sample texture for anti-aliasing
+      // Setup multi-sample texture for anti-aliasing, only allocated once a pass renders with sampleCount 4
       if (!this.textures.textureMASS) {
          this.textures.textureMASS = {
             label: 'textureMASS',
             notes: 'Texture used by colorAttachments in renderPass for Multi Sampling',
             usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.TEXTURE_BINDING,
             sampleCount: 4,
+            lazy: true,
          };
       }
 
@@ -179,6 +222,11 @@ export class WebGpuRenderer {
             this.videoProcessor = null;
          }
 
+         // Reject render operations still waiting in the queue
+         if (this.filterManager) {
+            this.filterManager.dispose();
+         }
+
          // Clear command queue
          if (this.commandQueue) {
             await this.commandQueue.flush();
@@ -210,6 +258,11 @@ export class WebGpuRenderer {
             this.texCordBuffer = null;
          }
 
+         // Release the canvases of output targets, the targets stay registered for reset()
+         if (this.outputTargets) {
+            this.outputTargets.dispose();
+         }
+
          // Clean up context and device
          if (this.context) {
             this.context.unconfigure();
@@ -251,7 +304,9 @@ export class WebGpuRenderer {
          this.isDisposed = true;
 
          // Remove event listeners
-         window.removeEventListener('beforeunload', this._cleanup.bind(this));
+         if (!this.headless) {
+            window.removeEventListener('beforeunload', this._cleanup.bind(this));
+         }
 
       } catch (error) {
          console.error('Error during cleanup:', error);
@@ -338,13 +393,21 @@ export class WebGpuRenderer {
          // Dispose of current resources
          await this.dispose();
 
-         let response = await fetch(this.imageArray[this.imageIndex].filePath);
-         let blob = await response.blob();
-         let url = URL.createObjectURL(blob);
+         const isVideo = this.imageArray[this.imageIndex].type === 'Video';
+
+         if (isVideo) {
+            await this.loadVideoSource(this.imageArray[this.imageIndex].filePath, this.imageArray[this.imageIndex]);
+         } else if (this.imageArray[this.imageIndex].pixels) {
+            this.loadPixelSource(this.imageArray[this.imageIndex].pixels);
+         } else {
+            let response = await fetch(this.imageArray[this.imageIndex].filePath);
+            let blob = await response.blob();
+            let url = URL.createObjectURL(blob);
 
-         await this.loadImageSource(url);
+            await this.loadImageSource(url);
+         }
          await this.setupDevice();
-         await this.createResources();
+         await this.createResources(isVideo);
 
          // Restore saved filter values
          for (const key in savedFilterValues) {
@@ -394,6 +457,42 @@ export class WebGpuRenderer {
       }
    }
 
+   /**
+    * Use raw RGBA pixels as the image source, e.g. decoded image data in headless mode
+    * @param {{width: number, height: number, data: Uint8Array|Uint8ClampedArray}} pixels - ImageData or an object of the same shape
+    * @returns {Object} The pixel source
+    */
+   loadPixelSource(pixels) {
+      const { width, height, data } = pixels || {};
+
+      if (!width || !height || !data || data.length !== width * height * 4) {
+         throw new Error('Pixel source needs width, height and RGBA data of width * height * 4 bytes');
+      }
+
+      this.image = pixels;
+      return pixels;
+   }
+
+   /**
+    * Load a video source (URL or Blob) and create the processor that drives it
+    * @param {string|Blob} source - Video source URL or Blob
+    * @param {Object} options - Playback options { loop, muted, autoplay }
+    * @returns {Promise<HTMLVideoElement>} - Loaded video element
+    */
+   async loadVideoSource(source, options = {}) {
+      if (this.videoProcessor) {
+         this.videoProcessor.dispose();
+      }
+
+      this.videoProcessor = new VideoProcessor(this);
+
+      return this.videoProcessor.initializeVideo(source, {
+         loop: options.loop,
+         muted: options.muted,
+         autoplay: options.autoplay
+      });
+   }
+
    // Resize with proper resource cleanup
    async resize(width, height, resetSize = false) {
       try {
@@ -422,6 +521,9 @@ export class WebGpuRenderer {
          const currentWidth = isVideo ? this.videoProcessor.videoElement.videoWidth : this.image.width;
          const currentHeight = isVideo ? this.videoProcessor.videoElement.videoHeight : this.image.height;
 
+         // The new ratio replaces the one a preview would restore
+         this.filterManager?.cancelPreview();
+
          // Calculate new ratio
          if (!resetSize) {
             this.ratio = 1.0;
@@ -431,31 +533,7 @@ export class WebGpuRenderer {
             this.ratio = Math.min(widthRatio, heightRatio);
          }
 
-         // Store cache state before resizing
-         if (this.pipelineManager) {
-            const pipelineCacheState = this.pipelineManager.pipelineCacheManager.storeCacheState();
-
-            // Release all active textures back to the pool
-            const activeTextureKeys = Array.from(this.textureManager.activeTextures.keys());
-            for (const key of activeTextureKeys) {
-               this.textureManager.releaseTexture(key);
-            }
-
-            // Recreate resources
-            await this.createResources(isVideo);
-
-            // Restore compatible cached items with new dimensions
-            await this.pipelineManager.pipelineCacheManager.restoreCacheState(
-               pipelineCacheState,
-               {
-                  width: this.canvas.width,
-                  height: this.canvas.height
-               }
-            );
-         } else {
-            // If no pipeline manager exists, just create resources
-            await this.createResources(isVideo);
-         }
+         await this.recreateResources(isVideo);
 
          // Restore video state if it was a video
          if (videoState && this.videoProcessor?.videoElement) {
@@ -477,6 +555,39 @@ export class WebGpuRenderer {
    }
 
 
+   /**
+    * Recreate textures and pipelines for the current image and ratio, keeping compatible cached pipelines
+    * @param {boolean} isVideo - Whether the source is a video
+    * @returns {Promise<void>}
+    */
+   async recreateResources(isVideo = false) {
+      // Store cache state before resizing
+      if (this.pipelineManager) {
+         const pipelineCacheState = this.pipelineManager.pipelineCacheManager.storeCacheState();
+
+         // Release all active textures back to the pool
+         const activeTextureKeys = Array.from(this.textureManager.activeTextures.keys());
+         for (const key of activeTextureKeys) {
+            this.textureManager.releaseTexture(key);
+         }
+
+         // Recreate resources
+         await this.createResources(isVideo);
+
+         // Restore compatible cached items with new dimensions
+         await this.pipelineManager.pipelineCacheManager.restoreCacheState(
+            pipelineCacheState,
+            {
+               width: this.canvas.width,
+               height: this.canvas.height
+            }
+         );
+      } else {
+         // If no pipeline manager exists, just create resources
+         await this.createResources(isVideo);
+      }
+   }
+
    /**
     * Create the position buffer and write the data to it
     * The coordinates in the position buffer represent
@@ -531,11 +642,88 @@ export class WebGpuRenderer {
       return Histogram.updateHistogram(this);
    }
 
+   /**
+    * Register a WGSL file that shaders can #include by name
+    * @param {string} name - Include name, e.g. 'common.wgsl'
+    * @param {string} code - WGSL source
+    */
+   registerShaderFile(name, code) {
+      this.shaderFiles[name] = code;
+      this.pipelineManager?.registerShaderFile(name, code);
+   }
+
+   /**
+    * Export a texture at full resolution, independent of the display transform
+    * @param {Object} options - { texture, format: 'png'|'webp'|'jpeg'|'raw', quality, signal }
+    * @returns {Promise<Blob|ImageData|Float32Array>} Rejects with the signal's AbortError when aborted
+    */
+   async exportImage(options = {}) {
+      if (!this.filterManager) {
+         throw new Error('FilterManager not initialized');
+      }
+
+      const exportOperation = async () => {
+         // Export at full resolution, not at the resolution of a preview or of resize()
+         await this.filterManager.finishPreview();
+
+         const { ratio } = this;
+         const rescaled = ratio !== 1;
+         let failed = false;
+
+         try {
+            if (rescaled) {
+               this.ratio = 1;
+               await this.recreateResources();
+            }
+
+            // Passes changed since the last frame would be read stale
+            await this.filterManager.updateFilters(false, options.signal);
+            return await ImageExport.exportImage(this, options);
+         } catch (error) {
+            failed = true;
+            throw error;
+         } finally {
+            if (rescaled) {
+               this.ratio = ratio;
+
+               try {
+                  await this.recreateResources();
+               } catch (error) {
+                  // The caller gets the error that stopped the export, not this one
+                  if (!failed) throw error;
+                  console.error('Failed to restore the display textures after the export:', error);
+               }
+            }
+         }
+      };
+
+      return this.queueOperation(exportOperation, 'normal', {
+         type: 'export',
+         operation: 'exportImage',
+         format: options.format,
+         signal: options.signal
+      });
+   }
+
+   /**
+    * Export the full-resolution image in tiles, for images beyond the GPU texture size limit.
+    * Each tile runs all filters with a border of the filters' `halo` pixels and is stitched into the result
+    * @param {Object} options - { texture, format, quality, tileSize, halo, priority, onProgress, signal },
+    * see TiledExport.exportTiled
+    * @returns {Promise<Blob|ImageData|Float32Array>}
+    */
+   async exportTiled(options = {}) {
+      if (!this.filterManager) {
+         throw new Error('FilterManager not initialized');
+      }
+      return TiledExport.exportTiled(this, options);
+   }
+
    async setupDevice() {
       try {
 
          // Request adapter with more robust features
-         this.adapter = await navigator.gpu.requestAdapter({
+         this.adapter = await this.gpu.requestAdapter({
             powerPreference: 'high-performance',
             forceFallbackAdapter: false
          });
@@ -546,9 +734,8 @@ export class WebGpuRenderer {
 
          // Request device with options that might help persistence
          this.device = await this.adapter.requestDevice({
-            requiredFeatures: [
-               // Any features your app needs
-            ],
+            // Lets rgba32float textures be sampled with linear filtering where supported
+            requiredFeatures: ['float32-filterable'].filter(feature => this.adapter.features?.has(feature)),
             requiredLimits: {
                // Any specific limits your app needs
             }
@@ -718,8 +905,10 @@ export class WebGpuRenderer {
       let originalHeight = isVideo ?
          this.videoProcessor.videoElement.videoHeight : this.image.height;
 
-      // Calculate scaled dimensions
-      let ratio = this.ratio || 1.0;
+      // Calculate scaled dimensions. Images beyond the texture size limit are shown scaled
+      // down, exportTiled processes them at full resolution
+      const maxSize = this.device?.limits?.maxTextureDimension2D || 8192;
+      let ratio = Math.min(this.ratio || 1.0, maxSize / originalWidth, maxSize / originalHeight);
 
       let scaledWidth = Math.floor(originalWidth * ratio);
       let scaledHeight = Math.floor(originalHeight * ratio);
@@ -760,15 +949,15 @@ export class WebGpuRenderer {
             }
          });
 
-         // Create a temporary canvas for scaling
-         const tempCanvas = document.createElement('canvas');
-         tempCanvas.width = scaledWidth;
-         tempCanvas.height = scaledHeight;
-         const tempCtx = tempCanvas.getContext('2d');
-         tempCtx.imageSmoothingQuality = 'high';
-
          // Copy and scale initial frame/image
          if (isVideo) {
+            // Create a temporary canvas for scaling
+            const tempCanvas = document.createElement('canvas');
+            tempCanvas.width = scaledWidth;
+            tempCanvas.height = scaledHeight;
+            const tempCtx = tempCanvas.getContext('2d');
+            tempCtx.imageSmoothingQuality = 'high';
+
             // Draw the video frame onto the temporary canvas with scaling
             tempCtx.drawImage(
                this.videoProcessor.videoElement,
@@ -787,6 +976,12 @@ export class WebGpuRenderer {
                   height: scaledHeight
                }
             );
+         } else if (this.image.data) {
+            // Raw pixels are uploaded without a canvas so they also work headless
+            this.textureManager.writePixelsToTexture(this.image, 'texture', {
+               width: scaledWidth,
+               height: scaledHeight
+            });
          } else {
             // Handle still images
             await this.textureManager.copyImageToTexture(
@@ -808,6 +1003,9 @@ export class WebGpuRenderer {
             filter.resources = await this.pipelineManager.createFilterPipeline(filter);
          }
 
+         // Every texture was recreated, nothing from the last frame can be reused
+         this.filterManager?.markAllDirty();
+
          if (this.debug) {
             const cacheStats = this.pipelineManager.pipelineCacheManager.getCachePerformance();
             console.log('Pipeline Cache Performance:', cacheStats);
@@ -829,9 +1027,15 @@ export class WebGpuRenderer {
          // Validate settings before proceeding with initialization
          SettingsValidator.validateSettings(this);
 
-         if (this.imageArray.length > 0 &&
-            this.imageArray[this.imageIndex]) {
-            let response = await fetch(this.imageArray[this.imageIndex].filePath);
+         const source = this.imageArray.length > 0 ? this.imageArray[this.imageIndex] : null;
+         const isVideo = source?.type === 'Video';
+
+         if (isVideo) {
+            await this.loadVideoSource(source.filePath, source);
+         } else if (source?.pixels) {
+            this.loadPixelSource(source.pixels);
+         } else if (source) {
+            let response = await fetch(source.filePath);
             let blob = await response.blob();
             let url = URL.createObjectURL(blob);
             await this.loadImageSource(url);
@@ -841,18 +1045,26 @@ export class WebGpuRenderer {
          await this.setupDevice();
 
          // Create initial resources
-         if (this.image.width > 0) {
-            await this.createResources();
+         if (isVideo || this.image.width > 0) {
+            await this.createResources(isVideo);
          }
 
          // Initialize recovery manager
          this.recoveryManager = new RecoveryManager(this);
 
-         // Initialize the filter processing manager
-         this.filterManager = new FilterManager(this);
+         // Initialize the filter processing manager with a render queue for the build target
+         this.filterManager = new FilterManager(this, new RenderQueue({
+            buildConfig: this.buildConfig,
+            performanceTracker: this.performanceTracker,
+            agingInterval: this.queueAgingInterval,
+            abortGracePeriod: this.queueAbortGracePeriod
+         }));
+
+         // Draws the processed frame on additional canvases
+         this.outputTargets ??= new OutputTargetManager(this);
 
          // Create test button in debug mode
-         if (this.debug) {
+         if (this.debug && !this.headless) {
             this.recoveryManager.createTestButton();
          }
 
@@ -968,11 +1180,30 @@ export class WebGpuRenderer {
       return this.filterManager.updateFilters(filterUpdateConditions);
    }
 
-   waitForRenderComplete() {
+   /**
+    * Get the order the active passes run in
+    * @returns {Object} { steps, output, skipped, warnings }. Each step lists its
+    * filter, pass label, inputs, output and the steps it depends on. Skipped
+    * passes carry a reason: 'inactive', 'unused' or 'shadowed'
+    * @throws {Error} If the passes form a cycle
+    */
+   getExecutionPlan() {
+      if (!this.filterManager) {
+         throw new Error('FilterManager not initialized');
+      }
+      return ExecutionGraph.describe(this.filterManager.getExecutionPlan());
+   }
+
+   /**
+    * Wait for the next render to finish
+    * @param {number} timeout - Milliseconds to wait at most, default 30000
+    * @returns {Promise<Object>} Completion data, with timedOut: true if no render finished in time
+    */
+   waitForRenderComplete(timeout) {
       if (!this.filterManager) {
          throw new Error('FilterManager not initialized');
       }
-      return this.filterManager.waitForRenderComplete();
+      return this.filterManager.waitForRenderComplete(timeout);
    }
 
    /**
@@ -1051,6 +1282,28 @@ export class WebGpuRenderer {
                [finalKey]: { value }
             });
          }
+
+         // Only this filter and the passes downstream of it need to re-render
+         this.filterManager?.markFilterDirty(path[0]);
+      }
+   }
+
+   /**
+    * Force passes to re-render on the next frame, e.g. after writing to a texture directly
+    * @param {string} filterKey - Optional filter key, every pass is invalidated when omitted
+    * @param {number} passIndex - Optional pass index within the filter
+    */
+   invalidate(filterKey, passIndex) {
+      if (!this.filterManager) {
+         return;
+      }
+
+      if (filterKey === undefined) {
+         this.filterManager.markAllDirty();
+      } else if (passIndex === undefined) {
+         this.filterManager.markFilterDirty(filterKey);
+      } else {
+         this.filterManager.markPassDirty(filterKey, passIndex);
       }
    }
 
@@ -1087,12 +1340,25 @@ export class WebGpuRenderer {
       return this.filterManager.backgroundUpdate(filterUpdateConditions);
    }
 
+   /**
+    * Render the filters and draw the result to a display canvas
+    * @param {Object} drawToCanvas - { canvas, ctx } with a 2D context, { canvas } for GPU presentation or null
+    * @param {Object} transformations - { _layerScale, _x, _y, _rotation, _flipX, _flipY }
+    * @param {Object|boolean} filterUpdateConditions - Optional { histogram: filterLabel }
+    * @param {string} priority - 'high' (default), 'urgent', 'background', or 'preview' to render at
+    * previewRatio right away and at full resolution once calls stop for refineDelay ms
+    * @returns {Promise<{success: boolean, complete: boolean, superseded: boolean, error: string|null}>}
+    * superseded is true when a newer call replaced this one before it ran
+    */
    async updateOutputCanvas(drawToCanvas, transformations, filterUpdateConditions, priority = 'high') {
       if (!this.filterManager) {
          throw new Error('FilterManager not initialized');
       }
 
       // Handle different priorities
+      if (priority === 'preview') {
+         return this.filterManager.previewRender(drawToCanvas, transformations, filterUpdateConditions);
+      }
       if (priority === 'background') {
          return this.filterManager.backgroundUpdate(filterUpdateConditions);
       }
@@ -1105,6 +1371,69 @@ export class WebGpuRenderer {
       return testValue;
    }
 
+   /**
+    * Show a texture of the processed frame on another canvas, e.g. a navigator
+    * thumbnail or one half of a before/after view. Targets are drawn after every
+    * rendered frame without running the filters again
+    * @param {string} id - Target id
+    * @param {Object} options - { canvas, texture, transform, fit, viewport, clip, filter, clearValue },
+    * see OutputTargetManager.addOutputTarget
+    * @returns {string} The target id
+    */
+   addOutputTarget(id, options) {
+      if (!this.outputTargets) {
+         throw new Error('Renderer not initialized');
+      }
+      return this.outputTargets.addOutputTarget(id, options);
+   }
+
+   /**
+    * Change options of an output target, call renderOutputTargets to show the change
+    * @param {string} id - Target id
+    * @param {Object} changes - Options as for addOutputTarget, transform is merged
+    */
+   updateOutputTarget(id, changes) {
+      if (!this.outputTargets) {
+         throw new Error('Renderer not initialized');
+      }
+      this.outputTargets.updateOutputTarget(id, changes);
+   }
+
+   /**
+    * @param {string} id - Target id
+    */
+   removeOutputTarget(id) {
+      this.outputTargets?.removeOutputTarget(id);
+   }
+
+   /**
+    * Redraw the output targets from the last processed frame
+    * @returns {Promise<void>}
+    */
+   async renderOutputTargets() {
+      if (!this.outputTargets) {
+         throw new Error('Renderer not initialized');
+      }
+      return this.outputTargets.render();
+   }
+
+   /**
+    * Map a point of a presented canvas back to image pixel coordinates, e.g. to pick the
+    * pixel under the pointer. Convert CSS pixels to canvas pixels first if the canvas is scaled
+    * @param {number} x - Horizontal position in canvas pixels
+    * @param {number} y - Vertical position in canvas pixels
+    * @param {string} targetId - Output target to map through, defaults to the WebGPU canvas
+    * passed to updateOutputCanvas
+    * @returns {{x: number, y: number, inside: boolean}} Pixel coordinates in the full-resolution
+    * source image, inside is false when the point misses the image
+    */
+   screenToImage(x, y, targetId) {
+      if (!this.outputTargets) {
+         throw new Error('Renderer not initialized');
+      }
+      return this.outputTargets.screenToImage(x, y, targetId);
+   }
+
    // Expose queue management methods
    getRenderQueueStatus() {
       return this.filterManager.renderQueue.getStatus();
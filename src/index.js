@@ -8,7 +8,7 @@ export { default } from './utils/sequentialgpu.js';
 
 // Export additional utilities if needed for advanced usage
 export { WebGpuRenderer } from './core/webGpuRenderer.js';
-export { default as RenderQueue } from './queue/renderQueue.js';
+export { default as RenderQueue, QueueTimeoutError } from './queue/renderQueue.js';
 export { default as SimpleTexturePool } from './memory/simpleTexturePool.js';
 export { default as PipelineCacheManager } from './memory/pipelineCacheManager.js';
 export { default as CommandQueueManager } from './queue/commandQueueManager.js';
@@ -0,0 +1,234 @@
+// Shorthand binding types accepted alongside WGSL type names
+const TYPE_ALIASES = {
+    'int': 'i32',
+    'uint': 'u32',
+    'vec2': 'vec2<f32>',
+    'vec3': 'vec3<f32>',
+    'vec4': 'vec4<f32>',
+    'mat2': 'mat2x2<f32>',
+    'mat3': 'mat3x3<f32>',
+    'mat4': 'mat4x4<f32>'
+};
+
+const SUFFIX_SCALARS = { f: 'f32', i: 'i32', u: 'u32' };
+
+const roundUp = (alignment, value) => Math.ceil(value / alignment) * alignment;
+
+/**
+ * Computes WGSL host-shareable memory layouts and encodes JavaScript values into them.
+ *
+ * Types are WGSL type strings ('f32', 'vec3<f32>', 'vec3f', 'mat4x4<f32>',
+ * 'array<vec4<f32>, 8>') or objects for structs and arrays of structs:
+ *   { struct: { position: 'vec3<f32>', intensity: 'f32' } }
+ *   { array: { struct: { ... } }, length: 4 }
+ *
+ * `bool` is not host-shareable in WGSL; it is stored as a u32 (0 or 1) and should
+ * be declared as u32 in the shader. `atomic<u32>` and `atomic<i32>` are laid out like
+ * their scalar and only allowed in storage buffers. Runtime-sized arrays (`array<T>`)
+ * have no size to allocate, declare them with the length of the data instead.
+ */
+class BufferLayout {
+    /**
+     * Parse a type into a layout descriptor with size and alignment
+     * @param {string|Object} type - WGSL type string or struct/array object
+     * @param {string} addressSpace - 'uniform' or 'storage'
+     * @returns {Object} Descriptor { kind, size, align, ... }
+     */
+    static parseType(type, addressSpace = 'uniform') {
+        if (type && typeof type === 'object') {
+            if (type.struct) {
+                return this.createStruct(type.struct, addressSpace);
+            }
+            if (type.array) {
+                return this.createArray(this.parseType(type.array, addressSpace), type.length, addressSpace);
+            }
+            throw new Error(`Invalid type object ${JSON.stringify(type)}, expected { struct } or { array, length }`);
+        }
+
+        if (typeof type !== 'string') {
+            throw new Error(`Invalid type ${type}`);
+        }
+
+        const name = TYPE_ALIASES[type.trim()] || type.replace(/\s+/g, '');
+
+        if (name === 'f32' || name === 'i32' || name === 'u32' || name === 'bool') {
+            return { kind: 'scalar', scalar: name === 'bool' ? 'u32' : name, bool: name === 'bool', size: 4, align: 4 };
+        }
+
+        const atomic = name.match(/^atomic<(i32|u32)>$/);
+        if (atomic) {
+            if (addressSpace !== 'storage') {
+                throw new Error(`${name} is only allowed in storage buffers`);
+            }
+            return { kind: 'scalar', scalar: atomic[1], size: 4, align: 4 };
+        }
+
+        const vector = name.match(/^vec([234])(?:<(f32|i32|u32)>|([fiu]))$/);
+        if (vector) {
+            const components = Number(vector[1]);
+            return {
+                kind: 'vector',
+                scalar: vector[2] || SUFFIX_SCALARS[vector[3]],
+                components,
+                size: components * 4,
+                align: components === 2 ? 8 : 16
+            };
+        }
+
+        const matrix = name.match(/^mat([234])x([234])(?:<f32>|f)$/);
+        if (matrix) {
+            const columns = Number(matrix[1]);
+            const rows = Number(matrix[2]);
+            const align = rows === 2 ? 8 : 16;
+            const columnStride = roundUp(align, rows * 4);
+            return {
+                kind: 'matrix',
+                scalar: 'f32',
+                columns,
+                rows,
+                columnStride,
+                size: columns * columnStride,
+                align
+            };
+        }
+
+        const array = name.match(/^array<(.+),(\d+)>$/);
+        if (array) {
+            return this.createArray(this.parseType(array[1], addressSpace), Number(array[2]), addressSpace);
+        }
+        if (/^array<[^,]+>$/.test(name)) {
+            throw new Error(`Runtime-sized ${name} is not supported, declare it with the length of the data`);
+        }
+
+        throw new Error(`Unsupported buffer type "${type}"`);
+    }
+
+    /**
+     * @param {Object} element - Element descriptor
+     * @param {number} length - Element count
+     * @param {string} addressSpace - 'uniform' or 'storage'
+     * @returns {Object} Array descriptor
+     */
+    static createArray(element, length, addressSpace) {
+        if (!Number.isInteger(length) || length <= 0) {
+            throw new Error(`Array length must be a positive integer, got ${length}`);
+        }
+
+        let align = element.align;
+        const stride = roundUp(element.align, element.size);
+
+        // Uniform arrays are 16 byte aligned, WGSL rejects element strides that are not
+        if (addressSpace === 'uniform') {
+            if (stride % 16 !== 0) {
+                throw new Error(
+                    `Array elements in uniform buffers need a stride that is a multiple of 16 bytes, got ${stride}. ` +
+                    'Use vec4 elements, e.g. array<vec4<f32>, N> for 4 floats per element'
+                );
+            }
+            align = roundUp(16, align);
+        }
+
+        return { kind: 'array', element, length, stride, size: length * stride, align };
+    }
+
+    /**
+     * Lay out struct members in declaration order
+     * @param {Object} members - { name: type }
+     * @param {string} addressSpace - 'uniform' or 'storage'
+     * @returns {Object} Struct descriptor with member offsets
+     */
+    static createStruct(members, addressSpace) {
+        const fields = [];
+        let offset = 0;
+        let align = 4;
+
+        for (const [name, memberType] of Object.entries(members)) {
+            const layout = this.parseType(memberType, addressSpace);
+            offset = roundUp(layout.align, offset);
+            fields.push({ name, offset, layout });
+            offset += layout.size;
+            align = Math.max(align, layout.align);
+        }
+
+        // Uniform structs are 16 byte aligned
+        if (addressSpace === 'uniform') {
+            align = roundUp(16, align);
+        }
+
+        return { kind: 'struct', fields, size: roundUp(align, offset), align };
+    }
+
+    /**
+     * Encode a value into an ArrayBuffer using the layout
+     * @param {Object} layout - Descriptor from parseType()
+     * @param {*} value - Number, array or object matching the layout
+     * @param {ArrayBuffer} target - Optional buffer to write into
+     * @param {number} offset - Byte offset into target
+     * @returns {ArrayBuffer} The target buffer
+     */
+    static encode(layout, value, target = new ArrayBuffer(layout.size), offset = 0) {
+        switch (layout.kind) {
+            case 'scalar':
+                this._writeScalars(target, offset, layout.scalar, [layout.bool ? (value ? 1 : 0) : value]);
+                break;
+            case 'vector':
+                this._writeScalars(target, offset, layout.scalar, this._toArray(value, layout.components));
+                break;
+            case 'matrix': {
+                // Accept a flat column-major array or an array of columns
+                const values = this._toArray(value, layout.columns * layout.rows);
+                for (let column = 0; column < layout.columns; column++) {
+                    this._writeScalars(
+                        target,
+                        offset + column * layout.columnStride,
+                        'f32',
+                        values.slice(column * layout.rows, (column + 1) * layout.rows)
+                    );
+                }
+                break;
+            }
+            case 'array': {
+                const elements = value === undefined ? [] : value;
+                const count = Math.min(elements.length ?? 0, layout.length);
+
+                for (let i = 0; i < count; i++) {
+                    this.encode(layout.element, elements[i], target, offset + i * layout.stride);
+                }
+                break;
+            }
+            case 'struct':
+                for (const field of layout.fields) {
+                    if (value?.[field.name] !== undefined) {
+                        this.encode(field.layout, value[field.name], target, offset + field.offset);
+                    }
+                }
+                break;
+        }
+
+        return target;
+    }
+
+    /**
+     * @private
+     */
+    static _toArray(value, count) {
+        const values = Array.isArray(value) || ArrayBuffer.isView(value) ?
+            Array.from(value).flat() :
+            [value];
+
+        if (values.length !== count) {
+            throw new Error(`Expected ${count} values but got ${values.length}`);
+        }
+        return values;
+    }
+
+    /**
+     * @private
+     */
+    static _writeScalars(target, offset, scalar, values) {
+        const ArrayType = scalar === 'f32' ? Float32Array : scalar === 'i32' ? Int32Array : Uint32Array;
+        new ArrayType(target, offset, values.length).set(values);
+    }
+}
+
+export default BufferLayout;
@@ -1,3 +1,5 @@
+import BufferLayout from "./bufferLayout.js";
+
 class BufferManager {
     constructor(device) {
         this.device = device;
@@ -79,7 +81,73 @@ class BufferManager {
         }
     }
 
+    /**
+     * Whether a binding uses the original 'uniform' / 'float' packing
+     * Any other type is laid out with WGSL alignment rules
+     * @param {Object} binding - Buffer binding configuration
+     * @returns {boolean}
+     */
+    isLegacyBinding(binding) {
+        return binding.type === 'uniform' || binding.type === 'float';
+    }
+
+    /**
+     * Get the WGSL type of a binding for the structured layout
+     * 'uniform' maps to u32 and 'float' to f32, a vecN<f32> for 2-4 values or an array of
+     * ceil(N / 4) vec4<f32> for more, uniform arrays of f32 are not valid WGSL
+     * @param {Object} binding - Buffer binding configuration
+     * @returns {string|Object} WGSL type
+     */
+    getBindingType(binding) {
+        if (binding.type === 'uniform') {
+            return 'u32';
+        }
+        if (binding.type === 'float') {
+            const length = Array.isArray(binding.value) ? binding.value.length : 1;
+            if (length === 1) return 'f32';
+            return length <= 4 ? `vec${length}<f32>` : `array<vec4<f32>, ${Math.ceil(length / 4)}>`;
+        }
+        return binding.type;
+    }
+
+    /**
+     * Value of a binding in the shape its getBindingType() layout encodes, 'float' arrays of more
+     * than 4 values are split into vec4s and the last one is padded with zeros
+     * @param {Object} binding - Buffer binding configuration
+     * @param {*} value - Binding value
+     * @returns {*}
+     */
+    getBindingValue(binding, value) {
+        if (binding.type !== 'float' || !Array.isArray(value) || value.length <= 4) {
+            return value;
+        }
+
+        const vectors = [];
+        for (let i = 0; i < value.length; i += 4) {
+            const vector = value.slice(i, i + 4);
+            vectors.push([...vector, ...new Array(4 - vector.length).fill(0)]);
+        }
+        return vectors;
+    }
+
     createComputeBuffer(filter, binding) {
+        // WGSL typed storage buffers use the layout engine for size and encoding
+        if (!this.isLegacyBinding(binding)) {
+            const layout = BufferLayout.parseType(binding.type, 'storage');
+            const buffer = this.device.createBuffer({
+                size: Math.max(this.applyOffsetPadding(binding.size || layout.size), 16),
+                usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST,
+                label: `${filter.label} Compute Buffer`
+            });
+
+            binding.bufferOffset = 0;
+            if (binding.value !== undefined) {
+                this.device.queue.writeBuffer(buffer, 0, BufferLayout.encode(layout, binding.value));
+            }
+
+            return buffer;
+        }
+
         // Calculate buffer size based on binding value
         const size = this.calculateBufferSize(binding);
         const paddedSize = this.applyOffsetPadding(size);
@@ -132,7 +200,13 @@ class BufferManager {
                     computeBuffers[key] = this.createComputeBuffer(filter, binding);
 
                     // Create update function based on binding type
-                    if (binding.usage !== 'write') { // Only create update for readable buffers
+                    if (binding.usage !== 'write' && !this.isLegacyBinding(binding)) {
+                        const layout = BufferLayout.parseType(binding.type, 'storage');
+                        updateFuncs[key] = (newValue) => {
+                            this.device.queue.writeBuffer(computeBuffers[key], 0, BufferLayout.encode(layout, newValue));
+                        };
+                    }
+                    else if (binding.usage !== 'write') { // Only create update for readable buffers
                         updateFuncs[key] = (newValue) => {
                             const data = Array.isArray(newValue) ?
                                 new Uint32Array(newValue) :
@@ -150,13 +224,19 @@ class BufferManager {
                 update: (newBindings) => {
                     for (const [key, value] of Object.entries(newBindings)) {
                         if (updateFuncs[key]) {
-                            updateFuncs[key](value);
+                            // updateFilterBuffer passes { value }
+                            updateFuncs[key](value?.value !== undefined ? value.value : value);
                         }
                     }
                 }
             };
         }
 
+        // Any WGSL typed binding switches the whole block to WGSL struct layout
+        if (!Object.values(bindings).every(binding => this.isLegacyBinding(binding))) {
+            return this.createStructuredBuffer(filter, bindings);
+        }
+
         // Regular buffer creation for non-compute shaders
         let uniformsArray = [];
         let uniformsSize = 0;
@@ -227,6 +307,46 @@ class BufferManager {
         }
     }
 
+    /**
+     * Create a uniform buffer laid out as a WGSL struct, one member per binding in declaration order
+     * @param {Object} filter - Filter configuration object
+     * @param {Object} bindings - The filter's buffer bindings
+     * @returns {Object} Created buffer, its struct layout and update method
+     */
+    createStructuredBuffer(filter, bindings) {
+        const members = {};
+        for (const [key, binding] of Object.entries(bindings)) {
+            members[key] = this.getBindingType(binding);
+        }
+
+        let layout;
+        try {
+            layout = BufferLayout.createStruct(members, 'uniform');
+        } catch (error) {
+            throw new Error(`Invalid buffer layout for filter ${filter.label}: ${error.message}`);
+        }
+
+        const values = {};
+        for (const field of layout.fields) {
+            bindings[field.name].bufferOffset = field.offset;
+            values[field.name] = this.getBindingValue(bindings[field.name], bindings[field.name].value);
+        }
+
+        const buffer = this.createTrackedBuffer({
+            size: Math.max(layout.size, 16),
+            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+            label: `${filter.label || 'filter'}-buffer`
+        });
+
+        this.device.queue.writeBuffer(buffer, 0, BufferLayout.encode(layout, values));
+
+        return {
+            buffer,
+            layout,
+            update: (newBindings) => this.updateBufferData(buffer, newBindings, bindings, layout)
+        };
+    }
+
     /**
      * Release a tracked buffer
      * @param {GPUBuffer} buffer - Buffer to release
@@ -279,10 +399,19 @@ class BufferManager {
         this.device.queue.writeBuffer(buffer, offset, new arrayType(arrayData));
     }
 
-    updateBufferData(buffer, newBindings, originalBindings) {
+    updateBufferData(buffer, newBindings, originalBindings, layout = null) {
         try {
             for (const [key, value] of Object.entries(newBindings)) {
-                if (originalBindings[key]) {
+                const field = layout?.fields.find(field => field.name === key);
+
+                if (field) {
+                    // Encode just this member with its own typed layout
+                    this.device.queue.writeBuffer(
+                        buffer,
+                        field.offset,
+                        BufferLayout.encode(field.layout, this.getBindingValue(originalBindings[key], value.value))
+                    );
+                } else if (originalBindings[key]) {
                     const binding = originalBindings[key];
                     this.writeBuffer(
                         buffer,
@@ -44,6 +44,27 @@ class PipelineCacheManager {
         // LRU cache configuration
         this.maxCacheSize = 100;
         this.lruList = new Map();
+
+        // Identity keys for pre-built shader modules, which have no source to hash
+        this.moduleKeys = new WeakMap();
+        this.nextModuleId = 0;
+    }
+
+    /**
+     * Get the cache key for a shader source
+     * WGSL code is keyed on a hash of its content, pre-built modules on their identity
+     * @param {string|GPUShaderModule} shader - WGSL code or a shader module
+     * @returns {string} Shader key
+     */
+    getShaderKey(shader) {
+        if (typeof shader === 'string') {
+            return `code_${this._hashString(shader)}_${shader.length}`;
+        }
+
+        if (!this.moduleKeys.has(shader)) {
+            this.moduleKeys.set(shader, `module_${this.nextModuleId++}`);
+        }
+        return this.moduleKeys.get(shader);
     }
 
     /**
@@ -209,11 +230,12 @@ class PipelineCacheManager {
     * @param {string} code - The shader code
     * @param {Object} options - Additional options
     * @param {string} options.label - Label for shader module
+    * @param {Array} options.sourceMap - Preprocessor line map used to report errors in the original files
     * @returns {Promise<GPUShaderModule>} The shader module
     */
     async getShaderModule(code, options = {}) {
-        const shaderKey = this._hashString(code);
-        const { label = 'Unknown Shader' } = options; // Remove fallbackId parameter
+        const shaderKey = this.getShaderKey(code);
+        const { label = 'Unknown Shader', sourceMap = null } = options; // Remove fallbackId parameter
 
         if (!this.shaderCache.has(shaderKey)) {
             const startTime = performance.now();
@@ -233,12 +255,12 @@ class PipelineCacheManager {
                 // Log warnings but continue
                 if (warnings.length > 0) {
                     console.warn(`Shader warnings in ${label}:`,
-                        warnings.map(w => this._formatShaderMessage(w)).join('\n'));
+                        warnings.map(w => this._formatShaderMessage(w, code.split('\n'), sourceMap)).join('\n'));
                 }
 
                 // If we have errors, throw detailed error with specific error type
                 if (errors.length > 0) {
-                    const errorDetails = this._formatShaderErrors(errors, code, label);
+                    const errorDetails = this._formatShaderErrors(errors, code, label, sourceMap);
                     console.error(`Shader compilation failed for ${label}:`, errorDetails);
 
                     // Create a special error type that can be identified
@@ -248,6 +270,10 @@ class PipelineCacheManager {
                     throw error;
                 }
             } catch (error) {
+                // Keep the detailed compilation error intact
+                if (error.name === 'ShaderCompilationError') {
+                    throw error;
+                }
 
                 const errorInfo = {
                     label: label || shaderURL,
@@ -304,8 +330,8 @@ class PipelineCacheManager {
             label
         };
     }*/
-    _formatShaderErrors(errors, code, label) {
-        return GPUUtils.formatShaderErrors(errors, code, label);
+    _formatShaderErrors(errors, code, label, sourceMap) {
+        return GPUUtils.formatShaderErrors(errors, code, label, sourceMap);
     }
 
     /**
@@ -326,8 +352,8 @@ class PipelineCacheManager {
 
         return formattedMsg;
     }*/
-    _formatShaderMessage(message, codeLines = []) {
-        return GPUUtils.formatShaderMessage(message, codeLines);
+    _formatShaderMessage(message, codeLines = [], sourceMap = null) {
+        return GPUUtils.formatShaderMessage(message, codeLines, sourceMap);
     }
     //////////////
 
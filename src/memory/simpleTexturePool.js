@@ -20,7 +20,7 @@ class SimpleTexturePool {
      */
     getDescriptorHash(descriptor) {
         const key = `${descriptor.format}_${descriptor.size.width}x${descriptor.size.height}` +
-            `_${descriptor.usage}_${descriptor.sampleCount || 1}`;
+            `_${descriptor.usage}_${descriptor.sampleCount || 1}_${descriptor.mipLevelCount || 1}`;
         return key;
     }
 
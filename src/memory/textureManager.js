@@ -1,4 +1,5 @@
 import SimpleTexturePool from "./simpleTexturePool.js";
+import GPUUtils from "../core/gpuUtils.js";
 
 class TextureManager {
     constructor(app) {
@@ -6,24 +7,48 @@ class TextureManager {
         this.presentationFormat = app.presentationFormat;
         this.texturePool = new SimpleTexturePool(this.device);
         this.activeTextures = new Map(); // Currently in-use textures
+        this.descriptors = new Map(); // Descriptor each active texture was created with
+        this.lazyDescriptors = new Map(); // Textures created the first time they are needed
     }
 
-    async copyVideoFrameToTexture(video, textureKey) {
-        const canvas = document.createElement('canvas');
-        canvas.width = video.videoWidth;
-        canvas.height = video.videoHeight;
-
-        return new Promise((resolve) => {
-            video.requestVideoFrameCallback(() => {
-                const ctx = canvas.getContext('2d');
-                ctx.drawImage(video, 0, 0);
-                this.copyImageToTexture(canvas, textureKey, {
-                    width: video.videoWidth,
-                    height: video.videoHeight
-                });
-                resolve();
-            });
-        });
+    /**
+     * Copy the current frame of a video element into a texture
+     * The frame is scaled through a reusable canvas when the texture size differs from the video size
+     * @param {HTMLVideoElement} video - Video element with a decoded frame
+     * @param {string} textureKey - Destination texture key
+     * @param {Object} dimensions - Destination size, defaults to the video size
+     * @returns {Promise<void>}
+     */
+    async copyVideoFrameToTexture(video, textureKey, dimensions = {
+        width: video.videoWidth,
+        height: video.videoHeight
+    }) {
+        const texture = this.getTexture(textureKey);
+        if (!texture) {
+            throw new Error(`Texture ${textureKey} not found for video frame`);
+        }
+
+        let source = video;
+
+        if (dimensions.width !== video.videoWidth || dimensions.height !== video.videoHeight) {
+            if (!this.videoFrameCanvas) {
+                this.videoFrameCanvas = document.createElement('canvas');
+                this.videoFrameContext = this.videoFrameCanvas.getContext('2d');
+            }
+            if (this.videoFrameCanvas.width !== dimensions.width || this.videoFrameCanvas.height !== dimensions.height) {
+                this.videoFrameCanvas.width = dimensions.width;
+                this.videoFrameCanvas.height = dimensions.height;
+                this.videoFrameContext.imageSmoothingQuality = 'high';
+            }
+            this.videoFrameContext.drawImage(video, 0, 0, dimensions.width, dimensions.height);
+            source = this.videoFrameCanvas;
+        }
+
+        this.device.queue.copyExternalImageToTexture(
+            { source, flipY: false },
+            { texture },
+            dimensions
+        );
     }
     /////////////////////// END VIDEO CODE ///////////////////////
 
@@ -36,19 +61,78 @@ class TextureManager {
         // Get texture from pool or create new one
         const texture = this.texturePool.acquire(descriptor);
         this.activeTextures.set(key, texture);
+        this.descriptors.set(key, descriptor);
         return texture;
     }
 
+    /**
+     * Get an internal attachment texture (textureMASS, textureTemp) in the format a pass renders to
+     * Textures in other formats, or for further render targets of the same pass, are created on
+     * demand from the descriptor of `key`. Textures declared `lazy` are created on first use
+     * @param {string} key - Texture key of the attachment
+     * @param {string} format - Format of the pass's output texture
+     * @param {number} slot - Render target index, each target of a pass needs its own attachment
+     * @returns {GPUTexture}
+     */
+    getAttachmentTexture(key, format, slot = 0, size = null) {
+        let base = this.getTexture(key);
+        if (!base && this.lazyDescriptors.has(key)) {
+            base = this.createTexture(key, this.lazyDescriptors.get(key));
+        }
+        if (!base) {
+            return base;
+        }
+
+        const width = size?.width ?? base.width;
+        const height = size?.height ?? base.height;
+        const resized = width !== base.width || height !== base.height;
+
+        if (base.format === format && slot === 0 && !resized) {
+            return base;
+        }
+
+        const variantKey = key +
+            (base.format === format ? '' : `@${format}`) +
+            (resized ? `@${width}x${height}` : '') +
+            (slot === 0 ? '' : `#${slot}`);
+        const variant = this.getTexture(variantKey);
+
+        // Recreate the variant when the base texture was resized
+        if (variant && variant.width === width && variant.height === height) {
+            return variant;
+        }
+
+        return this.createTexture(variantKey, {
+            ...this.descriptors.get(key),
+            label: variantKey,
+            size: { width, height, depthOrArrayLayers: 1 },
+            format
+        });
+    }
+
+    /**
+     * Release the attachment textures created by getAttachmentTexture, e.g. before a resize
+     */
+    releaseAttachmentVariants() {
+        for (const key of [...this.activeTextures.keys()]) {
+            if (/[@#]/.test(key)) {
+                this.releaseTexture(key);
+            }
+        }
+    }
+
     createTextures(settings) {
         try {
+            this.releaseAttachmentVariants();
+
             for (const [key, textureSettings] of Object.entries(settings.textures)) {
+                const size = this.getTextureSize(textureSettings, settings.canvas);
                 const descriptor = {
                     label: textureSettings.label || key,
-                    size: textureSettings.size || {
-                        width: settings.canvas.width,
-                        height: settings.canvas.height,
-                        depthOrArrayLayers: 1
-                    },
+                    size,
+                    mipLevelCount: textureSettings.mipLevelCount === 'auto' ?
+                        GPUUtils.getFullMipLevelCount(size.width, size.height) :
+                        textureSettings.mipLevelCount || 1,
                     format: textureSettings.format || this.presentationFormat,
                     usage: textureSettings.usage || (
                         GPUTextureUsage.TEXTURE_BINDING |
@@ -59,6 +143,13 @@ class TextureManager {
                     sampleCount: textureSettings.sampleCount || 1,
                 };
 
+                // Lazy textures are recreated at the new size when they are next needed
+                if (textureSettings.lazy) {
+                    this.releaseTexture(key);
+                    this.lazyDescriptors.set(key, descriptor);
+                    continue;
+                }
+
                 this.createTexture(key, descriptor);
             }
         } catch (error) {
@@ -67,6 +158,25 @@ class TextureManager {
         }
     }
 
+    /**
+     * Size a texture is created at: its absolute `size`, or the canvas size times `scale`
+     * @param {Object} textureSettings - Texture settings
+     * @param {{width: number, height: number}} canvas - Canvas size
+     * @returns {{width: number, height: number, depthOrArrayLayers: number}}
+     */
+    getTextureSize(textureSettings, canvas) {
+        if (textureSettings.size) {
+            return textureSettings.size;
+        }
+
+        const scale = textureSettings.scale ?? 1;
+        return {
+            width: Math.max(1, Math.floor(canvas.width * scale)),
+            height: Math.max(1, Math.floor(canvas.height * scale)),
+            depthOrArrayLayers: 1
+        };
+    }
+
     copyTextureToTexture(commandEncoder, source, destination, dimensions) {
         const sourceTexture = this.activeTextures.get(source);
         const destTexture = this.activeTextures.get(destination);
@@ -97,6 +207,7 @@ class TextureManager {
         if (texture) {
             this.texturePool.release(texture);
             this.activeTextures.delete(key);
+            this.descriptors.delete(key);
         }
     }
 
@@ -133,6 +244,88 @@ class TextureManager {
         }
     }
 
+    /**
+     * Upload raw RGBA pixels into an 8-bit texture without going through a canvas
+     * @param {{width: number, height: number, data: Uint8Array|Uint8ClampedArray}} pixels - RGBA pixels
+     * @param {string} textureKey - Destination texture key
+     * @param {Object} dimensions - Texture size, pixels of another size are resampled to it
+     */
+    writePixelsToTexture(pixels, textureKey, dimensions = pixels) {
+        const texture = this.getTexture(textureKey);
+        if (!texture) {
+            throw new Error(`Texture ${textureKey} not found for pixel upload`);
+        }
+
+        if (dimensions.width !== pixels.width || dimensions.height !== pixels.height) {
+            pixels = this.resamplePixels(pixels, dimensions.width, dimensions.height);
+        }
+
+        let data = pixels.data;
+
+        if (texture.format.startsWith('bgra')) {
+            // Swizzle RGBA to BGRA
+            data = new Uint8Array(pixels.data);
+            for (let i = 0; i < data.length; i += 4) {
+                const r = data[i];
+                data[i] = data[i + 2];
+                data[i + 2] = r;
+            }
+        } else if (!texture.format.startsWith('rgba8')) {
+            throw new Error(`Pixel sources need an 8-bit texture, ${textureKey} is ${texture.format}`);
+        }
+
+        this.device.queue.writeTexture(
+            { texture },
+            data,
+            { bytesPerRow: pixels.width * 4, rowsPerImage: pixels.height },
+            { width: pixels.width, height: pixels.height, depthOrArrayLayers: 1 }
+        );
+    }
+
+    /**
+     * Scale RGBA pixels to another size. Each destination pixel averages the source pixels it
+     * covers, enlarging repeats the nearest source pixel
+     * @param {{width: number, height: number, data: Uint8Array|Uint8ClampedArray}} pixels - RGBA pixels
+     * @param {number} width - Destination width
+     * @param {number} height - Destination height
+     * @returns {{width: number, height: number, data: Uint8ClampedArray}}
+     */
+    resamplePixels(pixels, width, height) {
+        const { width: sourceWidth, height: sourceHeight, data: source } = pixels;
+        const data = new Uint8ClampedArray(width * height * 4);
+
+        // Source span of every destination column and row, at least one pixel wide
+        const span = (index, sourceSize, size) => {
+            const start = Math.min(Math.floor(index * sourceSize / size), sourceSize - 1);
+            return [start, Math.max(Math.floor((index + 1) * sourceSize / size), start + 1)];
+        };
+        const columns = Array.from({ length: width }, (_, x) => span(x, sourceWidth, width));
+
+        for (let y = 0; y < height; y++) {
+            const [top, bottom] = span(y, sourceHeight, height);
+
+            for (let x = 0; x < width; x++) {
+                const [left, right] = columns[x];
+                const sum = [0, 0, 0, 0];
+
+                for (let sourceY = top; sourceY < bottom; sourceY++) {
+                    for (let sourceX = left; sourceX < right; sourceX++) {
+                        const from = (sourceY * sourceWidth + sourceX) * 4;
+                        sum[0] += source[from];
+                        sum[1] += source[from + 1];
+                        sum[2] += source[from + 2];
+                        sum[3] += source[from + 3];
+                    }
+                }
+
+                const count = (bottom - top) * (right - left);
+                data.set(sum.map(value => Math.round(value / count)), (y * width + x) * 4);
+            }
+        }
+
+        return { width, height, data };
+    }
+
     async destroyTextures() {
         // Release all active textures back to pool
         for (const [key] of this.activeTextures) {
@@ -73,6 +73,16 @@ class CommandQueueManager {
         });
     }
 
+    addBufferClear(params) {
+        this.addCommand(encoder => {
+            encoder.clearBuffer(
+                params.buffer,
+                params.offset || 0,
+                params.size
+            );
+        });
+    }
+
     async flush() {
         try {
             if (!this.isRecording || this.pendingCommands.length === 0) {
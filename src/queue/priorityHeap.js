@@ -0,0 +1,85 @@
+/**
+ * Binary min-heap ordered by a comparison function
+ */
+class PriorityHeap {
+    /**
+     * @param {Function} compare - (a, b) => negative if a comes out first, like Array.prototype.sort
+     */
+    constructor(compare) {
+        this.compare = compare;
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    push(item) {
+        this.items.push(item);
+        this.siftUp(this.items.length - 1);
+    }
+
+    peek() {
+        return this.items[0];
+    }
+
+    pop() {
+        const { items } = this;
+        if (items.length === 0) return undefined;
+
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+            items[0] = last;
+            this.siftDown(0);
+        }
+        return top;
+    }
+
+    /**
+     * Replace the contents, e.g. to drop entries that were removed elsewhere
+     * @param {Array} items - New contents in any order
+     */
+    rebuild(items) {
+        this.items = items;
+        for (let index = (items.length >> 1) - 1; index >= 0; index--) {
+            this.siftDown(index);
+        }
+    }
+
+    clear() {
+        this.items = [];
+    }
+
+    siftUp(index) {
+        const { items } = this;
+        const item = items[index];
+
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (this.compare(item, items[parent]) >= 0) break;
+            items[index] = items[parent];
+            index = parent;
+        }
+        items[index] = item;
+    }
+
+    siftDown(index) {
+        const { items } = this;
+        const item = items[index];
+        const half = items.length >> 1;
+
+        while (index < half) {
+            let child = 2 * index + 1;
+            if (child + 1 < items.length && this.compare(items[child + 1], items[child]) < 0) {
+                child++;
+            }
+            if (this.compare(items[child], item) >= 0) break;
+            items[index] = items[child];
+            index = child;
+        }
+        items[index] = item;
+    }
+}
+
+export default PriorityHeap;
@@ -1,35 +1,105 @@
+import { getBuildConfig } from '../../build.config.js';
+import PriorityHeap from './priorityHeap.js';
+
+// Error an aborted operation rejects with: the signal's reason, which AbortController
+// makes a DOMException named 'AbortError' unless abort() was given one
+function abortError(signal) {
+    return signal.reason ?? new DOMException('Operation aborted', 'AbortError');
+}
+
+/**
+ * Rejection of an operation that missed its deadline or ran past its timeout
+ */
+export class QueueTimeoutError extends Error {
+    /**
+     * @param {string} reason - 'deadline' if it never started, 'timeout' if it ran too long
+     * @param {number} limit - The deadline or timeout in milliseconds
+     * @param {Object} metadata - Metadata the operation was queued with
+     */
+    constructor(reason, limit, metadata) {
+        const label = metadata?.operation ? `Operation ${metadata.operation}` : 'Operation';
+        super(`${label} did not ${reason === 'deadline' ? 'start' : 'finish'} within ${limit}ms`);
+        this.name = 'TimeoutError';
+        this.reason = reason;
+        this.limit = limit;
+        this.metadata = metadata;
+    }
+}
+
 class RenderQueue {
-    constructor() {
+    /**
+     * @param {Object} options - Queue options
+     * @param {Object} options.buildConfig - Build configuration, defaults to getBuildConfig(). Its
+     * queueOptimizations set the wrapper pool, the fast path, the debounce delay and detailed statistics
+     * @param {Object} options.performanceTracker - Receives queue timings when the build tracks performance.
+     * The queue does not own it and leaves it running on dispose()
+     * @param {number} options.agingInterval - Milliseconds after which a waiting operation counts one
+     * priority level higher, so low priority work cannot starve behind a steady stream of high priority
+     * operations. Default 1000, 0 schedules by priority alone
+     * @param {number} options.abortGracePeriod - Milliseconds the queue waits for an operation aborted by its
+     * timeout to settle before it starts the next one. Default 1000
+     */
+    constructor(options = {}) {
+        this.config = options.buildConfig ?? getBuildConfig();
+        const optimizations = this.config.queueOptimizations;
+
+        this.performanceTracker = this.config.enablePerformanceTracking ? options.performanceTracker ?? null : null;
+        this.fastPathExecution = optimizations.fastPathExecution;
+        this.detailedStats = optimizations.enableDetailedStats;
+
         this.pendingOperations = new Map();
+
+        // Scheduling order of the pending operations. Operations removed from pendingOperations
+        // (cancelled, superseded, aborted, expired) leave their entry behind until it is popped
+        this.agingInterval = options.agingInterval ?? 1000;
+        if (!(Number.isFinite(this.agingInterval) && this.agingInterval >= 0)) {
+            throw new Error(
+                `Invalid agingInterval '${this.agingInterval}'. Use milliseconds per priority level, 0 to turn aging off`
+            );
+        }
+        this.heap = new PriorityHeap((a, b) => this.compareEntries(a, b));
+
+        this.abortGracePeriod = options.abortGracePeriod ?? 1000;
+        if (!(Number.isFinite(this.abortGracePeriod) && this.abortGracePeriod >= 0)) {
+            throw new Error(`Invalid abortGracePeriod '${this.abortGracePeriod}'. Use milliseconds`);
+        }
+
         this.isProcessing = false;
         this.currentOperation = null;
         this.stats = {
             completed: 0,
             failed: 0,
-            queued: 0
+            queued: 0,
+            superseded: 0,
+            timedOut: 0
         };
 
         this.processTimeout = null;
-        this.debounceDelay = 0; // Immediate processing for performance
+        this.debounceDelay = optimizations.debounceDelay; // 0 processes immediately
         this.autoProcess = true;
 
         // Optimized tracking - simplified
         this.maxDepth = 0;
         this.renderFrameStats = {
-            totalCalls: 0
+            totalCalls: 0,
+            callsPerSecond: 0,
+            lastResetTime: performance.now()
         };
+        this.callsSinceReset = 0;
 
-        // Lightweight performance stats (without expensive per-operation timing)
+        // Lightweight performance stats, every operation is timed only with detailed stats
         this.performanceStats = {
             totalOperations: 0,
             averageExecutionTime: 0, // Will be estimated
             lastOperationTime: 0,
-            fastPathHits: 0
+            fastPathHits: 0,
+            maxExecutionTime: 0,
+            minExecutionTime: Infinity
         };
 
         // Object pool to reduce memory allocation overhead
         this.wrapperPool = [];
-        this.poolSize = 10;
+        this.poolSize = optimizations.useObjectPooling ? optimizations.maxPoolSize : 0;
         this.idCounter = 0; // Faster than timestamp + random
 
         // Pre-populate object pool
@@ -37,8 +107,6 @@ class RenderQueue {
             this.wrapperPool.push(this.createWrapperObject());
         }
 
-        // Fast path flags
-        this.hasHighPriorityOps = false;
         this.lastProcessTime = 0;
     }
 
@@ -52,17 +120,33 @@ class RenderQueue {
             resolve: null,
             reject: null,
             settled: false,
-            timeoutId: null
+            timeoutId: null,
+            signal: null,
+            onAbort: null,
+            perfContext: null
         };
     }
 
     // Optimized queue method with object pooling and fast path
     queue(operation, priority = 'normal', metadata = {}) {
         this.renderFrameStats.totalCalls++;
+        if (this.detailedStats) {
+            this.callsSinceReset++;
+            this.calculateRenderFrameRate();
+        }
 
-        // Fast path: if not processing and queue is empty, execute immediately
-        if (!this.isProcessing && this.pendingOperations.size === 0 && priority === 'normal') {
-            return this.executeImmediate(operation);
+        const signal = metadata?.signal;
+        if (signal?.aborted) {
+            return Promise.reject(abortError(signal));
+        }
+
+        const perfContext = this.performanceTracker?.startQueueOperation(this.idCounter + 1, priority) ?? null;
+
+        // Fast path: if not processing and queue is empty, execute immediately.
+        // Operations with a timeout go through process(), which watches it
+        if (this.fastPathExecution && !this.isProcessing && this.pendingOperations.size === 0 &&
+            priority === 'normal' && !metadata?.timeout) {
+            return this.executeImmediate(operation, perfContext, metadata);
         }
 
         // Get wrapper from pool or create new one
@@ -70,10 +154,17 @@ class RenderQueue {
         
         // Fast ID generation
         wrapper.id = ++this.idCounter;
+
+        // Latest wins: a pending operation with the same key would only redo outdated work
+        if (metadata?.coalesceKey !== undefined) {
+            this.supersedePending(metadata.coalesceKey, wrapper.id);
+        }
+
         wrapper.operation = operation;
         wrapper.priority = priority;
         wrapper.metadata = metadata;
         wrapper.settled = false;
+        wrapper.perfContext = perfContext;
 
         // Simplified promise without timeout overhead for normal operations
         const promise = new Promise((resolve, reject) => {
@@ -81,18 +172,38 @@ class RenderQueue {
             wrapper.reject = reject;
         });
 
+        // Aborting a waiting operation takes it out of the queue right away
+        if (signal) {
+            wrapper.signal = signal;
+            wrapper.onAbort = () => this.abortPending(wrapper.id);
+            signal.addEventListener('abort', wrapper.onAbort, { once: true });
+        }
+
+        // Drop the operation if it is still waiting once its deadline passes
+        if (metadata?.deadline !== undefined) {
+            wrapper.timeoutId = setTimeout(() => this.expirePending(wrapper.id), metadata.deadline);
+        }
+
         this.pendingOperations.set(wrapper.id, wrapper);
         this.stats.queued++;
 
-        // Track priority for processing optimization
-        if (priority === 'high' || priority === 'urgent') {
-            this.hasHighPriorityOps = true;
+        this.heap.push({
+            id: wrapper.id,
+            wrapper,
+            priority: this.getPriorityValue(priority),
+            queuedAt: performance.now()
+        });
+
+        // Drop entries left behind by removed operations before they pile up
+        if (this.heap.size > 2 * this.pendingOperations.size + 32) {
+            this.heap.rebuild(this.heap.items.filter(entry => this.isPendingEntry(entry)));
         }
 
         // Update max depth efficiently
         if (this.pendingOperations.size > this.maxDepth) {
             this.maxDepth = this.pendingOperations.size;
         }
+        this.performanceTracker?.recordQueueDepth(this.pendingOperations.size);
 
         if (this.autoProcess) {
             this.scheduleProcess();
@@ -101,20 +212,84 @@ class RenderQueue {
         return promise;
     }
 
+    /**
+     * Drop the pending operations queued with a coalesce key, resolving them with a superseded result.
+     * The operation currently running is not pending and finishes normally
+     * @param {string} coalesceKey - Key from the operations' metadata
+     * @param {number} supersededBy - Id of the operation replacing them
+     * @returns {number} Number of operations dropped
+     */
+    supersedePending(coalesceKey, supersededBy) {
+        let superseded = 0;
+
+        for (const [id, wrapper] of this.pendingOperations.entries()) {
+            if (wrapper.metadata?.coalesceKey !== coalesceKey) continue;
+
+            this.pendingOperations.delete(id);
+            this.stats.queued = Math.max(0, this.stats.queued - 1);
+            this.stats.superseded++;
+
+            if (wrapper.resolve && !wrapper.settled) {
+                wrapper.settled = true;
+                wrapper.resolve({ superseded: true, supersededBy });
+            }
+            this.returnWrapperToPool(wrapper);
+            superseded++;
+        }
+
+        return superseded;
+    }
+
+    /**
+     * @param {string} coalesceKey - Key from the operations' metadata
+     * @returns {boolean} True if an operation queued with this key is waiting to run
+     */
+    hasPending(coalesceKey) {
+        for (const wrapper of this.pendingOperations.values()) {
+            if (wrapper.metadata?.coalesceKey === coalesceKey) return true;
+        }
+        return false;
+    }
+
+    /**
+     * @param {*} result - Value an operation's promise resolved with
+     * @returns {boolean} True if the operation was replaced by a newer one and never ran
+     */
+    static isSuperseded(result) {
+        return result?.superseded === true;
+    }
+
     // Fast path execution for single operations
-    async executeImmediate(operation) {
+    async executeImmediate(operation, perfContext = null, metadata = null) {
         this.isProcessing = true;
+        this.currentOperation = { id: ++this.idCounter, metadata };
+        const startTime = this.detailedStats ? performance.now() : 0;
+        const { signal, release } = this.createOperationSignal(metadata?.signal);
+
         try {
-            const result = await operation();
+            const result = await operation(signal);
             this.stats.completed++;
             this.performanceStats.totalOperations++;
             this.performanceStats.fastPathHits++;
+            if (startTime > 0) {
+                this.updatePerformanceStats(performance.now() - startTime);
+            }
+            this.performanceTracker?.recordFastPath();
+            this.endTracking(perfContext, true);
             return result;
         } catch (error) {
             this.stats.failed++;
+            this.endTracking(perfContext, false);
             throw error;
         } finally {
+            release();
             this.isProcessing = false;
+            this.currentOperation = null;
+
+            // Operations queued meanwhile found the queue busy and were not scheduled
+            if (this.autoProcess && this.pendingOperations.size > 0) {
+                this.scheduleProcess();
+            }
         }
     }
 
@@ -122,9 +297,7 @@ class RenderQueue {
         // Immediate processing if no debounce delay
         if (this.debounceDelay === 0) {
             if (!this.isProcessing && this.pendingOperations.size > 0) {
-                this.process().catch(error => {
-                    console.error('Auto-process error:', error);
-                });
+                this.process().catch(error => this.logError('Auto-process error:', error));
             }
             return;
         }
@@ -137,37 +310,48 @@ class RenderQueue {
         this.processTimeout = setTimeout(() => {
             this.processTimeout = null;
             if (!this.isProcessing && this.pendingOperations.size > 0) {
-                this.process().catch(error => {
-                    console.error('Auto-process error:', error);
-                });
+                this.process().catch(error => this.logError('Auto-process error:', error));
             }
         }, this.debounceDelay);
     }
 
-    getRenderFrameStats() {
-        return { ...this.renderFrameStats };
+    // Errors nobody awaits are only logged by builds with debug logging
+    logError(message, error) {
+        if (this.config.enableDebugLogging) {
+            console.error(message, error);
+        }
     }
-    
+
+    endTracking(perfContext, success) {
+        if (perfContext) {
+            this.performanceTracker.endQueueOperation(perfContext, success);
+        }
+    }
+
     // Add error recovery method
     handleProcessError(error) {
-        console.error('Critical render queue error:', error);
+        this.logError('Critical render queue error:', error);
 
         // Count pending operations before clearing
         const pendingCount = this.pendingOperations.size;
 
         // Reject all pending operations
         for (const [id, operation] of this.pendingOperations.entries()) {
-            if (operation.reject) {
+            if (operation.reject && !operation.settled) {
+                operation.settled = true;
                 operation.reject(new Error('Queue processing failed: ' + error.message));
             }
+            this.returnWrapperToPool(operation);
         }
 
         // Clear the queue
         this.pendingOperations.clear();
+        this.heap.clear();
         this.stats.queued = 0;
         this.stats.failed += pendingCount; // Use saved count, not .size after clearing
 
         // Reset processing state
+        this.currentOperation = null;
         this.isProcessing = false;
     }
 
@@ -178,44 +362,48 @@ class RenderQueue {
         try {
             // Optimized processing loop
             while (this.pendingOperations.size > 0) {
-                let operationToExecute;
-
-                // Fast path: single operation or no priority sorting needed
-                if (this.pendingOperations.size === 1 || !this.hasHighPriorityOps) {
-                    // Take first operation without sorting overhead
-                    const [id, wrapper] = this.pendingOperations.entries().next().value;
-                    operationToExecute = { id, wrapper };
-                } else {
-                    // Optimized sorting: only when multiple operations with different priorities
-                    const operations = Array.from(this.pendingOperations.entries());
-                    operations.sort(([idA, opA], [idB, opB]) => {
-                        const priorityDiff = this.getPriorityValue(opB.priority) - this.getPriorityValue(opA.priority);
-                        return priorityDiff;
-                    });
-                    operationToExecute = { id: operations[0][0], wrapper: operations[0][1] };
-                }
+                const entry = this.nextPendingEntry();
+                if (!entry) break;
 
-                const { id, wrapper } = operationToExecute;
-                const { operation, resolve, reject } = wrapper;
+                const { id, wrapper } = entry;
+                const { operation, resolve, reject, signal } = wrapper;
 
-                // Remove from queue
+                // Remove from queue, from here on the operation itself watches the signal
                 this.pendingOperations.delete(id);
+                this.detachSignal(wrapper);
+                this.clearTimer(wrapper);
                 this.stats.queued--;
                 this.currentOperation = { id, metadata: wrapper.metadata };
 
+                const operationSignal = this.createOperationSignal(signal);
+                const timeout = wrapper.metadata?.timeout;
+                let timeoutError = null;
+                let running;
+
                 try {
-                    // Execute operation with lightweight timing
-                    const startTime = this.performanceStats.totalOperations % 10 === 0 ? performance.now() : 0;
-                    const result = await operation();
+                    // Execute operation with lightweight timing, every 10th unless stats are detailed
+                    const startTime = this.detailedStats || this.performanceStats.totalOperations % 10 === 0 ?
+                        performance.now() : 0;
+                    running = operation(operationSignal.signal);
+
+                    // Past its timeout the operation is aborted and the caller rejected right away,
+                    // the next operation waits for the abort to settle, see waitForAborted
+                    const result = timeout === undefined ? await running : await Promise.race([
+                        running,
+                        new Promise((_, expire) => {
+                            wrapper.timeoutId = setTimeout(() => {
+                                timeoutError = new QueueTimeoutError('timeout', timeout, wrapper.metadata);
+                                operationSignal.abort(timeoutError);
+                                expire(timeoutError);
+                            }, timeout);
+                        })
+                    ]);
                     if (startTime > 0) {
-                        this.performanceStats.lastOperationTime = performance.now() - startTime;
-                        // Update average (simple moving average)
-                        this.performanceStats.averageExecutionTime = 
-                            (this.performanceStats.averageExecutionTime * 0.9) + 
-                            (this.performanceStats.lastOperationTime * 0.1);
+                        this.updatePerformanceStats(performance.now() - startTime);
                     }
                     this.stats.completed++;
                     this.performanceStats.totalOperations++;
+                    this.endTracking(wrapper.perfContext, true);
                     
                     // Resolve and return wrapper to pool
                     if (resolve && !wrapper.settled) {
@@ -223,11 +411,21 @@ class RenderQueue {
                         resolve(result);
                     }
                 } catch (error) {
-                    this.stats.failed++;
+                    if (error === timeoutError) {
+                        this.stats.timedOut++;
+                    } else {
+                        this.stats.failed++;
+                    }
+                    this.endTracking(wrapper.perfContext, false);
                     if (reject && !wrapper.settled) {
                         wrapper.settled = true;
                         reject(error);
                     }
+                    if (error === timeoutError) {
+                        await this.waitForAborted(running);
+                    }
+                } finally {
+                    operationSignal.release();
                 }
 
                 // Return wrapper to pool for reuse
@@ -235,9 +433,6 @@ class RenderQueue {
                 this.currentOperation = null;
             }
 
-            // Reset priority flag when queue is empty
-            this.hasHighPriorityOps = false;
-
         } catch (criticalError) {
             this.handleProcessError(criticalError);
             throw criticalError;
@@ -246,8 +441,161 @@ class RenderQueue {
         }
     }
 
+    /**
+     * Wait for an operation aborted by its timeout to settle, so the next one does not run beside it
+     * on the shared GPU state. Work that ignores the abort is waited for abortGracePeriod ms at most
+     * @private
+     */
+    async waitForAborted(running) {
+        let graceTimer;
+        await Promise.race([
+            Promise.resolve(running).catch(() => {}),
+            new Promise(resolve => {
+                graceTimer = setTimeout(resolve, this.abortGracePeriod);
+            })
+        ]);
+        clearTimeout(graceTimer);
+    }
+
+    updatePerformanceStats(duration) {
+        this.performanceStats.lastOperationTime = duration;
+        // Update average (simple moving average)
+        this.performanceStats.averageExecutionTime =
+            (this.performanceStats.averageExecutionTime * 0.9) + (duration * 0.1);
+
+        if (this.detailedStats) {
+            this.performanceStats.maxExecutionTime = Math.max(this.performanceStats.maxExecutionTime, duration);
+            this.performanceStats.minExecutionTime = Math.min(this.performanceStats.minExecutionTime, duration);
+        }
+    }
+
+    // Calls per second over the last full second, measured when the queue is used or read
+    calculateRenderFrameRate() {
+        const now = performance.now();
+        const elapsed = now - this.renderFrameStats.lastResetTime;
+
+        if (elapsed >= 1000) {
+            this.renderFrameStats.callsPerSecond = (this.callsSinceReset * 1000) / elapsed;
+            this.callsSinceReset = 0;
+            this.renderFrameStats.lastResetTime = now;
+        }
+    }
+
+    /**
+     * Heap order: higher priority first, raised by one level per agingInterval of waiting.
+     * Aging is linear, so the order of two waiting operations never changes and the heap stays
+     * valid over time: a leads b by its priority difference minus b's extra waiting time in levels.
+     * Ties run in the order they were queued
+     * @private
+     */
+    compareEntries(a, b) {
+        const lead = this.agingInterval > 0 ?
+            (a.priority - b.priority) * this.agingInterval + (b.queuedAt - a.queuedAt) :
+            a.priority - b.priority;
+
+        return lead !== 0 ? -lead : a.id - b.id;
+    }
+
+    /**
+     * @private
+     */
+    isPendingEntry(entry) {
+        return this.pendingOperations.get(entry.id) === entry.wrapper;
+    }
+
+    /**
+     * Take the next operation to run off the heap, skipping entries of removed operations
+     * @private
+     */
+    nextPendingEntry() {
+        while (this.heap.size > 0) {
+            const entry = this.heap.pop();
+            if (this.isPendingEntry(entry)) return entry;
+        }
+        return null;
+    }
+
+    /**
+     * Remove a waiting operation whose signal was aborted and reject it with the abort reason
+     * @param {number} id - Operation id
+     */
+    abortPending(id) {
+        const wrapper = this.pendingOperations.get(id);
+        if (!wrapper) return;
+
+        this.pendingOperations.delete(id);
+        this.stats.queued = Math.max(0, this.stats.queued - 1);
+
+        if (wrapper.reject && !wrapper.settled) {
+            wrapper.settled = true;
+            wrapper.reject(abortError(wrapper.signal));
+        }
+        this.returnWrapperToPool(wrapper);
+    }
+
+    /**
+     * Reject a waiting operation whose deadline passed before it started
+     * @param {number} id - Operation id
+     */
+    expirePending(id) {
+        const wrapper = this.pendingOperations.get(id);
+        if (!wrapper) return;
+
+        this.pendingOperations.delete(id);
+        this.stats.queued = Math.max(0, this.stats.queued - 1);
+        this.stats.timedOut++;
+
+        if (wrapper.reject && !wrapper.settled) {
+            wrapper.settled = true;
+            wrapper.reject(new QueueTimeoutError('deadline', wrapper.metadata.deadline, wrapper.metadata));
+        }
+        this.returnWrapperToPool(wrapper);
+    }
+
+    clearTimer(wrapper) {
+        if (wrapper.timeoutId) {
+            clearTimeout(wrapper.timeoutId);
+            wrapper.timeoutId = null;
+        }
+    }
+
+    /**
+     * Signal a running operation receives: it aborts with the caller's signal, or when the queue
+     * gives up on the operation
+     * @param {AbortSignal} callerSignal - metadata.signal of the operation, if any
+     * @returns {{signal: AbortSignal, abort: Function, release: Function}} abort(reason) aborts the
+     * operation, release() stops following the caller's signal once the operation settled
+     */
+    createOperationSignal(callerSignal) {
+        const controller = new AbortController();
+        const follow = () => controller.abort(callerSignal.reason);
+
+        if (callerSignal?.aborted) {
+            follow();
+        } else {
+            callerSignal?.addEventListener('abort', follow, { once: true });
+        }
+
+        return {
+            signal: controller.signal,
+            abort: reason => controller.abort(reason),
+            release: () => callerSignal?.removeEventListener('abort', follow)
+        };
+    }
+
+    detachSignal(wrapper) {
+        if (wrapper.signal) {
+            wrapper.signal.removeEventListener('abort', wrapper.onAbort);
+            wrapper.signal = null;
+            wrapper.onAbort = null;
+        }
+    }
+
     // Return wrapper object to pool for reuse
     returnWrapperToPool(wrapper) {
+        this.detachSignal(wrapper);
+        this.clearTimer(wrapper);
+
         // Reset wrapper properties
         wrapper.id = null;
         wrapper.operation = null;
@@ -257,6 +605,7 @@ class RenderQueue {
         wrapper.reject = null;
         wrapper.settled = false;
         wrapper.timeoutId = null;
+        wrapper.perfContext = null;
 
         // Only keep pool at reasonable size
         if (this.wrapperPool.length < this.poolSize) {
@@ -269,24 +618,34 @@ class RenderQueue {
         this.stats = {
             completed: 0,
             failed: 0,
-            queued: this.pendingOperations.size
+            queued: this.pendingOperations.size,
+            superseded: 0,
+            timedOut: 0
         };
         this.performanceStats = {
             totalOperations: 0,
             averageExecutionTime: 0,
             lastOperationTime: 0,
-            fastPathHits: 0
+            fastPathHits: 0,
+            maxExecutionTime: 0,
+            minExecutionTime: Infinity
         };
     }
 
-    // Simplified status
+    // Simplified status, builds with detailed stats add the performance stats
     getStatus() {
-        return {
+        const status = {
             isProcessing: this.isProcessing,
             pendingCount: this.pendingOperations.size,
             currentOperation: this.currentOperation,
             stats: { ...this.stats }
         };
+
+        if (this.detailedStats) {
+            status.performanceStats = { ...this.performanceStats };
+        }
+
+        return status;
     }
 
     getPriorityValue(priority) {
@@ -297,7 +656,7 @@ class RenderQueue {
             'low': 1,
             'background': 0
         };
-        return priorities[priority] || 2;
+        return priorities[priority] ?? 2;
     }
 
     generateId() {
@@ -305,7 +664,18 @@ class RenderQueue {
     }
 
     cancel(id) {
-        return this.pendingOperations.delete(id);
+        const wrapper = this.pendingOperations.get(id);
+        if (!wrapper) return false;
+
+        if (wrapper.reject && !wrapper.settled) {
+            wrapper.settled = true;
+            wrapper.reject(new Error('Operation cancelled'));
+        }
+        this.pendingOperations.delete(id);
+        this.returnWrapperToPool(wrapper);
+        this.stats.queued = Math.max(0, this.stats.queued - 1);
+
+        return true;
     }
 
     // Simplified clear method
@@ -330,28 +700,33 @@ class RenderQueue {
         }
 
         this.pendingOperations.clear();
+        this.heap.clear();
         this.stats.queued = 0;
         this.currentOperation = null;
-        this.hasHighPriorityOps = false;
     }
 
     getRenderFrameStats() {
+        if (this.detailedStats) {
+            this.calculateRenderFrameRate();
+        }
         return { ...this.renderFrameStats };
     }
 
-    // Lightweight performance stats without expensive per-operation timing
+    // Lightweight performance stats, the extremes are only measured with detailed stats
     getPerformanceStats() {
+        const { performanceStats } = this;
+
         return {
-            totalOperations: this.performanceStats.totalOperations,
-            averageExecutionTime: this.performanceStats.averageExecutionTime,
-            lastOperationTime: this.performanceStats.lastOperationTime,
-            fastPathHits: this.performanceStats.fastPathHits,
-            fastPathRatio: this.performanceStats.totalOperations > 0 ? 
-                (this.performanceStats.fastPathHits / this.performanceStats.totalOperations) : 0,
-            // Legacy compatibility fields
-            maxExecutionTime: this.performanceStats.lastOperationTime,
-            minExecutionTime: this.performanceStats.lastOperationTime,
-            currentExecutionTime: this.performanceStats.lastOperationTime
+            totalOperations: performanceStats.totalOperations,
+            averageExecutionTime: performanceStats.averageExecutionTime,
+            lastOperationTime: performanceStats.lastOperationTime,
+            fastPathHits: performanceStats.fastPathHits,
+            fastPathRatio: performanceStats.totalOperations > 0 ? 
+                (performanceStats.fastPathHits / performanceStats.totalOperations) : 0,
+            maxExecutionTime: this.detailedStats ? performanceStats.maxExecutionTime : performanceStats.lastOperationTime,
+            minExecutionTime: this.detailedStats ? performanceStats.minExecutionTime : performanceStats.lastOperationTime,
+            // Legacy compatibility field
+            currentExecutionTime: performanceStats.lastOperationTime
         };
     }
 
@@ -407,6 +782,7 @@ class RenderQueue {
             this.stats.queued = 1;
         } else {
             this.pendingOperations.clear();
+            this.heap.clear();
             this.stats.queued = 0;
         }
 
@@ -415,6 +791,23 @@ class RenderQueue {
             this.processTimeout = null;
         }
     }
+
+    // High-priority operations for urgent rendering
+    urgentQueue(operation, metadata = {}) {
+        return this.queue(operation, 'urgent', { ...metadata, urgent: true });
+    }
+
+    // Background operations for non-critical tasks
+    backgroundQueue(operation, metadata = {}) {
+        return this.queue(operation, 'background', { ...metadata, background: true });
+    }
+
+    // Reject everything still waiting and release the pool, the running operation finishes on its own
+    dispose() {
+        this.clear(true);
+        this.wrapperPool.length = 0;
+        this.poolSize = 0;
+    }
 }
 
 export default RenderQueue;
\ No newline at end of file
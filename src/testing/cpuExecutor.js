@@ -0,0 +1,446 @@
+import GPUUtils from '../core/gpuUtils.js';
+import ExecutionGraph from '../utils/executionGraph.js';
+
+// Renderer-owned textures that are not part of a filter graph
+const INTERNAL_TEXTURES = ['textureMASS', 'textureTemp'];
+
+/**
+ * Runs a filter graph on the CPU using JavaScript reference implementations,
+ * so filter stacks can be regression tested against GPU output without a GPU.
+ *
+ * Every pass that runs needs a `cpuReference` function next to its WGSL:
+ *
+ * Fragment passes are called once per output pixel and return [r, g, b, a] in 0-1,
+ * or an array of colors in outputTexture order when outputTexture is an array:
+ *   cpuReference: ({ uv, x, y, width, height, uniforms, sample, load }) => {
+ *       const [r, g, b, a] = sample(0, uv[0], uv[1]);   // like textureSample(inputTexture[0], ...)
+ *       return [1 - r, 1 - g, 1 - b, a];
+ *   }
+ *
+ * Compute passes are called once and write into `buffers`, keyed like bufferAttachment.bindings:
+ *   cpuReference: ({ width, height, load, buffers }) => { buffers.histogram[0] += 1; }
+ *
+ * Textures are RGBA Float32Arrays in the 0-1 range and are quantized to their
+ * texture format after each pass, like the GPU stores them.
+ */
+class CPUExecutor {
+    /**
+     * @param {Object} settings - The same settings object passed to createApp
+     */
+    constructor(settings) {
+        this.settings = settings;
+        this.filters = settings.filters;
+        this.presentationFormat = settings.presentationFormat || 'rgba8unorm';
+        this.textureSettings = { ...settings.textures };
+        this.textures = new Map();
+        this.buffers = {};
+    }
+
+    /**
+     * Run every pass of the execution plan
+     * @param {Object} options - Run options
+     * @param {Object} options.source - { width, height, data } RGBA pixels, defaults to the `pixels`
+     * of settings.imageArray[settings.imageIndex]
+     * @returns {Promise<Object>} { output, textures, buffers, plan } where output is the screen image
+     * as { width, height, data: Float32Array } or null when no pass draws to the screen
+     */
+    async run(options = {}) {
+        const source = options.source || this.settings.imageArray?.[this.settings.imageIndex ?? 0]?.pixels;
+
+        if (!source) {
+            throw new Error('CPUExecutor needs RGBA pixels, pass options.source or an imageArray entry with pixels');
+        }
+
+        const { width, height } = source;
+        this.width = width;
+        this.height = height;
+        this.textures.clear();
+        this.buffers = {};
+
+        const sourceKey = Object.keys(this.textureSettings).find(key => this.textureSettings[key].copyImageTo) || 'texture';
+        this.textures.set(sourceKey, this._quantize(this.toFloatImage(source), this._getFormat(sourceKey)));
+
+        const plan = ExecutionGraph.build(this.filters, { sourceTextures: [sourceKey] });
+
+        for (const step of plan.steps) {
+            const { filter, pass } = step;
+
+            if (pass.generateMipmaps || pass.outputMipLevel || pass.inputMipLevel !== undefined) {
+                throw new Error(`Pass "${step.label}" uses mip levels, which CPUExecutor does not support`);
+            }
+
+            if (pass.present && !pass.cpuReference) {
+                // Built-in conversion pass, the format quantization does the conversion
+                this.runFragmentPass(step, ({ uv, sample }) => sample(0, uv[0], uv[1]));
+                continue;
+            }
+
+            if (typeof pass.cpuReference !== 'function') {
+                throw new Error(`Pass "${step.label}" of filter "${step.filterKey}" has no cpuReference implementation`);
+            }
+
+            if (filter.type === 'compute') {
+                this.runComputePass(step);
+            } else {
+                this.runFragmentPass(step);
+            }
+        }
+
+        return {
+            output: this.textures.get('screen') || null,
+            textures: Object.fromEntries(this.textures),
+            buffers: this.buffers,
+            plan: ExecutionGraph.describe(plan)
+        };
+    }
+
+    /**
+     * Evaluate a fragment pass reference for every pixel of its output
+     * @param {Object} step - Step from the execution plan
+     * @param {Function} reference - Per-pixel reference, defaults to pass.cpuReference
+     */
+    runFragmentPass(step, reference = step.pass.cpuReference) {
+        const { filter, pass, filterKey } = step;
+        const multipleTargets = Array.isArray(pass.outputTexture);
+        const outputKeys = multipleTargets ? pass.outputTexture : [pass.outputTexture ?? 'screen'];
+        const { width, height } = this._getSize(outputKeys[0]);
+        const outputs = outputKeys.map(() => new Float32Array(width * height * 4));
+
+        const context = {
+            ...this._createContext(filter, pass, filterKey),
+            uv: [0, 0],
+            x: 0,
+            y: 0,
+            width,
+            height
+        };
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                context.x = x;
+                context.y = y;
+                context.uv[0] = (x + 0.5) / width;
+                context.uv[1] = (y + 0.5) / height;
+
+                // Passes with several targets return one color per outputTexture entry
+                const result = reference(context);
+                const colors = multipleTargets ? result : [result];
+                const offset = (y * width + x) * 4;
+
+                outputs.forEach((data, target) => {
+                    for (let c = 0; c < 4; c++) {
+                        data[offset + c] = colors[target]?.[c] ?? (c === 3 ? 1 : 0);
+                    }
+                });
+            }
+        }
+
+        // Inputs were read from the previous image, so writing in place is safe
+        outputKeys.forEach((key, target) => {
+            this.textures.set(key, this._quantize({ width, height, data: outputs[target] }, this._getFormat(key)));
+        });
+    }
+
+    /**
+     * Call a compute pass reference once with the filter's buffers
+     * @param {Object} step - Step from the execution plan
+     */
+    runComputePass(step) {
+        const { filter, pass, filterKey } = step;
+        const buffers = this.getFilterBuffers(filterKey, filter);
+
+        for (const key of GPUUtils.getComputeClearBuffers(pass, filter)) {
+            buffers[key]?.fill(0);
+        }
+
+        pass.cpuReference({
+            ...this._createContext(filter, pass, filterKey),
+            width: this.width,
+            height: this.height,
+            buffers
+        });
+    }
+
+    /**
+     * Typed arrays for the storage buffers of a compute filter, created from the binding values
+     * @param {string} filterKey - Key of the filter in the filters object
+     * @param {Object} filter - Filter configuration
+     * @returns {Object} Typed arrays keyed by binding key
+     */
+    getFilterBuffers(filterKey, filter) {
+        if (!this.buffers[filterKey]) {
+            const buffers = {};
+
+            for (const { key, binding } of GPUUtils.getStorageBufferBindings(filter)) {
+                const values = Array.isArray(binding.value) || ArrayBuffer.isView(binding.value) ?
+                    binding.value : [binding.value ?? 0];
+                // Legacy 'uniform' / 'float' storage buffers are uploaded as u32, like BufferManager does
+                const type = typeof binding.type === 'string' ? binding.type : '';
+                const ArrayType = /f32/.test(type) ? Float32Array : /i32/.test(type) ? Int32Array : Uint32Array;
+                buffers[key] = ArrayType.from(values);
+            }
+
+            this.buffers[filterKey] = buffers;
+        }
+
+        return this.buffers[filterKey];
+    }
+
+    /**
+     * Convert pixels to an RGBA float image in the 0-1 range
+     * @param {Object} image - { width, height, data } with 8-bit or float data
+     * @returns {{width: number, height: number, data: Float32Array}}
+     */
+    toFloatImage(image) {
+        return CPUExecutor.toFloatImage(image);
+    }
+
+    /**
+     * Compare two images, e.g. GPU output from exportImage({ format: 'raw' }) against CPU output
+     * @param {Object|TypedArray} actual - { width, height, data } or RGBA data; 8-bit data is scaled to 0-1
+     * @param {Object|TypedArray} expected - Image in the same form
+     * @param {Object} options - Pass criteria
+     * @param {number} options.maxAbsDiff - Largest allowed per-channel difference in the 0-1 range, defaults to 1/255
+     * @param {number} options.minPSNR - Smallest allowed PSNR in dB, ignored when undefined
+     * @returns {{passed: boolean, maxAbsDiff: number, psnr: number, mismatchedPixels: number}}
+     */
+    static compareImages(actual, expected, options = {}) {
+        const { maxAbsDiff: tolerance = 1 / 255, minPSNR } = options;
+        const a = this.toFloatImage(actual);
+        const b = this.toFloatImage(expected);
+
+        if (a.data.length !== b.data.length || (a.width && b.width && (a.width !== b.width || a.height !== b.height))) {
+            throw new Error(`Image sizes differ: ${a.width}x${a.height} and ${b.width}x${b.height}`);
+        }
+
+        let maxAbsDiff = 0;
+        let squaredError = 0;
+        let mismatchedPixels = 0;
+
+        for (let i = 0; i < a.data.length; i += 4) {
+            let mismatched = false;
+            for (let c = 0; c < 4; c++) {
+                const diff = Math.abs(a.data[i + c] - b.data[i + c]);
+                maxAbsDiff = Math.max(maxAbsDiff, diff);
+                squaredError += diff * diff;
+                mismatched = mismatched || diff > tolerance;
+            }
+            if (mismatched) mismatchedPixels++;
+        }
+
+        const mse = squaredError / a.data.length;
+        const psnr = mse === 0 ? Infinity : 10 * Math.log10(1 / mse);
+
+        return {
+            passed: maxAbsDiff <= tolerance && (minPSNR === undefined || psnr >= minPSNR),
+            maxAbsDiff,
+            psnr,
+            mismatchedPixels
+        };
+    }
+
+    /**
+     * @see CPUExecutor#toFloatImage
+     */
+    static toFloatImage(image) {
+        const data = ArrayBuffer.isView(image) ? image : image.data;
+        const floats = data instanceof Float32Array ? data : Float32Array.from(data, value => value / 255);
+
+        return {
+            width: image.width,
+            height: image.height,
+            data: floats
+        };
+    }
+
+    /**
+     * Sample a texture like textureSample with the pass sampler
+     * @param {Object} texture - { width, height, data }
+     * @param {number} u - Horizontal texture coordinate
+     * @param {number} v - Vertical texture coordinate
+     * @param {Object} sampler - Normalized sampler descriptor
+     * @returns {number[]} RGBA
+     */
+    static sampleTexture(texture, u, v, sampler) {
+        const { width, height } = texture;
+
+        if (sampler.magFilter === 'nearest') {
+            return this.loadTexel(
+                texture,
+                this._address(Math.floor(u * width), width, sampler.addressModeU),
+                this._address(Math.floor(v * height), height, sampler.addressModeV)
+            );
+        }
+
+        const x = u * width - 0.5;
+        const y = v * height - 0.5;
+        const x0 = Math.floor(x);
+        const y0 = Math.floor(y);
+        const fx = x - x0;
+        const fy = y - y0;
+
+        const xs = [this._address(x0, width, sampler.addressModeU), this._address(x0 + 1, width, sampler.addressModeU)];
+        const ys = [this._address(y0, height, sampler.addressModeV), this._address(y0 + 1, height, sampler.addressModeV)];
+
+        const result = [0, 0, 0, 0];
+        const weights = [(1 - fx) * (1 - fy), fx * (1 - fy), (1 - fx) * fy, fx * fy];
+        const texels = [
+            this.loadTexel(texture, xs[0], ys[0]),
+            this.loadTexel(texture, xs[1], ys[0]),
+            this.loadTexel(texture, xs[0], ys[1]),
+            this.loadTexel(texture, xs[1], ys[1])
+        ];
+
+        for (let i = 0; i < 4; i++) {
+            for (let c = 0; c < 4; c++) {
+                result[c] += texels[i][c] * weights[i];
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Read one texel like textureLoad, coordinates outside the texture return transparent black
+     * @param {Object} texture - { width, height, data }
+     * @param {number} x - Column
+     * @param {number} y - Row
+     * @returns {number[]} RGBA
+     */
+    static loadTexel(texture, x, y) {
+        if (x < 0 || y < 0 || x >= texture.width || y >= texture.height) {
+            return [0, 0, 0, 0];
+        }
+        const offset = (y * texture.width + x) * 4;
+        return [texture.data[offset], texture.data[offset + 1], texture.data[offset + 2], texture.data[offset + 3]];
+    }
+
+    /**
+     * @private
+     */
+    _createContext(filter, pass, filterKey) {
+        const inputs = (pass.inputTexture || []).map(key => this._getTexture(key));
+        const samplers = inputs.map((texture, index) => GPUUtils.normalizeSamplerDescriptor(
+            pass.textureSamplers?.[pass.inputTexture[index]] || pass.sampler
+        ));
+
+        const resolve = (input) => {
+            const index = typeof input === 'number' ? input : pass.inputTexture.indexOf(input);
+            if (!inputs[index]) {
+                throw new Error(`Pass "${pass.label}" of filter "${filterKey}" has no input texture ${input}`);
+            }
+            return index;
+        };
+
+        const uniforms = {};
+        for (const [key, binding] of Object.entries(filter.bufferAttachment?.bindings || {})) {
+            uniforms[key] = binding.value;
+        }
+
+        return {
+            inputs,
+            uniforms,
+            sample: (input, u, v) => {
+                const index = resolve(input);
+                return CPUExecutor.sampleTexture(inputs[index], u, v, samplers[index]);
+            },
+            load: (input, x, y) => CPUExecutor.loadTexel(inputs[resolve(input)], x, y)
+        };
+    }
+
+    /**
+     * Textures nobody has written yet read as transparent black, like a new GPU texture
+     * @private
+     */
+    _getTexture(key) {
+        if (!this.textures.has(key)) {
+            if (INTERNAL_TEXTURES.includes(key)) {
+                throw new Error(`${key} is internal to the renderer and cannot be read by a CPU reference`);
+            }
+            const { width, height } = this._getSize(key);
+            this.textures.set(key, { width, height, data: new Float32Array(width * height * 4) });
+        }
+        return this.textures.get(key);
+    }
+
+    /**
+     * @private
+     */
+    _getSize(key) {
+        const { size, scale = 1 } = this.textureSettings[key] || {};
+        return size ? { width: size.width, height: size.height } : {
+            width: Math.max(1, Math.floor(this.width * scale)),
+            height: Math.max(1, Math.floor(this.height * scale))
+        };
+    }
+
+    /**
+     * @private
+     */
+    _getFormat(key) {
+        return key === 'screen' ?
+            this.presentationFormat :
+            this.textureSettings[key]?.format || this.presentationFormat;
+    }
+
+    /**
+     * Round values the way the texture format stores them
+     * @private
+     */
+    _quantize(image, format) {
+        if (format.includes('float')) {
+            return image;
+        }
+
+        const srgb = format.endsWith('-srgb');
+        const data = new Float32Array(image.data.length);
+
+        for (let i = 0; i < data.length; i++) {
+            let value = Math.min(Math.max(image.data[i], 0), 1);
+            const isAlpha = i % 4 === 3;
+
+            if (srgb && !isAlpha) {
+                value = this._srgbToLinear(Math.round(this._linearToSrgb(value) * 255) / 255);
+            } else {
+                value = Math.round(value * 255) / 255;
+            }
+            data[i] = value;
+        }
+
+        return { width: image.width, height: image.height, data };
+    }
+
+    /**
+     * @private
+     */
+    _linearToSrgb(value) {
+        return value <= 0.0031308 ? value * 12.92 : 1.055 * Math.pow(value, 1 / 2.4) - 0.055;
+    }
+
+    /**
+     * @private
+     */
+    _srgbToLinear(value) {
+        return value <= 0.04045 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+    }
+
+    /**
+     * Apply an address mode to an integer texel coordinate
+     * @private
+     */
+    static _address(coordinate, size, mode) {
+        switch (mode) {
+            case 'repeat':
+                return ((coordinate % size) + size) % size;
+            case 'mirror-repeat': {
+                const period = size * 2;
+                const mirrored = ((coordinate % period) + period) % period;
+                return mirrored < size ? mirrored : period - 1 - mirrored;
+            }
+            case 'clamp-to-edge':
+            default:
+                return Math.min(Math.max(coordinate, 0), size - 1);
+        }
+    }
+}
+
+export default CPUExecutor;
@@ -0,0 +1,456 @@
+// Flag values from the WebGPU specification, installed when the environment has none
+const GPU_CONSTANTS = {
+    GPUBufferUsage: {
+        MAP_READ: 0x0001,
+        MAP_WRITE: 0x0002,
+        COPY_SRC: 0x0004,
+        COPY_DST: 0x0008,
+        INDEX: 0x0010,
+        VERTEX: 0x0020,
+        UNIFORM: 0x0040,
+        STORAGE: 0x0080,
+        INDIRECT: 0x0100,
+        QUERY_RESOLVE: 0x0200
+    },
+    GPUTextureUsage: {
+        COPY_SRC: 0x01,
+        COPY_DST: 0x02,
+        TEXTURE_BINDING: 0x04,
+        STORAGE_BINDING: 0x08,
+        RENDER_ATTACHMENT: 0x10
+    },
+    GPUShaderStage: {
+        VERTEX: 0x1,
+        FRAGMENT: 0x2,
+        COMPUTE: 0x4
+    },
+    GPUMapMode: {
+        READ: 0x0001,
+        WRITE: 0x0002
+    }
+};
+
+/**
+ * In-memory stand-in for the WebGPU API that records every call instead of rendering.
+ *
+ * Buffers keep their contents, so writeBuffer, mappedAtCreation, copyBufferToBuffer,
+ * clearBuffer and mapAsync behave like on a GPU. Textures hold no texel data; reading
+ * one back returns whatever the destination buffer already contained.
+ *
+ * Usage:
+ *   MockGPU.installGlobals();
+ *   const gpu = new MockGPU();
+ *   const app = await SequentialGPU.createApp({ ...settings, headless: true, gpu });
+ *   const device = gpu.devices[0];
+ *   device.getCalls('createRenderPipeline');
+ *   device.getPasses().map(pass => pass.label);
+ *
+ * Options: preferredCanvasFormat, and limits the adapter and its devices report,
+ * e.g. { maxTextureDimension2D: 64 } to test images beyond the texture size limit
+ */
+class MockGPU {
+    constructor(options = {}) {
+        this.preferredCanvasFormat = options.preferredCanvasFormat || 'rgba8unorm';
+        this.limits = { ...options.limits };
+        this.devices = [];
+    }
+
+    /**
+     * Define GPUBufferUsage, GPUTextureUsage, GPUShaderStage and GPUMapMode
+     * on the target when they are missing, e.g. in Node
+     * @param {Object} target - Global object to install into
+     */
+    static installGlobals(target = globalThis) {
+        for (const [name, values] of Object.entries(GPU_CONSTANTS)) {
+            if (!target[name]) {
+                target[name] = Object.freeze({ ...values });
+            }
+        }
+    }
+
+    async requestAdapter(options = {}) {
+        return new MockGPUAdapter(this, options);
+    }
+
+    getPreferredCanvasFormat() {
+        return this.preferredCanvasFormat;
+    }
+}
+
+class MockGPUAdapter {
+    constructor(gpu, options) {
+        this.gpu = gpu;
+        this.options = options;
+        this.label = '';
+        this.features = new Set();
+        this.limits = { ...gpu.limits };
+    }
+
+    async requestDevice(descriptor = {}) {
+        const device = new MockGPUDevice(descriptor, this.limits);
+        this.gpu.devices.push(device);
+        return device;
+    }
+}
+
+class MockGPUDevice extends EventTarget {
+    constructor(descriptor = {}, limits = {}) {
+        super();
+        this.label = descriptor.label || '';
+        this.features = new Set(descriptor.requiredFeatures || []);
+        this.limits = { ...limits, ...descriptor.requiredLimits };
+        this.queue = new MockGPUQueue(this);
+        this.destroyed = false;
+
+        // Every create* call and queue operation in call order
+        this.calls = [];
+
+        // Command buffers in submission order
+        this.submissions = [];
+
+        this.lost = new Promise(resolve => {
+            this._resolveLost = resolve;
+        });
+    }
+
+    /**
+     * Recorded calls, optionally filtered by method name
+     * @param {string} method - e.g. 'createBindGroup' or 'writeBuffer'
+     * @returns {Array<Object>} { method, label, descriptor, result }
+     */
+    getCalls(method) {
+        return method ? this.calls.filter(call => call.method === method) : [...this.calls];
+    }
+
+    /**
+     * Render and compute passes from every submitted command buffer, in execution order
+     * @returns {Array<Object>} { type, label, descriptor, commands }
+     */
+    getPasses() {
+        return this.submissions
+            .flatMap(commandBuffer => commandBuffer.commands)
+            .filter(command => command.type === 'renderPass' || command.type === 'computePass');
+    }
+
+    /**
+     * Forget recorded calls and submissions, e.g. between frames
+     */
+    resetCalls() {
+        this.calls = [];
+        this.submissions = [];
+    }
+
+    _record(method, descriptor, result) {
+        this.calls.push({ method, label: descriptor?.label, descriptor, result });
+        return result;
+    }
+
+    createBuffer(descriptor) {
+        return this._record('createBuffer', descriptor, new MockGPUBuffer(descriptor));
+    }
+
+    createTexture(descriptor) {
+        return this._record('createTexture', descriptor, new MockGPUTexture(descriptor));
+    }
+
+    createSampler(descriptor = {}) {
+        return this._record('createSampler', descriptor, new MockGPUObject('sampler', descriptor));
+    }
+
+    createBindGroupLayout(descriptor) {
+        return this._record('createBindGroupLayout', descriptor, new MockGPUObject('bindGroupLayout', descriptor));
+    }
+
+    createPipelineLayout(descriptor) {
+        return this._record('createPipelineLayout', descriptor, new MockGPUObject('pipelineLayout', descriptor));
+    }
+
+    createBindGroup(descriptor) {
+        return this._record('createBindGroup', descriptor, new MockGPUObject('bindGroup', descriptor));
+    }
+
+    createShaderModule(descriptor) {
+        return this._record('createShaderModule', descriptor, new MockGPUShaderModule(descriptor));
+    }
+
+    createRenderPipeline(descriptor) {
+        return this._record('createRenderPipeline', descriptor, new MockGPUPipeline('renderPipeline', descriptor));
+    }
+
+    createComputePipeline(descriptor) {
+        return this._record('createComputePipeline', descriptor, new MockGPUPipeline('computePipeline', descriptor));
+    }
+
+    async createRenderPipelineAsync(descriptor) {
+        return this.createRenderPipeline(descriptor);
+    }
+
+    async createComputePipelineAsync(descriptor) {
+        return this.createComputePipeline(descriptor);
+    }
+
+    createCommandEncoder(descriptor = {}) {
+        return this._record('createCommandEncoder', descriptor, new MockGPUCommandEncoder(descriptor));
+    }
+
+    pushErrorScope() {}
+
+    async popErrorScope() {
+        return null;
+    }
+
+    destroy() {
+        this.destroyed = true;
+        this._resolveLost({ reason: 'destroyed', message: 'Device destroyed' });
+    }
+}
+
+class MockGPUObject {
+    constructor(type, descriptor = {}) {
+        this.type = type;
+        this.descriptor = descriptor;
+        this.label = descriptor.label || '';
+    }
+}
+
+class MockGPUBuffer extends MockGPUObject {
+    constructor(descriptor) {
+        super('buffer', descriptor);
+        this.size = descriptor.size;
+        this.usage = descriptor.usage;
+        this.data = new Uint8Array(descriptor.size);
+        this.destroyed = false;
+        this.mapState = 'unmapped';
+        this._mapped = null;
+
+        if (descriptor.mappedAtCreation) {
+            this.mapState = 'mapped';
+        }
+    }
+
+    async mapAsync(mode, offset = 0, size = this.size - offset) {
+        if (this.destroyed) {
+            throw new Error(`Cannot map destroyed buffer ${this.label}`);
+        }
+        this.mapState = 'mapped';
+    }
+
+    getMappedRange(offset = 0, size = this.size - offset) {
+        if (this.mapState !== 'mapped') {
+            throw new Error(`Buffer ${this.label} is not mapped`);
+        }
+
+        // Changes to the returned range are written back on unmap()
+        const range = this.data.slice(offset, offset + size).buffer;
+        this._mapped = { offset, range };
+        return range;
+    }
+
+    unmap() {
+        if (this._mapped) {
+            this.data.set(new Uint8Array(this._mapped.range), this._mapped.offset);
+            this._mapped = null;
+        }
+        this.mapState = 'unmapped';
+    }
+
+    destroy() {
+        this.destroyed = true;
+    }
+}
+
+class MockGPUTexture extends MockGPUObject {
+    constructor(descriptor) {
+        super('texture', descriptor);
+        const size = Array.isArray(descriptor.size) ?
+            { width: descriptor.size[0], height: descriptor.size[1], depthOrArrayLayers: descriptor.size[2] } :
+            descriptor.size;
+
+        this.width = size.width;
+        this.height = size.height || 1;
+        this.depthOrArrayLayers = size.depthOrArrayLayers || 1;
+        this.format = descriptor.format;
+        this.usage = descriptor.usage;
+        this.sampleCount = descriptor.sampleCount || 1;
+        this.mipLevelCount = descriptor.mipLevelCount || 1;
+        this.dimension = descriptor.dimension || '2d';
+        this.destroyed = false;
+    }
+
+    createView(descriptor = {}) {
+        const view = new MockGPUObject('textureView', descriptor);
+        view.texture = this;
+        return view;
+    }
+
+    destroy() {
+        this.destroyed = true;
+    }
+}
+
+class MockGPUShaderModule extends MockGPUObject {
+    constructor(descriptor) {
+        super('shaderModule', descriptor);
+        this.code = descriptor.code;
+    }
+
+    async getCompilationInfo() {
+        return { messages: [] };
+    }
+}
+
+class MockGPUPipeline extends MockGPUObject {
+    constructor(type, descriptor) {
+        super(type, descriptor);
+        this.autoLayouts = [];
+    }
+
+    getBindGroupLayout(index) {
+        const { layout } = this.descriptor;
+
+        if (layout && layout !== 'auto') {
+            return layout.descriptor.bindGroupLayouts[index];
+        }
+
+        if (!this.autoLayouts[index]) {
+            this.autoLayouts[index] = new MockGPUObject('bindGroupLayout', {
+                label: `${this.label} auto group ${index}`,
+                entries: []
+            });
+        }
+        return this.autoLayouts[index];
+    }
+}
+
+class MockGPUCommandEncoder extends MockGPUObject {
+    constructor(descriptor) {
+        super('commandEncoder', descriptor);
+        this.commands = [];
+    }
+
+    beginRenderPass(descriptor) {
+        return this._beginPass('renderPass', descriptor);
+    }
+
+    beginComputePass(descriptor = {}) {
+        return this._beginPass('computePass', descriptor);
+    }
+
+    copyBufferToBuffer(source, sourceOffset, destination, destinationOffset, size) {
+        this.commands.push({ type: 'copyBufferToBuffer', source, sourceOffset, destination, destinationOffset, size });
+    }
+
+    copyBufferToTexture(source, destination, copySize) {
+        this.commands.push({ type: 'copyBufferToTexture', source, destination, copySize });
+    }
+
+    copyTextureToBuffer(source, destination, copySize) {
+        this.commands.push({ type: 'copyTextureToBuffer', source, destination, copySize });
+    }
+
+    copyTextureToTexture(source, destination, copySize) {
+        this.commands.push({ type: 'copyTextureToTexture', source, destination, copySize });
+    }
+
+    clearBuffer(buffer, offset = 0, size = buffer.size - offset) {
+        this.commands.push({ type: 'clearBuffer', buffer, offset, size });
+    }
+
+    finish(descriptor = {}) {
+        const commandBuffer = new MockGPUObject('commandBuffer', descriptor);
+        commandBuffer.commands = this.commands;
+        return commandBuffer;
+    }
+
+    _beginPass(type, descriptor) {
+        const pass = { type, label: descriptor.label || '', descriptor, commands: [] };
+        this.commands.push(pass);
+        return new MockGPUPassEncoder(pass);
+    }
+}
+
+/**
+ * Records the commands of a render or compute pass as { method, args }
+ */
+class MockGPUPassEncoder {
+    constructor(pass) {
+        this.pass = pass;
+
+        const methods = [
+            'setPipeline', 'setBindGroup', 'setVertexBuffer', 'setIndexBuffer', 'setViewport',
+            'setScissorRect', 'setBlendConstant', 'setStencilReference', 'draw', 'drawIndexed',
+            'dispatchWorkgroups', 'dispatchWorkgroupsIndirect'
+        ];
+        for (const method of methods) {
+            this[method] = (...args) => {
+                this.pass.commands.push({ method, args });
+            };
+        }
+    }
+
+    end() {
+        this.pass.ended = true;
+    }
+}
+
+class MockGPUQueue {
+    constructor(device) {
+        this.device = device;
+        this.label = '';
+    }
+
+    submit(commandBuffers) {
+        for (const commandBuffer of commandBuffers) {
+            this.device.submissions.push(commandBuffer);
+            this.device._record('submit', { label: commandBuffer.label }, commandBuffer);
+
+            // Buffer operations run immediately so read-backs see their results
+            for (const command of commandBuffer.commands) {
+                if (command.type === 'copyBufferToBuffer') {
+                    command.destination.data.set(
+                        command.source.data.subarray(command.sourceOffset, command.sourceOffset + command.size),
+                        command.destinationOffset
+                    );
+                } else if (command.type === 'clearBuffer') {
+                    command.buffer.data.fill(0, command.offset, command.offset + command.size);
+                }
+            }
+        }
+    }
+
+    writeBuffer(buffer, bufferOffset, data, dataOffset = 0, size) {
+        const bytes = ArrayBuffer.isView(data) ?
+            new Uint8Array(data.buffer, data.byteOffset, data.byteLength) :
+            new Uint8Array(data);
+
+        // dataOffset and size are in elements for typed arrays
+        const elementSize = ArrayBuffer.isView(data) ? data.BYTES_PER_ELEMENT || 1 : 1;
+        const start = dataOffset * elementSize;
+        const end = size === undefined ? bytes.length : start + size * elementSize;
+
+        buffer.data.set(bytes.subarray(start, end), bufferOffset);
+        this.device._record('writeBuffer', { label: buffer.label }, { buffer, bufferOffset, data: bytes.slice(start, end) });
+    }
+
+    writeTexture(destination, data, dataLayout, size) {
+        this.device._record('writeTexture', { label: destination.texture?.label }, { destination, data, dataLayout, size });
+    }
+
+    copyExternalImageToTexture(source, destination, copySize) {
+        this.device._record('copyExternalImageToTexture', { label: destination.texture?.label }, { source, destination, copySize });
+    }
+
+    async onSubmittedWorkDone() {}
+}
+
+export {
+    MockGPU,
+    MockGPUAdapter,
+    MockGPUDevice,
+    MockGPUBuffer,
+    MockGPUTexture,
+    MockGPUQueue,
+    MockGPUCommandEncoder
+};
+
+export default MockGPU;
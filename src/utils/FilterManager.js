@@ -1,11 +1,21 @@
-import RenderQueue from "../queue/renderQueue.js";
+import RenderQueue, { QueueTimeoutError } from "../queue/renderQueue.js";
+import GPUUtils from "../core/gpuUtils.js";
+import ExecutionGraph from "./executionGraph.js";
+import MipmapGenerator from "./mipmapGenerator.js";
 
 export class FilterManager {
-    constructor(app) {
+    /**
+     * @param {WebGpuRenderer} app - The renderer
+     * @param {RenderQueue} renderQueue - Queue for render operations, the renderer configures it for the build target
+     */
+    constructor(app, renderQueue = new RenderQueue({
+        agingInterval: app.queueAgingInterval,
+        abortGracePeriod: app.queueAbortGracePeriod
+    })) {
         this.app = app;
 
         // Initialize the render queue
-        this.renderQueue = new RenderQueue();
+        this.renderQueue = renderQueue;
 
         this.animationFrameId = null;
         this.renderCompleteCallbacks = new Map();
@@ -16,6 +26,23 @@ export class FilterManager {
         this.frameInterval = 1000 / 60; // 60 FPS target
 
         this.histogramNeedsUpdate = false;
+
+        // Progressive rendering, see previewRender. preview holds the full-resolution
+        // ratio and canvas size while the graph runs downscaled
+        this.preview = null;
+        this.refineTimer = null;
+        this.previewGeneration = 0;
+
+        // Execution plan cache, rebuilt when passes are toggled or rewired
+        this.executionPlan = null;
+        this.executionPlanSignature = null;
+
+        // What changed since the last frame, everything runs on the first frame
+        this.dirty = {
+            all: true,
+            steps: new Set(),
+            textures: new Set()
+        };
         this.autoThresholdEnabled = false;
 
         // Reference useful properties from the core renderer
@@ -39,15 +66,20 @@ export class FilterManager {
             this.calculateRenderFrameRate();
         }, 1000); // Calculate FPS every second
 
+        // Don't keep a Node process alive just for stats
+        this.statsResetInterval.unref?.();
+
     }
 
     /**
     * Execute the filter for the given pass
     * @param {object} pass - The pass object to execute.
     * @param {string} type - The type of pass to execute.
+    * @param {object} filter - The filter the pass belongs to.
+    * @param {GPUTexture} targetTexture - Optional texture the screen pass renders into instead of the canvas.
     * @returns {Promise<boolean>}
     */
-    async executeFilterPass(pass, type) {
+    async executeFilterPass(pass, type, filter, targetTexture = null) {
 
         // Guard against undefined pass or label
         if (!pass) {
@@ -55,6 +87,12 @@ export class FilterManager {
             return false;
         }
 
+        // Built-in pass without a pipeline of its own
+        if (pass.generateMipmaps) {
+            this.generateMipmaps(pass);
+            return false;
+        }
+
         // Add early validation
         if (!pass?.pipeline) {
             console.error(`Pass pipeline is missing: ${pass?.label || 'unnamed'}`);
@@ -99,18 +137,22 @@ export class FilterManager {
         const { outputTexture, pipeline } = pass;
 
         if (type === 'compute') {
-            // Get histogram filter and validate
-            const histogramFilter = this.filters.histogramCompute;
+            const buffers = filter?.resources?.buffers || {};
 
-            if (!histogramFilter?.resources?.buffer) {
-                throw new Error('Histogram buffer not initialized');
+            // Clear the buffers this pass writes to before dispatching
+            for (const key of GPUUtils.getComputeClearBuffers(pass, filter)) {
+                const buffer = buffers[key];
+                if (!buffer) {
+                    throw new Error(`Compute buffer "${key}" not initialized for filter ${filter?.label}`);
+                }
+                this.app.commandQueue.addBufferClear({
+                    label: `Clear ${key} for ${pass.label}`,
+                    buffer
+                });
             }
 
-            const sourceBuffer = histogramFilter.resources.buffers?.histogram ||
-                histogramFilter.resources.buffer;
-
-            // Clear the combinedBuffer before rewriting to is using it
-            await this.clearBuffer(sourceBuffer);
+            const workgroupSize = this.getWorkgroupSize(pass, filter);
+            const [dispatchX, dispatchY, dispatchZ] = this.getDispatchSize(pass, filter, workgroupSize);
 
             this.app.commandQueue.addComputePass({
                 label: `Compute pass for ${pass.label}`,
@@ -119,14 +161,8 @@ export class FilterManager {
                 },
                 commands: (computePass) => {
                     computePass.setPipeline(pipeline);
-                    computePass.setBindGroup(0, pass.bindGroup[0]);
-
-                    const workgroupSizeX = 16;
-                    const workgroupSizeY = 16;
-                    const dispatchX = Math.ceil(this.canvas.width / workgroupSizeX);
-                    const dispatchY = Math.ceil(this.canvas.height / workgroupSizeY);
-
-                    computePass.dispatchWorkgroups(dispatchX, dispatchY);
+                    pass.bindGroup.forEach((bindGroup, group) => computePass.setBindGroup(group, bindGroup));
+                    computePass.dispatchWorkgroups(dispatchX, dispatchY, dispatchZ);
                 }
             });
         }
@@ -140,29 +176,77 @@ export class FilterManager {
                 }
             }
 
-            // If we're writing to the same texture we're reading from, use a temporary texture
-            const shouldUseTemp = pass.inputTexture.includes(outputTexture);
-            const finalOutputTexture = shouldUseTemp ? 'textureTemp' : outputTexture;
+            const { textureManager } = this.app;
+            const outputs = GPUUtils.getOutputTextures(pass);
+            const isScreenPass = outputTexture === undefined;
+            const mipLevel = pass.outputMipLevel || 0;
+
+            // Render into the format of each output texture, or the canvas format for the screen pass
+            const targets = outputs.map((key, slot) => {
+                const texture = key !== undefined ? textureManager.getTexture(key) : null;
+                if (texture && mipLevel >= texture.mipLevelCount) {
+                    throw new Error(`Pass ${passLabel} renders into mip level ${mipLevel} but ${key} has ` +
+                        `${texture.mipLevelCount} level(s), set mipLevelCount on the texture`);
+                }
+                return {
+                    key,
+                    slot,
+                    format: texture?.format || targetTexture?.format || this.app.presentationFormat,
+                    // If we're writing to the same texture level we're reading from, use a temporary texture
+                    useTemp: key !== undefined && pass.inputTexture.includes(key) &&
+                        (GPUUtils.getInputMipLevel(pass, key) ?? mipLevel) === mipLevel
+                };
+            });
+            const sampleCount = GPUUtils.getPassSampleCount(filter, pass, targets.map(target => target.format));
+
+            // Every target of a pass has the same size, the canvas size for the screen pass
+            const firstTexture = outputs[0] !== undefined ? textureManager.getTexture(outputs[0]) : targetTexture;
+            const size = firstTexture ? GPUUtils.getMipSize(firstTexture, mipLevel) : {
+                width: this.canvas.width,
+                height: this.canvas.height
+            };
 
             // Debug texture selection
             if (pass.label.includes('debug')) {
-                console.log('Should use temp:', shouldUseTemp);
-                console.log('Final output texture:', finalOutputTexture);
+                console.log('Targets:', targets.map(({ key, format, useTemp }) => ({ key, format, useTemp })));
             }
 
             // Safely access getCurrentTexture with null check
-            let resolveTargetView;
+            let colorAttachments;
             try {
-                resolveTargetView = finalOutputTexture ?
-                    this.app.textureManager.getTexture(finalOutputTexture).createView() :
-                    this.app.context.getCurrentTexture().createView();
+                colorAttachments = targets.map(({ key, slot, format, useTemp }) => {
+                    let resolveTargetView;
+                    if (useTemp) {
+                        resolveTargetView = textureManager.getAttachmentTexture('textureTemp', format, slot, size)
+                            .createView();
+                    } else if (key !== undefined) {
+                        resolveTargetView = textureManager.getTexture(key)
+                            .createView({ baseMipLevel: mipLevel, mipLevelCount: 1 });
+                    } else if (targetTexture) {
+                        // Screen pass redirected to an offscreen texture (e.g. for export)
+                        resolveTargetView = targetTexture.createView();
+                    } else {
+                        resolveTargetView = this.app.context.getCurrentTexture().createView();
+                    }
+
+                    // Formats that cannot be multisampled render straight into the target
+                    return {
+                        view: sampleCount > 1 ?
+                            textureManager.getAttachmentTexture('textureMASS', format, slot, size).createView() :
+                            resolveTargetView,
+                        resolveTarget: sampleCount > 1 ? resolveTargetView : undefined,
+                        loadOp: 'clear',
+                        storeOp: 'store',
+                        clearValue: [0, 0, 0, 0]
+                    };
+                });
             } catch (err) {
                 console.error('Error getting texture view:', err);
                 return false;
             }
 
             // Make sure to flush commands after each pass if needed
-            if (type === 'render' && outputTexture === undefined) {
+            if (type === 'render' && isScreenPass) {
                 await this.app.commandQueue.flush();
                 return true;
             }
@@ -170,40 +254,37 @@ export class FilterManager {
             this.app.commandQueue.addRenderPass({
                 label: `Render pass for ${pass.label}`,
                 descriptor: {
-                    colorAttachments: [{
-                        view: this.app.textureManager.getTexture('textureMASS').createView(),
-                        resolveTarget: resolveTargetView,
-                        loadOp: 'clear',
-                        storeOp: 'store',
-                        clearValue: [0, 0, 0, 0]
-                    }]
+                    label: `Render pass for ${pass.label}`,
+                    colorAttachments
                 },
                 commands: (renderPass) => {
-                    renderPass.setViewport(0, 0, this.canvas.width, this.canvas.height, 0, 1);
+                    renderPass.setViewport(0, 0, size.width, size.height, 0, 1);
                     renderPass.setPipeline(pipeline);
-                    renderPass.setBindGroup(0, pass.bindGroup[0]);
+                    pass.bindGroup.forEach((bindGroup, group) => renderPass.setBindGroup(group, bindGroup));
                     renderPass.setVertexBuffer(0, this.app.positionBuffer);
                     renderPass.setVertexBuffer(1, this.app.texCordBuffer);
                     renderPass.draw(3);
                 }
             });
 
-            // If we used a temporary texture, copy it to the final destination
-            if (shouldUseTemp && outputTexture) {
+            // If we used temporary textures, copy them to the final destinations
+            for (const { key, slot, format } of targets.filter(target => target.useTemp)) {
+                const destination = textureManager.getTexture(key);
+
+                // The whole mip level that was written, not the canvas
                 this.app.commandQueue.addTextureCopy({
-                    label: `Copy temp to ${outputTexture}`,
-                    source: { texture: this.app.textureManager.getTexture('textureTemp') },
-                    destination: { texture: this.app.textureManager.getTexture(outputTexture) },
+                    label: `Copy temp to ${key}`,
+                    source: { texture: textureManager.getAttachmentTexture('textureTemp', format, slot, size) },
+                    destination: { texture: destination, mipLevel },
                     copySize: {
-                        width: this.canvas.width,
-                        height: this.canvas.height,
+                        ...GPUUtils.getMipSize(destination, mipLevel),
                         depthOrArrayLayers: 1
                     }
                 });
             }
 
             // Flush commands if this is the final pass
-            if (outputTexture === undefined) {
+            if (isScreenPass) {
                 await this.app.commandQueue.flush();
                 return true;
             }
@@ -212,6 +293,79 @@ export class FilterManager {
         }
     }
 
+    /**
+    * Fill the mip levels of a pass's output texture from level 0.
+    * @param {object} pass - Pass with `generateMipmaps: true`.
+    */
+    generateMipmaps(pass) {
+        const texture = this.app.textureManager.getTexture(pass.outputTexture);
+        if (!texture) {
+            throw new Error(`Texture ${pass.outputTexture} not found for mipmap pass ${pass.label}`);
+        }
+
+        if (this.mipmapGenerator?.device !== this.app.device) {
+            this.mipmapGenerator = new MipmapGenerator(this.app.device);
+        }
+
+        this.mipmapGenerator.generate(this.app.commandQueue, texture, {
+            positionBuffer: this.app.positionBuffer,
+            texCordBuffer: this.app.texCordBuffer
+        }, `Mipmaps for ${pass.label}`);
+    }
+
+    /**
+    * Get the workgroup size declared for a compute pass.
+    * Must match the @workgroup_size attribute of the shader entry point.
+    * @param {object} pass - The compute pass.
+    * @param {object} filter - The filter the pass belongs to.
+    * @returns {number[]} Workgroup size as [x, y, z].
+    */
+    getWorkgroupSize(pass, filter) {
+        const size = pass.workgroupSize || filter?.workgroupSize || [16, 16, 1];
+        return [size[0] || 1, size[1] || 1, size[2] || 1];
+    }
+
+    /**
+    * Resolve the number of workgroups to dispatch for a compute pass.
+    * Supported `dispatch` settings (on the pass or the filter):
+    * - `{ type: 'pixels' }` (default) one invocation per canvas pixel
+    * - `{ type: 'texture', texture: 'key' }` one invocation per texel of a texture
+    * - `{ type: 'fixed', workgroups: [x, y, z] }` explicit workgroup counts
+    * @param {object} pass - The compute pass.
+    * @param {object} filter - The filter the pass belongs to.
+    * @param {number[]} workgroupSize - Workgroup size as [x, y, z].
+    * @returns {number[]} Workgroup counts as [x, y, z].
+    */
+    getDispatchSize(pass, filter, workgroupSize) {
+        const dispatch = pass.dispatch || filter?.dispatch || { type: 'pixels' };
+        const [sizeX, sizeY, sizeZ] = workgroupSize;
+
+        switch (dispatch.type) {
+            case 'fixed': {
+                const [x = 1, y = 1, z = 1] = dispatch.workgroups || [];
+                return [x, y, z];
+            }
+            case 'texture': {
+                const texture = this.app.textureManager.getTexture(dispatch.texture);
+                if (!texture) {
+                    throw new Error(`Dispatch texture "${dispatch.texture}" not found for pass ${pass.label}`);
+                }
+                return [
+                    Math.ceil(texture.width / sizeX),
+                    Math.ceil(texture.height / sizeY),
+                    Math.ceil((texture.depthOrArrayLayers || 1) / sizeZ)
+                ];
+            }
+            case 'pixels':
+            default:
+                return [
+                    Math.ceil(this.canvas.width / sizeX),
+                    Math.ceil(this.canvas.height / sizeY),
+                    1
+                ];
+        }
+    }
+
     async renderFilterPasses(filter) {
         let breakLoop = false;
 
@@ -223,8 +377,8 @@ export class FilterManager {
 
         // loop through the passes
         for (const pass of filter.passes) {
-            if (pass && pass.active && pass.bindGroup && pass.bindGroup[0]) {
-                breakLoop = await this.executeFilterPass(pass, filter.type);
+            if (pass && pass.active && (pass.generateMipmaps || (pass.bindGroup && pass.bindGroup[0]))) {
+                breakLoop = await this.executeFilterPass(pass, filter.type, filter);
             }
             else if (pass && pass.active) {
                 console.warn(`Skipping active pass with missing bind group: ${pass.label || 'unnamed'}`);
@@ -239,20 +393,43 @@ export class FilterManager {
 
     // Add a method for high-priority operations
     async urgentRender(drawToCanvas, transformations, filterUpdateConditions) {
-        return this.renderQueue.queue(async () => {
-            await this.renderFrame(drawToCanvas, transformations, filterUpdateConditions);
+        return this.queueRender(async (signal) => {
+            await this.leavePreview();
+            await this.renderFrame(drawToCanvas, transformations, filterUpdateConditions, signal);
         }, 'high', {
             type: 'render',
             operation: 'urgentRender',
             conditions: filterUpdateConditions,
-            urgent: true
+            urgent: true,
+            coalesceKey: 'render',
+            deadline: this.app.renderDeadline
         });
     }
 
+    /**
+     * Queue a display render. One that waits longer than its deadline is only dropped when a newer
+     * render with the same coalesceKey is queued to replace it, otherwise it is queued again without
+     * the deadline so the frame is still drawn
+     * @private
+     */
+    async queueRender(render, priority, metadata) {
+        try {
+            return await this.renderQueue.queue(render, priority, metadata);
+        } catch (error) {
+            if (!(error instanceof QueueTimeoutError) || error.reason !== 'deadline' ||
+                this.renderQueue.hasPending(metadata.coalesceKey)) {
+                throw error;
+            }
+
+            const { deadline, ...rescheduled } = metadata;
+            return this.renderQueue.queue(render, priority, rescheduled);
+        }
+    }
+
     // Add a method for background operations
     async backgroundUpdate(filterUpdateConditions) {
-        return this.renderQueue.queue(async () => {
-            return this.updateFilters(filterUpdateConditions);
+        return this.renderQueue.queue(async (signal) => {
+            return this.updateFilters(filterUpdateConditions, signal);
         }, 'low', {
             type: 'background',
             operation: 'filterUpdate',
@@ -260,6 +437,162 @@ export class FilterManager {
         });
     }
 
+    /**
+     * Render a downscaled preview right away, then refine at full resolution once no new
+     * preview arrived for app.refineDelay ms. Each call cancels the refine of the one before
+     * @param {Object} drawToCanvas - Display canvas as for updateOutputCanvas
+     * @param {Object} transformations - Display transformations as for updateOutputCanvas
+     * @param {Object|boolean} filterUpdateConditions - Optional { histogram: filterLabel }
+     * @returns {Promise<{success: boolean, complete: boolean, error: string|null}>} Result of the preview render
+     */
+    async previewRender(drawToCanvas, transformations, filterUpdateConditions) {
+        const generation = ++this.previewGeneration;
+        this.cancelRefine();
+
+        const render = async (signal) => {
+            await this.enterPreview();
+            return this.renderFrame(drawToCanvas, transformations, filterUpdateConditions, signal);
+        };
+
+        let complete;
+        try {
+            complete = await this.queueRender(render, 'urgent', {
+                type: 'render',
+                operation: 'previewRender',
+                conditions: filterUpdateConditions,
+                coalesceKey: 'render',
+                deadline: this.app.renderDeadline
+            });
+        } catch (error) {
+            if (error instanceof QueueTimeoutError) {
+                return { success: false, complete: false, timedOut: true, error: error.message };
+            }
+            console.error('Preview render error:', error);
+            return { success: false, complete: false, error: error.message };
+        }
+
+        // A newer render replaced this one before it ran and schedules what follows
+        if (RenderQueue.isSuperseded(complete)) {
+            return { success: true, complete: false, superseded: true, error: null };
+        }
+
+        if (this.preview && generation === this.previewGeneration) {
+            this.refineTimer = setTimeout(() => {
+                this.refineTimer = null;
+                this.scheduleRefine(generation, drawToCanvas, transformations, filterUpdateConditions);
+            }, this.app.refineDelay);
+        }
+
+        return { success: true, complete, error: null };
+    }
+
+    /**
+     * Queue the full-resolution render that follows a preview
+     * @private
+     */
+    scheduleRefine(generation, drawToCanvas, transformations, filterUpdateConditions) {
+        this.renderQueue.queue(async (signal) => {
+            // A newer preview took over while this waited in the queue
+            if (generation !== this.previewGeneration) return false;
+
+            await this.exitPreview();
+
+            // The refine is the last frame, the frame rate limit must not drop it
+            this.lastFrameTime = 0;
+            return this.renderFrame(drawToCanvas, transformations, filterUpdateConditions, signal);
+        }, 'background', {
+            type: 'render',
+            operation: 'refineRender',
+            conditions: filterUpdateConditions
+        }).catch(error => {
+            // Refines cancelled by a newer preview are expected
+            if (generation === this.previewGeneration) {
+                console.warn('Full-resolution refine did not run:', error.message);
+            }
+        });
+    }
+
+    /**
+     * Drop a refine that is waiting for its delay or in the render queue
+     */
+    cancelRefine() {
+        if (this.refineTimer) {
+            clearTimeout(this.refineTimer);
+            this.refineTimer = null;
+        }
+        this.renderQueue.cancelByMetadata('operation', 'refineRender');
+    }
+
+    /**
+     * Forget the preview state without restoring the resolution, e.g. when the ratio is set anew by resize
+     */
+    cancelPreview() {
+        this.previewGeneration++;
+        this.cancelRefine();
+        this.preview = null;
+    }
+
+    /**
+     * Downscale the graph to app.previewRatio, done once for a series of previews
+     * @private
+     */
+    async enterPreview() {
+        const { app } = this;
+
+        // Videos upload every frame anyway
+        const isStillImage = app.imageArray[app.imageIndex]?.type !== 'Video';
+        const previewWidth = Math.floor(app.canvas.width * app.previewRatio);
+        const previewHeight = Math.floor(app.canvas.height * app.previewRatio);
+
+        if (this.preview || !isStillImage || app.previewRatio >= 1 || previewWidth < 1 || previewHeight < 1) {
+            return;
+        }
+
+        this.preview = {
+            ratio: app.ratio,
+            size: { width: app.canvas.width, height: app.canvas.height }
+        };
+        app.ratio = app.ratio * app.previewRatio;
+        await app.recreateResources();
+    }
+
+    /**
+     * Restore the resolution saved by enterPreview
+     * @private
+     */
+    async exitPreview() {
+        if (!this.preview) return;
+
+        this.app.ratio = this.preview.ratio;
+        this.preview = null;
+        await this.app.recreateResources();
+    }
+
+    /**
+     * Restore the resolution for a render that is not a preview. The pending refine would draw
+     * the transformations of the last preview over this frame, so it is dropped
+     * @private
+     */
+    async leavePreview() {
+        if (!this.preview) return;
+
+        this.previewGeneration++;
+        this.cancelRefine();
+        await this.exitPreview();
+    }
+
+    /**
+     * Bring the textures back to full resolution before they are read, e.g. by an export.
+     * A scheduled refine still draws the display canvas
+     * @returns {Promise<void>}
+     */
+    async finishPreview() {
+        if (!this.preview) return;
+
+        await this.exitPreview();
+        await this.updateFilters();
+    }
+
     onContextRecovered(device, context) {
         // Store references to new device/context
         this.app.device = device;
@@ -275,9 +608,14 @@ export class FilterManager {
             textureIndex,
             this.filters
         );
+        this.markPassDirty(filterKey, passIndex);
     }
 
-    waitForRenderComplete() {
+    /**
+     * @param {number} timeout - Milliseconds after which the promise resolves with timedOut: true
+     * @returns {Promise<Object>} Completion data of the next finished render
+     */
+    waitForRenderComplete(timeout = 30000) {
         let id = this.renderCompleteCounter++;
         const startTime = performance.now();
         
@@ -311,7 +649,7 @@ export class FilterManager {
                         renderStats: this.getRenderFrameStats()
                     });
                 }
-            }, 30000); // 30 seconds timeout
+            }, timeout);
         });
     }
 
@@ -339,44 +677,23 @@ export class FilterManager {
     }
 
     async updateOutputCanvas(drawToCanvas, transformations, filterUpdateConditions) {
-        const startTime = performance.now();
-
-        const renderFrameStart = performance.now();
-
-        // Check if we're already inside a queue operation
-        if (this.renderQueue.isProcessing) {
-            // We're ALREADY inside a queue operation
-            // Adding another queue operation would cause:
-            // 1. Deadlock (queue waiting for itself)
-            // 2. Infinite recursion
-            // 3. Queue blocking itself
-            try {
-                // So we bypass the queue and render directly
-                const renderResult = await this.renderFrame(drawToCanvas, transformations, filterUpdateConditions);
-
-                const renderFrameTime = performance.now() - renderFrameStart;
-
-                console.log(`📊 FilterManager timing: total=${performance.now() - startTime}ms, renderFrame=${renderFrameTime}ms`);
-
-                
-                return { success: true, complete: renderResult, error: null };
-            } catch (error) {
-                console.error('Direct render error:', error);
-                return { success: false, complete: false, error: error.message };
-            }
-        }
-
-        // Not in queue, safe to queue the operation
         try {
-            const result = await this.renderQueue.queue(async () => {
-                return await this.renderFrame(drawToCanvas, transformations, filterUpdateConditions);
+            const result = await this.queueRender(async (signal) => {
+                await this.leavePreview();
+                return await this.renderFrame(drawToCanvas, transformations, filterUpdateConditions, signal);
             }, 'high', {
                 type: 'render',
                 operation: 'updateOutputCanvas',
                 conditions: filterUpdateConditions,
-
+                // While a frame renders, only the newest waiting request is worth running
+                coalesceKey: 'render',
+                deadline: this.app.renderDeadline
             });
 
+            if (RenderQueue.isSuperseded(result)) {
+                return { success: true, complete: false, superseded: true, error: null };
+            }
+
             // Log performance occasionally
             if (this.debug && Math.random() < 0.01) { // 1% of the time
                 console.log('Queue performance:', this.renderQueue.getPerformanceStats());
@@ -384,12 +701,16 @@ export class FilterManager {
 
             return { success: true, complete: result, error: null };
         } catch (error) {
+            // Waited longer than app.renderDeadline while a newer frame was queued to replace it
+            if (error instanceof QueueTimeoutError) {
+                return { success: false, complete: false, timedOut: true, error: error.message };
+            }
             console.error('Render error:', error);
             return { success: false, complete: false, error: error.message };
         }
     }
 
-    async renderFrame(drawToCanvas, transformations, filterUpdateConditions) {
+    async renderFrame(drawToCanvas, transformations, filterUpdateConditions, signal) {
         // Increment counter at the start
         this.renderFrameStats.callCount++;
         this.renderFrameStats.totalCalls++;
@@ -401,7 +722,7 @@ export class FilterManager {
             return false;
         }
 
-        const breakLoop = await this.updateFilters(filterUpdateConditions);
+        const breakLoop = await this.updateFilters(filterUpdateConditions, signal);
 
         if (breakLoop && this.histogramNeedsUpdate && !this.app.videoProcessor?.isProcessingVideo) {
             await this.app.updateHistogram();
@@ -409,6 +730,12 @@ export class FilterManager {
         }
 
         this.drawFrame(drawToCanvas, transformations);
+
+        // GPU presentation and extra views reuse this frame's textures instead of running the filters again
+        if (this.app.outputTargets?.targets.size > 0) {
+            await this.app.outputTargets.render();
+        }
+
         this.lastFrameTime = currentTime;
 
         if (breakLoop) {
@@ -419,32 +746,176 @@ export class FilterManager {
         return false;
     }
 
-    // Clean up updateFilters
-    async updateFilters(filterUpdateConditions = false) {
-        for (const [key, filter] of Object.entries(this.filters)) {
-            if (!filter?.active) continue;
+    /**
+    * Get the execution plan for the current filters.
+    * Passes are ordered by the textures they read and write, and passes
+    * whose output is never used are left out. The plan is cached until a
+    * filter or pass is toggled or its textures change.
+    * @returns {object} Plan from ExecutionGraph.build()
+    * @throws {Error} If the passes form a cycle
+    */
+    getExecutionPlan() {
+        const signature = ExecutionGraph.getSignature(this.filters);
 
-            if (filter.label === filterUpdateConditions?.histogram) {
-                this.histogramNeedsUpdate = true;
-            }
+        if (this.executionPlan && signature === this.executionPlanSignature) {
+            return this.executionPlan;
+        }
 
-            const breakLoop = await this.renderFilterPasses(filter);
+        const sourceTextures = Object.entries(this.app.textures || {})
+            .filter(([, texture]) => texture?.copyImageTo)
+            .map(([key]) => key);
 
-            if (breakLoop) {
-                return true;
+        this.executionPlan = ExecutionGraph.build(this.filters, { sourceTextures });
+        this.executionPlanSignature = signature;
+
+        // Passes may now read textures that were never written by their new inputs
+        this.markAllDirty();
+
+        for (const warning of this.executionPlan.warnings) {
+            console.warn(warning);
+        }
+
+        if (this.debug) {
+            this.debugLogger.log('FilterExecution', 'Execution plan:', ExecutionGraph.describe(this.executionPlan));
+        }
+
+        return this.executionPlan;
+    }
+
+    /**
+    * Re-run every pass on the next frame
+    */
+    markAllDirty() {
+        this.dirty.all = true;
+    }
+
+    /**
+    * Re-run every pass of a filter, and the passes that depend on them, on the next frame
+    * @param {string} filterKey - Key of the filter in the filters object
+    */
+    markFilterDirty(filterKey) {
+        const passes = this.filters[filterKey]?.passes || [];
+        passes.forEach((pass, passIndex) => this.markPassDirty(filterKey, passIndex));
+    }
+
+    /**
+    * Re-run a pass, and the passes that depend on it, on the next frame
+    * @param {string} filterKey - Key of the filter in the filters object
+    * @param {number} passIndex - Index of the pass in the filter
+    */
+    markPassDirty(filterKey, passIndex) {
+        this.dirty.steps.add(ExecutionGraph.getStepId(filterKey, passIndex));
+    }
+
+    /**
+    * Re-run the passes reading a texture that was written outside the filters,
+    * e.g. a new image or video frame
+    * @param {string} textureKey - Texture key
+    */
+    markTextureDirty(textureKey) {
+        this.dirty.textures.add(textureKey);
+    }
+
+    /**
+    * Run the passes of the execution plan in dependency order.
+    * Passes whose inputs have not changed since the last frame are skipped
+    * and their output textures are reused.
+    * @param {object|boolean} filterUpdateConditions - Optional { histogram: filterLabel }
+    * @param {AbortSignal} signal - Stops the update between passes
+    * @returns {Promise<boolean>} True once the screen pass has been drawn
+    */
+    async updateFilters(filterUpdateConditions = false, signal = null) {
+        const plan = this.getExecutionPlan();
+        const dirty = this.dirty;
+        const stepsToRun = ExecutionGraph.selectSteps(plan, dirty);
+        let presented = false;
+
+        // Changes marked while the passes run belong to the next update. The ones taken
+        // here are marked again if this update fails or is aborted
+        this.dirty = {
+            all: false,
+            steps: new Set(),
+            textures: new Set()
+        };
+
+        if (this.debug) {
+            this.debugLogger.log('FilterExecution', `Running ${stepsToRun.size} of ${plan.steps.length} passes`);
+        }
+
+        try {
+            for (const step of plan.steps) {
+                const { filter, pass } = step;
+
+                if (filter.label === filterUpdateConditions?.histogram) {
+                    this.histogramNeedsUpdate = true;
+                }
+
+                if (!stepsToRun.has(step)) continue;
+                signal?.throwIfAborted();
+
+                if (!pass.generateMipmaps && (!pass.bindGroup || !pass.bindGroup[0])) {
+                    console.warn(`Skipping active pass with missing bind group: ${step.label}`);
+                    continue;
+                }
+
+                const result = await this.executeFilterPass(pass, filter.type, filter);
+                presented = presented || (step === plan.outputStep && result === true);
             }
+
+            // Compute passes ordered after the screen pass still need to be submitted
+            await this.app.commandQueue.flush();
+        } catch (error) {
+            this.mergeDirty(dirty);
+            throw error;
         }
 
-        return false;
+        return presented;
+    }
+
+    /**
+    * Mark the changes an unfinished update took dirty again
+    * @private
+    */
+    mergeDirty(dirty) {
+        this.dirty.all = this.dirty.all || dirty.all;
+        dirty.steps.forEach(stepId => this.dirty.steps.add(stepId));
+        dirty.textures.forEach(textureKey => this.dirty.textures.add(textureKey));
     }
 
     drawFrame(drawToCanvas, transformations) {
 
+        // Headless renders have no display canvas to draw into
+        if (!drawToCanvas) return;
+
         const { canvas, ctx } = drawToCanvas;
 
+        // Previews are drawn at the size of the full-resolution frame
+        const size = this.preview?.size ?? this.canvas;
+        const previewScale = size.width / this.canvas.width;
+
+        // Without a 2D context the canvas is presented to on the GPU by an output target,
+        // which draws once renderFrame has processed the frame
+        if (!ctx) {
+            if (canvas.width !== size.width || canvas.height !== size.height) {
+                canvas.width = size.width;
+                canvas.height = size.height;
+            }
+
+            this.app.outputTargets.setPresentation(canvas, {
+                scale: transformations._layerScale * previewScale,
+                x: transformations._x,
+                y: transformations._y,
+                rotation: transformations._rotation || 0,
+                flipX: !!transformations._flipX,
+                flipY: !!transformations._flipY
+            });
+            return;
+        }
+        this.app.outputTargets?.clearPresentation();
+
         // Update canvas dimensions
-        canvas.width = this.canvas.width;
-        canvas.height = this.canvas.height;
+        canvas.width = size.width;
+        canvas.height = size.height;
 
         // Apply transformations and draw
         ctx.setTransform(
@@ -468,18 +939,24 @@ export class FilterManager {
     }
 
     completeRender() {
-        this.stopRender();
+        // Operations still queued were requested after this frame started, e.g. the newest
+        // coalesced render, so only the scheduled frame is dropped
+        this.cancelScheduledFrame();
         // Notify completion
         this.notifyRenderComplete();
     }
 
     stopRender() {
+        this.cancelScheduledFrame();
+        // Clear any pending render operations
+        this.renderQueue.clear();
+    }
+
+    cancelScheduledFrame() {
         if (this.animationFrameId) {
             cancelAnimationFrame(this.animationFrameId);
             this.animationFrameId = null;
         }
-        // Clear any pending render operations
-        this.renderQueue.clear();
     }
 
     notifyRenderComplete() {
@@ -525,12 +1002,15 @@ export class FilterManager {
         this.renderFrameStats.lastResetTime = performance.now();
         this.renderFrameStats.callsPerSecond = 0;
     }
-    // Clean up interval on disposal
+    // Clean up interval and queue on disposal
     dispose() {
         if (this.statsResetInterval) {
             clearInterval(this.statsResetInterval);
             this.statsResetInterval = null;
         }
+        // A refine would render after the resources are gone
+        this.cancelPreview();
+        this.renderQueue.dispose();
     }
 
 }
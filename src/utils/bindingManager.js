@@ -2,6 +2,7 @@ import GPUUtils from '../core/gpuUtils.js';
 
 class BindingManager {
     constructor(app) {
+        this.app = app;
         this.device = app.device;
         this.textureManager = app.textureManager;
         this.filters = app.filters;
@@ -243,6 +244,17 @@ class BindingManager {
             pass.inputTexture[textureIndex] = textureKey;
         }
 
+        // Passes with reflected or auto layouts rebuild every group from their stored layouts
+        if (pass.shaderBindings && pass.bindGroupLayouts) {
+            pass.bindGroup = this.app.pipelineManager.createPassBindGroups(
+                filter,
+                pass,
+                pass.bindGroupLayouts,
+                filter.resources
+            );
+            return;
+        }
+
         const groupIndex = filter.bufferAttachment.groupIndex;
 
         // Generate cache key for layout
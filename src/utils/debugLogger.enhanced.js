@@ -96,6 +96,10 @@ class DebugLogger {
         this.queueMonitor = setInterval(() => {
             this.checkQueueHealth();
         }, 1000);
+
+        // Don't keep a Node process alive just for monitoring
+        this.performanceMonitor.unref?.();
+        this.queueMonitor.unref?.();
     }
     
     shouldLog(level, category = null) {
@@ -0,0 +1,408 @@
+// Resource name for the canvas written by a pass with an undefined outputTexture
+const SCREEN = 'screen';
+
+// Renderer-owned textures that never carry data between passes
+const INTERNAL_TEXTURES = ['textureTemp', 'textureMASS'];
+
+/**
+ * Orders filter passes by the textures they read and write instead of by declaration order.
+ *
+ * Each texture write creates a new version of that texture. A pass reads the version
+ * written by the nearest earlier writer in declaration order, or by the last writer when
+ * no earlier one exists and the pass does not update the texture in place, so passes can
+ * be declared before the passes they depend on.
+ * Textures listed in a pass's `previousFrame` are read as left by the last frame and
+ * create no dependency, which allows feedback loops without a cycle.
+ */
+class ExecutionGraph {
+    /**
+     * Build the execution plan for a set of filters
+     * @param {Object} filters - Filters keyed by name
+     * @param {Object} options - Plan options
+     * @param {string[]} options.sourceTextures - Textures filled from outside the pipeline (the loaded image)
+     * @returns {Object} { steps, outputStep, skipped, warnings } where steps are in execution order
+     * @throws {Error} If the passes that need to run form a cycle
+     */
+    static build(filters, options = {}) {
+        const { sourceTextures = [] } = options;
+        const skipped = [];
+        const warnings = [];
+        const nodes = [];
+        let outputNode = null;
+
+        for (const [filterKey, filter] of Object.entries(filters || {})) {
+            if (!Array.isArray(filter?.passes)) continue;
+
+            filter.passes.forEach((pass, passIndex) => {
+                if (!pass) return;
+
+                const node = this.createNode(filterKey, filter, pass, passIndex);
+
+                if (!filter.active || !pass.active) {
+                    skipped.push(this._describeSkipped(node, 'inactive'));
+                    return;
+                }
+
+                if (node.output === SCREEN) {
+                    // Only the first screen pass is presented, like the sequential renderer did
+                    if (outputNode) {
+                        skipped.push(this._describeSkipped(node, 'shadowed',
+                            `"${outputNode.label}" already draws to the screen`));
+                        return;
+                    }
+                    outputNode = node;
+                }
+
+                node.order = nodes.length;
+                nodes.push(node);
+            });
+        }
+
+        const writers = this._collectWriters(nodes);
+        this._linkDependencies(nodes, writers, sourceTextures, warnings);
+
+        const live = this._findLiveNodes(nodes, writers, outputNode);
+        for (const node of nodes) {
+            if (!live.has(node)) {
+                skipped.push(this._describeSkipped(node, 'unused',
+                    `no pass that runs reads ${node.writes.map(key => `"${key}"`).join(', ')}`));
+            }
+        }
+
+        const steps = this._sort(nodes.filter(node => live.has(node)));
+
+        return {
+            steps,
+            outputStep: outputNode && live.has(outputNode) ? outputNode : null,
+            skipped,
+            warnings
+        };
+    }
+
+    /**
+     * Describe the resources a pass reads and writes
+     * @param {string} filterKey - Key of the filter in the filters object
+     * @param {Object} filter - Filter configuration
+     * @param {Object} pass - Pass configuration
+     * @param {number} passIndex - Index of the pass in the filter
+     * @returns {Object} Graph node
+     */
+    static createNode(filterKey, filter, pass, passIndex) {
+        const previousFrame = Array.isArray(pass.previousFrame) ? pass.previousFrame : [];
+        const inputs = new Set(Array.isArray(pass.inputTexture) ? pass.inputTexture : []);
+
+        // Textures mapped explicitly for a derived layout are read as well
+        for (const resource of Object.values(pass.resourceBindings || {})) {
+            const texture = typeof resource === 'string' ? resource : resource?.texture;
+            if (texture) inputs.add(texture);
+        }
+
+        const reads = [...inputs].filter(key => !previousFrame.includes(key) && !INTERNAL_TEXTURES.includes(key));
+        const writes = [];
+        let output = pass.outputTexture;
+
+        if (filter.type === 'compute') {
+            // Compute passes share the filter's storage buffers, so they read and write them in order
+            const buffers = `${filterKey}.buffers`;
+            reads.push(buffers);
+            writes.push(buffers);
+        } else if (output === undefined) {
+            output = SCREEN;
+        }
+
+        // Passes with several render targets write each of them
+        if (output !== undefined) {
+            writes.push(...(Array.isArray(output) ? output : [output]));
+        }
+
+        return {
+            id: this.getStepId(filterKey, passIndex),
+            label: pass.label || `${filterKey} pass ${passIndex}`,
+            filterKey,
+            filter,
+            pass,
+            passIndex,
+            inputs: [...inputs],
+            output,
+            reads,
+            writes,
+            dependsOn: new Set(),
+            sources: new Map(), // texture key -> writer node it is read from
+            after: new Set()
+        };
+    }
+
+    /**
+     * @param {string} filterKey - Key of the filter in the filters object
+     * @param {number} passIndex - Index of the pass in the filter
+     * @returns {string} Step id used by plans and dirty tracking
+     */
+    static getStepId(filterKey, passIndex) {
+        return `${filterKey}/${passIndex}`;
+    }
+
+    /**
+     * Select the steps that have to run so every changed input reaches the screen
+     *
+     * A step runs when it is marked dirty, reads a dirty texture, draws to the screen or
+     * depends on a step that runs. Because a texture only holds its latest write, a step
+     * that runs also re-runs the later writers of its outputs, and the writer of any
+     * texture version it reads that has since been overwritten.
+     *
+     * @param {Object} plan - Result of build()
+     * @param {Object} dirty - { all, steps: Set of step ids, textures: Set of texture keys }
+     * @returns {Set<Object>} Steps to run; the rest can reuse their output from the last frame
+     */
+    static selectSteps(plan, dirty) {
+        if (dirty.all) {
+            return new Set(plan.steps);
+        }
+
+        const order = new Map(plan.steps.map((step, index) => [step, index]));
+        const writers = this._collectWriters(plan.steps);
+        const run = new Set(plan.steps.filter(step =>
+            step === plan.outputStep ||
+            dirty.steps.has(step.id) ||
+            step.reads.some(key => dirty.textures.has(key))));
+
+        let changed = true;
+        while (changed) {
+            changed = false;
+
+            for (const step of plan.steps) {
+                if (!run.has(step) && [...step.dependsOn].some(dependency => run.has(dependency))) {
+                    run.add(step);
+                    changed = true;
+                }
+
+                if (!run.has(step)) continue;
+
+                const required = [];
+
+                for (const key of step.writes) {
+                    required.push(...writers.get(key).filter(writer => order.get(writer) > order.get(step)));
+                }
+
+                for (const [key, source] of step.sources) {
+                    const overwritten = writers.get(key).some(writer => order.get(writer) > order.get(source));
+                    if (overwritten) required.push(source);
+                }
+
+                for (const writer of required) {
+                    if (!run.has(writer)) {
+                        run.add(writer);
+                        changed = true;
+                    }
+                }
+            }
+        }
+
+        return run;
+    }
+
+    /**
+     * Convert a plan into plain data for inspection
+     * @param {Object} plan - Result of build()
+     * @returns {Object} { steps, output, skipped, warnings }
+     */
+    static describe(plan) {
+        return {
+            steps: plan.steps.map(node => ({
+                id: node.id,
+                filter: node.filterKey,
+                pass: node.label,
+                passIndex: node.passIndex,
+                type: node.filter.type,
+                inputs: node.inputs,
+                output: node.output ?? null,
+                dependsOn: [...node.dependsOn].map(dependency => dependency.id)
+            })),
+            output: plan.outputStep?.id ?? null,
+            skipped: plan.skipped.map(entry => ({ ...entry })),
+            warnings: [...plan.warnings]
+        };
+    }
+
+    /**
+     * Summarize everything the plan depends on so it is only rebuilt when the graph changes
+     * @param {Object} filters - Filters keyed by name
+     * @returns {string}
+     */
+    static getSignature(filters) {
+        return JSON.stringify(Object.entries(filters || {}).map(([key, filter]) => [
+            key,
+            !!filter?.active,
+            filter?.type,
+            (filter?.passes || []).map(pass => pass && [
+                !!pass.active,
+                pass.label,
+                pass.inputTexture,
+                pass.outputTexture ?? null,
+                pass.resourceBindings,
+                pass.previousFrame,
+                !!pass.keepOutput
+            ])
+        ]));
+    }
+
+    /**
+     * @private
+     */
+    static _collectWriters(nodes) {
+        const writers = new Map();
+        for (const node of nodes) {
+            for (const key of node.writes) {
+                if (!writers.has(key)) writers.set(key, []);
+                writers.get(key).push(node);
+            }
+        }
+        return writers;
+    }
+
+    /**
+     * Add read-after-write dependencies and the write-after-read and
+     * write-after-write ordering constraints between texture versions
+     * @private
+     */
+    static _linkDependencies(nodes, writers, sourceTextures, warnings) {
+        const readers = new Map(); // writer node -> key -> reader nodes
+
+        for (const node of nodes) {
+            for (const key of node.reads) {
+                const keyWriters = (writers.get(key) || []).filter(writer => writer !== node);
+
+                if (keyWriters.length === 0) {
+                    if (!sourceTextures.includes(key) && !key.endsWith('.buffers')) {
+                        warnings.push(
+                            `Pass "${node.label}" reads "${key}" which no other active pass writes ` +
+                            'and which is not loaded from the image source'
+                        );
+                    }
+                    continue;
+                }
+
+                // A pass that updates a texture in place reads what was there before it
+                const earlier = keyWriters.filter(writer => writer.order < node.order);
+                const writer = earlier.length > 0 ? earlier[earlier.length - 1] :
+                    node.writes.includes(key) ? null : keyWriters[keyWriters.length - 1];
+
+                if (!writer) continue;
+
+                node.dependsOn.add(writer);
+                node.sources.set(key, writer);
+                node.after.add(writer);
+
+                if (!readers.has(writer)) readers.set(writer, new Map());
+                const byKey = readers.get(writer);
+                if (!byKey.has(key)) byKey.set(key, []);
+                byKey.get(key).push(node);
+            }
+        }
+
+        for (const [key, keyWriters] of writers) {
+            for (let i = 1; i < keyWriters.length; i++) {
+                const writer = keyWriters[i];
+                const previous = keyWriters[i - 1];
+
+                writer.after.add(previous);
+
+                // Overwriting must wait for every pass that reads the previous version
+                for (const reader of readers.get(previous)?.get(key) || []) {
+                    if (reader !== writer) writer.after.add(reader);
+                }
+            }
+        }
+    }
+
+    /**
+     * Passes are needed when they draw to the screen, write compute buffers the
+     * application reads back, set `keepOutput`, or feed a pass that is needed.
+     * Without a screen pass the last write of every texture is kept.
+     * @private
+     */
+    static _findLiveNodes(nodes, writers, outputNode) {
+        const roots = nodes.filter(node =>
+            node === outputNode || node.filter.type === 'compute' || node.pass.keepOutput);
+
+        if (!outputNode) {
+            for (const keyWriters of writers.values()) {
+                roots.push(keyWriters[keyWriters.length - 1]);
+            }
+        }
+
+        const live = new Set();
+        const stack = [...roots];
+        while (stack.length > 0) {
+            const node = stack.pop();
+            if (live.has(node)) continue;
+            live.add(node);
+            stack.push(...node.dependsOn);
+        }
+        return live;
+    }
+
+    /**
+     * Topological sort that keeps declaration order among independent passes
+     * @private
+     */
+    static _sort(nodes) {
+        const included = new Set(nodes);
+        const pending = new Map(nodes.map(node => [
+            node,
+            [...node.after].filter(dependency => included.has(dependency) && dependency !== node).length
+        ]));
+        const sorted = [];
+
+        while (sorted.length < nodes.length) {
+            const next = nodes.find(node => pending.get(node) === 0);
+            if (!next) {
+                throw new Error(`Filter passes form a cycle: ${this._findCycle(nodes.filter(node => pending.get(node) > 0))}. ` +
+                    'List a texture in pass.previousFrame to read the result of the last frame instead');
+            }
+
+            pending.set(next, -1);
+            sorted.push(next);
+
+            for (const node of nodes) {
+                if (node.after.has(next) && node !== next && pending.get(node) > 0) {
+                    pending.set(node, pending.get(node) - 1);
+                }
+            }
+        }
+
+        return sorted;
+    }
+
+    /**
+     * Follow ordering edges among the unsorted passes until one repeats
+     * @private
+     */
+    static _findCycle(remaining) {
+        const candidates = new Set(remaining);
+        const path = [];
+        let node = remaining[0];
+
+        while (!path.includes(node)) {
+            path.push(node);
+            node = [...node.after].find(dependency => candidates.has(dependency) && dependency !== node);
+        }
+
+        return [...path.slice(path.indexOf(node)), node].map(entry => `"${entry.label}"`).join(' -> ');
+    }
+
+    /**
+     * @private
+     */
+    static _describeSkipped(node, reason, detail) {
+        return {
+            id: node.id,
+            filter: node.filterKey,
+            pass: node.label,
+            passIndex: node.passIndex,
+            reason,
+            ...(detail && { detail })
+        };
+    }
+}
+
+export default ExecutionGraph;
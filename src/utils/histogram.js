@@ -78,6 +78,7 @@ class Histogram {
 
             if (histogramFilter && !histogramFilter.resources) {
                 histogramFilter.resources = await renderer.pipelineManager.createFilterPipeline(histogramFilter);
+                renderer.filterManager?.markFilterDirty('histogramCompute');
 
                 if (!histogramFilter?.resources?.buffer) {
                     throw new Error('Histogram buffer could not be recreated');
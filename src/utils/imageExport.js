@@ -0,0 +1,303 @@
+const MIME_TYPES = {
+    png: 'image/png',
+    webp: 'image/webp',
+    jpeg: 'image/jpeg'
+};
+
+// Bytes per texel for the texture formats that can be read back
+const BYTES_PER_PIXEL = {
+    'rgba8unorm': 4,
+    'rgba8unorm-srgb': 4,
+    'bgra8unorm': 4,
+    'bgra8unorm-srgb': 4,
+    'rgba16float': 8,
+    'rgba32float': 16
+};
+
+class ImageExport {
+    /**
+     * Read back a texture and return it as an encoded image or raw pixels
+     * @param {WebGpuRenderer} renderer - The WebGPU renderer instance
+     * @param {Object} options - Export options
+     * @param {string} options.texture - Texture key to export, defaults to the output of the final pass
+     * @param {string} options.format - 'png', 'webp', 'jpeg' or 'raw'
+     * @param {number} options.quality - Encoder quality between 0 and 1 for 'webp' and 'jpeg'
+     * @param {AbortSignal} options.signal - Stops the export before the read back or encoding
+     * @returns {Promise<Blob|ImageData|Float32Array>} A Blob for encoded formats, ImageData for
+     * 8-bit textures or a Float32Array (RGBA, row-major) for 16/32-bit float textures when format is 'raw'
+     */
+    static async exportImage(renderer, options = {}) {
+        const { texture: textureKey, format = 'png', quality, signal } = options;
+
+        this.validateFormat(format);
+
+        let texture;
+        let exportTexture = null;
+
+        if (textureKey) {
+            texture = renderer.textureManager.getTexture(textureKey);
+            if (!texture) {
+                throw new Error(`Texture ${textureKey} not found for export`);
+            }
+        } else {
+            exportTexture = await this.renderFinalPass(renderer);
+            texture = exportTexture;
+        }
+
+        try {
+            const pixels = await this.readTexturePixels(renderer, texture, signal);
+            signal?.throwIfAborted();
+            return this.encodePixels(pixels, texture.width, texture.height, format, quality);
+        } finally {
+            exportTexture?.destroy();
+        }
+    }
+
+    /**
+     * @param {string} format - Export format
+     * @throws {Error} If the format is not 'png', 'webp', 'jpeg' or 'raw'
+     */
+    static validateFormat(format) {
+        if (format !== 'raw' && !MIME_TYPES[format]) {
+            throw new Error(`Unsupported export format "${format}". Use 'png', 'webp', 'jpeg' or 'raw'`);
+        }
+    }
+
+    /**
+     * Turn read back pixels into the requested export format
+     * @param {Uint8ClampedArray|Float32Array} pixels - RGBA pixels
+     * @param {number} width - Width in pixels
+     * @param {number} height - Height in pixels
+     * @param {string} format - 'png', 'webp', 'jpeg' or 'raw'
+     * @param {number} quality - Encoder quality for 'webp' and 'jpeg'
+     * @returns {Promise<Blob|ImageData|Float32Array>}
+     */
+    static async encodePixels(pixels, width, height, format, quality) {
+        const isFloat = pixels instanceof Float32Array;
+
+        if (format === 'raw') {
+            return isFloat ? pixels : this.createImageData(pixels, width, height);
+        }
+
+        const imageData = this.createImageData(isFloat ? this.floatToUint8(pixels) : pixels, width, height);
+
+        return this.encodeImageData(imageData, MIME_TYPES[format], quality);
+    }
+
+    /**
+     * Render the final (screen) pass into an offscreen texture instead of the canvas
+     * @param {WebGpuRenderer} renderer - The WebGPU renderer instance
+     * @returns {Promise<GPUTexture>} Texture holding the final pass output, destroyed by the caller
+     */
+    static async renderFinalPass(renderer) {
+        const final = this.findFinalPass(renderer.filterManager.getExecutionPlan());
+
+        if (!final) {
+            throw new Error('No final pass found to export. Pass a texture key instead');
+        }
+        if (final.filter.type !== 'fragment') {
+            throw new Error(`Final pass ${final.pass.label} is not a fragment pass. Pass a texture key instead`);
+        }
+
+        const texture = renderer.device.createTexture({
+            label: 'Export Texture',
+            size: {
+                width: renderer.canvas.width,
+                height: renderer.canvas.height,
+                depthOrArrayLayers: 1
+            },
+            format: renderer.presentationFormat,
+            usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.COPY_SRC
+        });
+
+        await renderer.filterManager.executeFilterPass(final.pass, final.filter.type, final.filter, texture);
+
+        return texture;
+    }
+
+    /**
+     * Find the pass that draws to the screen
+     * @param {Object} plan - Execution plan from FilterManager.getExecutionPlan()
+     * @returns {{filter: Object, pass: Object}|null}
+     */
+    static findFinalPass(plan) {
+        const step = plan.outputStep;
+        return step ? { filter: step.filter, pass: step.pass } : null;
+    }
+
+    /**
+     * Copy a texture into a mappable buffer and unpack it into tightly packed RGBA pixels
+     * @param {WebGpuRenderer} renderer - The WebGPU renderer instance
+     * @param {GPUTexture} texture - Texture to read, must have COPY_SRC usage
+     * @param {AbortSignal} signal - Optional, checked before the copy and once the GPU has finished it
+     * @returns {Promise<Uint8ClampedArray|Float32Array>} RGBA pixels
+     */
+    static async readTexturePixels(renderer, texture, signal) {
+        const { width, height, format } = texture;
+        const bytesPerPixel = BYTES_PER_PIXEL[format];
+
+        if (!bytesPerPixel) {
+            throw new Error(`Texture format ${format} cannot be exported`);
+        }
+
+        // copyTextureToBuffer requires bytesPerRow to be a multiple of 256
+        const unpaddedBytesPerRow = width * bytesPerPixel;
+        const bytesPerRow = Math.ceil(unpaddedBytesPerRow / 256) * 256;
+
+        // Make sure every pending pass has been submitted before reading
+        await renderer.commandQueue.flush();
+        signal?.throwIfAborted();
+
+        const readBackBuffer = renderer.device.createBuffer({
+            size: bytesPerRow * height,
+            usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST,
+            label: 'Export ReadBack Buffer'
+        });
+
+        try {
+            const commandEncoder = renderer.device.createCommandEncoder({
+                label: 'Read Export Texture'
+            });
+
+            commandEncoder.copyTextureToBuffer(
+                { texture },
+                { buffer: readBackBuffer, bytesPerRow, rowsPerImage: height },
+                { width, height, depthOrArrayLayers: 1 }
+            );
+
+            renderer.device.queue.submit([commandEncoder.finish()]);
+
+            await readBackBuffer.mapAsync(GPUMapMode.READ);
+            signal?.throwIfAborted();
+            const mapped = new Uint8Array(readBackBuffer.getMappedRange());
+
+            // Strip the row padding
+            const packed = new Uint8Array(unpaddedBytesPerRow * height);
+            for (let y = 0; y < height; y++) {
+                packed.set(
+                    mapped.subarray(y * bytesPerRow, y * bytesPerRow + unpaddedBytesPerRow),
+                    y * unpaddedBytesPerRow
+                );
+            }
+
+            readBackBuffer.unmap();
+
+            return this.unpackPixels(packed.buffer, format);
+        } finally {
+            readBackBuffer.destroy();
+        }
+    }
+
+    /**
+     * Convert tightly packed texel data to RGBA pixels
+     * @param {ArrayBuffer} buffer - Packed texel data
+     * @param {string} format - Texture format
+     * @returns {Uint8ClampedArray|Float32Array}
+     */
+    static unpackPixels(buffer, format) {
+        if (format === 'rgba32float') {
+            return new Float32Array(buffer);
+        }
+
+        if (format === 'rgba16float') {
+            const halfs = new Uint16Array(buffer);
+            const floats = new Float32Array(halfs.length);
+            for (let i = 0; i < halfs.length; i++) {
+                floats[i] = this.halfToFloat(halfs[i]);
+            }
+            return floats;
+        }
+
+        const pixels = new Uint8ClampedArray(buffer);
+
+        // Swizzle BGRA to RGBA
+        if (format.startsWith('bgra')) {
+            for (let i = 0; i < pixels.length; i += 4) {
+                const b = pixels[i];
+                pixels[i] = pixels[i + 2];
+                pixels[i + 2] = b;
+            }
+        }
+
+        return pixels;
+    }
+
+    /**
+     * Decode an IEEE 754 half precision value
+     * @param {number} half - 16-bit encoded value
+     * @returns {number}
+     */
+    static halfToFloat(half) {
+        const sign = half & 0x8000 ? -1 : 1;
+        const exponent = (half >> 10) & 0x1f;
+        const fraction = half & 0x03ff;
+
+        if (exponent === 0) {
+            return sign * Math.pow(2, -14) * (fraction / 1024);
+        }
+        if (exponent === 0x1f) {
+            return fraction ? NaN : sign * Infinity;
+        }
+        return sign * Math.pow(2, exponent - 15) * (1 + fraction / 1024);
+    }
+
+    /**
+     * Clamp float RGBA pixels to 8-bit for image encoders
+     * @param {Float32Array} floats - RGBA pixels in the 0-1 range
+     * @returns {Uint8ClampedArray}
+     */
+    static floatToUint8(floats) {
+        const pixels = new Uint8ClampedArray(floats.length);
+        for (let i = 0; i < floats.length; i++) {
+            pixels[i] = Math.round(floats[i] * 255);
+        }
+        return pixels;
+    }
+
+    /**
+     * Wrap 8-bit RGBA pixels in ImageData, or an object of the same shape where
+     * ImageData does not exist (headless mode in Node)
+     * @param {Uint8ClampedArray} pixels - RGBA pixels
+     * @param {number} width - Width in pixels
+     * @param {number} height - Height in pixels
+     * @returns {ImageData|{width: number, height: number, data: Uint8ClampedArray}}
+     */
+    static createImageData(pixels, width, height) {
+        if (typeof ImageData === 'undefined') {
+            return { width, height, data: pixels };
+        }
+        return new ImageData(pixels, width, height);
+    }
+
+    /**
+     * Encode ImageData with the browser image encoder
+     * @param {ImageData} imageData - Pixels to encode
+     * @param {string} type - MIME type
+     * @param {number} quality - Encoder quality between 0 and 1
+     * @returns {Promise<Blob>}
+     */
+    static async encodeImageData(imageData, type, quality) {
+        if (typeof OffscreenCanvas !== 'undefined') {
+            const canvas = new OffscreenCanvas(imageData.width, imageData.height);
+            canvas.getContext('2d').putImageData(imageData, 0, 0);
+            return canvas.convertToBlob({ type, quality });
+        }
+
+        if (typeof document === 'undefined') {
+            throw new Error(`Encoding ${type} needs OffscreenCanvas or a DOM, use format 'raw' in headless mode`);
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = imageData.width;
+        canvas.height = imageData.height;
+        canvas.getContext('2d').putImageData(imageData, 0, 0);
+
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => {
+                blob ? resolve(blob) : reject(new Error(`Failed to encode image as ${type}`));
+            }, type, quality);
+        });
+    }
+}
+
+export default ImageExport
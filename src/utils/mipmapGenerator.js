@@ -0,0 +1,125 @@
+// Each texel of a level averages the 2x2 texels above it, clamped at odd edges.
+// textureLoad needs no sampler, so every format works including unfilterable float
+const MIPMAP_SHADER = `
+struct VertexOutput {
+    @builtin(position) position: vec4<f32>,
+    @location(0) texCoord: vec2<f32>,
+};
+
+@group(0) @binding(0) var sourceLevel: texture_2d<f32>;
+
+@vertex
+fn vs(@location(0) position: vec2<f32>, @location(1) texCoord: vec2<f32>) -> VertexOutput {
+    var output: VertexOutput;
+    output.position = vec4<f32>(position, 0.0, 1.0);
+    output.texCoord = texCoord;
+    return output;
+}
+
+@fragment
+fn fs(input: VertexOutput) -> @location(0) vec4<f32> {
+    let last = vec2<i32>(textureDimensions(sourceLevel)) - vec2<i32>(1, 1);
+    let base = vec2<i32>(input.position.xy) * 2;
+    var color = vec4<f32>(0.0);
+    for (var y = 0; y < 2; y++) {
+        for (var x = 0; x < 2; x++) {
+            color += textureLoad(sourceLevel, min(base + vec2<i32>(x, y), last), 0);
+        }
+    }
+    return color * 0.25;
+}
+`;
+
+/**
+ * Fills the mip levels of a texture from level 0, used by passes with `generateMipmaps: true`
+ */
+class MipmapGenerator {
+    constructor(device) {
+        this.device = device;
+        this.shaderModule = null;
+        this.pipelines = new Map(); // format -> render pipeline
+    }
+
+    /**
+     * @param {string} format - Format of the texture being filled
+     * @returns {GPURenderPipeline}
+     */
+    getPipeline(format) {
+        if (!this.pipelines.has(format)) {
+            this.shaderModule ??= this.device.createShaderModule({
+                label: 'Mipmap Generator',
+                code: MIPMAP_SHADER
+            });
+
+            this.pipelines.set(format, this.device.createRenderPipeline({
+                label: `Mipmap Generator ${format}`,
+                layout: 'auto',
+                vertex: {
+                    module: this.shaderModule,
+                    entryPoint: 'vs',
+                    buffers: [
+                        {
+                            arrayStride: 8,
+                            attributes: [{ shaderLocation: 0, format: 'float32x2', offset: 0 }]
+                        },
+                        {
+                            arrayStride: 8,
+                            attributes: [{ shaderLocation: 1, format: 'float32x2', offset: 0 }]
+                        }
+                    ]
+                },
+                fragment: {
+                    module: this.shaderModule,
+                    entryPoint: 'fs',
+                    targets: [{ format }]
+                }
+            }));
+        }
+
+        return this.pipelines.get(format);
+    }
+
+    /**
+     * Queue one render pass per mip level, each downsampling the level before it
+     * @param {CommandQueueManager} commandQueue - Queue the passes are added to
+     * @param {GPUTexture} texture - Texture whose level 0 has been rendered
+     * @param {Object} vertexBuffers - { positionBuffer, texCordBuffer } of the fullscreen triangle
+     * @param {string} label - Label prefix of the passes
+     */
+    generate(commandQueue, texture, vertexBuffers, label = texture.label) {
+        const pipeline = this.getPipeline(texture.format);
+
+        for (let level = 1; level < texture.mipLevelCount; level++) {
+            const bindGroup = this.device.createBindGroup({
+                label: `${label} mip ${level}`,
+                layout: pipeline.getBindGroupLayout(0),
+                entries: [{
+                    binding: 0,
+                    resource: texture.createView({ baseMipLevel: level - 1, mipLevelCount: 1 })
+                }]
+            });
+
+            commandQueue.addRenderPass({
+                label: `${label} mip ${level}`,
+                descriptor: {
+                    label: `${label} mip ${level}`,
+                    colorAttachments: [{
+                        view: texture.createView({ baseMipLevel: level, mipLevelCount: 1 }),
+                        loadOp: 'clear',
+                        storeOp: 'store',
+                        clearValue: [0, 0, 0, 0]
+                    }]
+                },
+                commands: (renderPass) => {
+                    renderPass.setPipeline(pipeline);
+                    renderPass.setBindGroup(0, bindGroup);
+                    renderPass.setVertexBuffer(0, vertexBuffers.positionBuffer);
+                    renderPass.setVertexBuffer(1, vertexBuffers.texCordBuffer);
+                    renderPass.draw(3);
+                }
+            });
+        }
+    }
+}
+
+export default MipmapGenerator;
@@ -0,0 +1,554 @@
+import GPUUtils from '../core/gpuUtils.js';
+import ImageExport from './imageExport.js';
+
+// Draws a texture as a quad placed by an affine transform in clip space:
+// position = origin + corner.x * xAxis + corner.y * yAxis, with corner in 0-1
+const OUTPUT_SHADER = `
+struct Placement {
+    xAxis: vec2<f32>,
+    yAxis: vec2<f32>,
+    origin: vec2<f32>,
+};
+
+struct VertexOutput {
+    @builtin(position) position: vec4<f32>,
+    @location(0) texCoord: vec2<f32>,
+};
+
+@group(0) @binding(0) var outputSampler: sampler;
+@group(0) @binding(1) var outputTexture: texture_2d<f32>;
+@group(0) @binding(2) var<uniform> placement: Placement;
+
+@vertex
+fn vs(@builtin(vertex_index) index: u32) -> VertexOutput {
+    let corner = vec2<f32>(f32(index & 1u), f32(index >> 1u));
+    var output: VertexOutput;
+    output.position = vec4<f32>(placement.origin + corner.x * placement.xAxis + corner.y * placement.yAxis, 0.0, 1.0);
+    output.texCoord = corner;
+    return output;
+}
+
+@fragment
+fn fs(input: VertexOutput) -> @location(0) vec4<f32> {
+    return textureSample(outputTexture, outputSampler, input.texCoord);
+}
+`;
+
+// Id of the target drawFrame presents the screen output with
+const PRESENTATION_TARGET = 'presentation';
+
+/**
+ * Shows textures of the processed frame on any number of canvases, each with its own transform.
+ *
+ * Targets only draw textures the filters already produced, so panning a view or updating a
+ * navigator thumbnail does not re-run the filter chain. Several targets can share a canvas,
+ * e.g. the two halves of a before/after split; they are drawn in the order they were added.
+ */
+class OutputTargetManager {
+    constructor(app) {
+        this.app = app;
+        this.targets = new Map();
+        this.canvases = new Map(); // canvas -> { context, format }
+        this.device = null;
+        this.shaderModule = null;
+        this.pipelines = new Map();
+        this.screenTexture = null;
+    }
+
+    /**
+     * Register an output target
+     * @param {string} id - Target id
+     * @param {Object} options - Target options
+     * @param {HTMLCanvasElement|OffscreenCanvas} options.canvas - Canvas to draw into, configured for WebGPU here
+     * @param {string} options.texture - Texture key to show, defaults to the output of the screen pass
+     * @param {Object} options.transform - { scale, x, y, rotation, flipX, flipY } placing the image in canvas
+     * pixels like the transformations passed to updateOutputCanvas, rotation in radians, see getTransformMatrix
+     * @param {string} options.fit - 'contain' or 'cover' to fit the image into the viewport instead of using transform
+     * @param {Object} options.viewport - { x, y, width, height } region of the canvas the target draws in, defaults to the whole canvas
+     * @param {Object} options.clip - { x, y, width, height } pixels outside are left untouched, defaults to the viewport
+     * @param {string} options.filter - 'linear' (default) or 'nearest' sampling
+     * @param {number[]} options.clearValue - Color the canvas is cleared to by its first target, default transparent
+     * @returns {string} The target id
+     */
+    addOutputTarget(id, options) {
+        if (!options?.canvas) {
+            throw new Error(`Output target ${id} needs a canvas`);
+        }
+        if (this.targets.has(id)) {
+            this.removeOutputTarget(id);
+        }
+
+        this.targets.set(id, {
+            id,
+            canvas: options.canvas,
+            texture: options.texture,
+            transform: { scale: 1, x: 0, y: 0, rotation: 0, flipX: false, flipY: false, ...options.transform },
+            fit: options.fit,
+            viewport: options.viewport,
+            clip: options.clip,
+            filter: options.filter || 'linear',
+            clearValue: options.clearValue || [0, 0, 0, 0],
+            uniformBuffer: null,
+            bindGroup: null,
+            bindGroupKey: null
+        });
+
+        return id;
+    }
+
+    /**
+     * Change options of a target, e.g. its transform while panning
+     * @param {string} id - Target id
+     * @param {Object} changes - Options as for addOutputTarget; transform is merged
+     */
+    updateOutputTarget(id, changes) {
+        const target = this.targets.get(id);
+        if (!target) {
+            throw new Error(`Output target ${id} not found`);
+        }
+
+        const { transform, canvas, ...rest } = changes;
+        if (canvas && canvas !== target.canvas) {
+            // Keep the placement buffer, removeOutputTarget destroys the one of the target
+            const { uniformBuffer } = target;
+            target.uniformBuffer = null;
+            this.removeOutputTarget(id);
+            this.targets.set(id, { ...target, canvas, uniformBuffer, bindGroup: null, bindGroupKey: null });
+        }
+
+        Object.assign(this.targets.get(id), rest);
+        if (transform) {
+            Object.assign(this.targets.get(id).transform, transform);
+        }
+    }
+
+    /**
+     * @param {string} id - Target id
+     */
+    removeOutputTarget(id) {
+        const target = this.targets.get(id);
+        if (!target) return;
+
+        this.targets.delete(id);
+        target.uniformBuffer?.destroy();
+
+        // Give the canvas back once no target draws into it
+        if (![...this.targets.values()].some(other => other.canvas === target.canvas)) {
+            this.canvases.get(target.canvas)?.context.unconfigure();
+            this.canvases.delete(target.canvas);
+        }
+    }
+
+    /**
+     * Show the screen output on a WebGPU canvas, replacing the 2D canvas copy of drawFrame
+     * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Canvas to present to
+     * @param {Object} transform - { scale, x, y, rotation, flipX, flipY } in canvas pixels
+     */
+    setPresentation(canvas, transform) {
+        const target = this.targets.get(PRESENTATION_TARGET);
+
+        if (target?.canvas === canvas) {
+            Object.assign(target.transform, transform);
+            return;
+        }
+
+        this.addOutputTarget(PRESENTATION_TARGET, { canvas, transform });
+    }
+
+    clearPresentation() {
+        this.removeOutputTarget(PRESENTATION_TARGET);
+    }
+
+    /**
+     * Draw every target from the textures of the last processed frame
+     * @returns {Promise<void>}
+     */
+    async render() {
+        if (this.targets.size === 0) return;
+
+        const { device } = this.app;
+        if (device !== this.device) {
+            this._reset(device);
+        }
+
+        const textures = await this._resolveTextures();
+
+        // The textures are written by queued passes, submit those first
+        await this.app.commandQueue.flush();
+
+        const encoder = device.createCommandEncoder({ label: 'Output targets' });
+        const views = new Map(); // canvas -> current texture view of this frame
+
+        for (const target of this.targets.values()) {
+            const texture = textures.get(target.texture);
+            const { context, format } = this._getCanvasContext(target.canvas);
+            const width = target.canvas.width;
+            const height = target.canvas.height;
+
+            const firstOnCanvas = !views.has(target.canvas);
+            if (firstOnCanvas) {
+                views.set(target.canvas, context.getCurrentTexture().createView());
+            }
+
+            const viewport = this._clampRect(target.viewport, width, height);
+            const clip = this._clampRect(target.clip || viewport, width, height);
+            const pipeline = this._getPipeline(format, texture, target.filter);
+
+            device.queue.writeBuffer(this._getUniformBuffer(target), 0, this.getPlacement(target, texture, viewport));
+
+            const renderPass = encoder.beginRenderPass({
+                label: `Output target ${target.id}`,
+                colorAttachments: [{
+                    view: views.get(target.canvas),
+                    loadOp: firstOnCanvas ? 'clear' : 'load',
+                    storeOp: 'store',
+                    clearValue: target.clearValue
+                }]
+            });
+
+            if (viewport.width > 0 && viewport.height > 0 && clip.width > 0 && clip.height > 0) {
+                renderPass.setViewport(viewport.x, viewport.y, viewport.width, viewport.height, 0, 1);
+                renderPass.setScissorRect(clip.x, clip.y, clip.width, clip.height);
+                renderPass.setPipeline(pipeline.pipeline);
+                renderPass.setBindGroup(0, this._getBindGroup(target, texture, pipeline));
+                renderPass.draw(4);
+            }
+            renderPass.end();
+        }
+
+        device.queue.submit([encoder.finish()]);
+    }
+
+    /**
+     * Affine transform from image pixels to pixels of the target's viewport, as the arguments of
+     * CanvasRenderingContext2D.setTransform. The image is scaled, then rotated and flipped around
+     * its center, so x and y stay the top left corner of the unrotated image
+     * @param {Object} target - Output target
+     * @param {{width: number, height: number}} size - Size of the texture the target shows
+     * @param {Object} viewport - { x, y, width, height } in canvas pixels
+     * @returns {{a: number, b: number, c: number, d: number, e: number, f: number}}
+     */
+    getTransformMatrix(target, size, viewport) {
+        const { rotation = 0, flipX = false, flipY = false } = target.transform;
+        let { scale, x, y } = target.transform;
+        const cos = Math.cos(rotation);
+        const sin = Math.sin(rotation);
+
+        if (target.fit === 'contain' || target.fit === 'cover') {
+            // Fit the bounding box of the rotated image
+            const boundsWidth = Math.abs(cos) * size.width + Math.abs(sin) * size.height;
+            const boundsHeight = Math.abs(sin) * size.width + Math.abs(cos) * size.height;
+            scale = Math[target.fit === 'contain' ? 'min' : 'max'](
+                viewport.width / boundsWidth,
+                viewport.height / boundsHeight
+            );
+            x = (viewport.width - size.width * scale) / 2;
+            y = (viewport.height - size.height * scale) / 2;
+        }
+
+        // Rotation (clockwise on screen) after flipping and scaling
+        const scaleX = flipX ? -scale : scale;
+        const scaleY = flipY ? -scale : scale;
+        const a = cos * scaleX;
+        const b = sin * scaleX;
+        const c = -sin * scaleY;
+        const d = cos * scaleY;
+
+        // Keep the image center where the unrotated image has it
+        const centerX = size.width / 2;
+        const centerY = size.height / 2;
+
+        return {
+            a, b, c, d,
+            e: x + scale * centerX - (a * centerX + c * centerY),
+            f: y + scale * centerY - (b * centerX + d * centerY)
+        };
+    }
+
+    /**
+     * Clip-space placement of a target's image inside its viewport
+     * @param {Object} target - Output target
+     * @param {GPUTexture} texture - Texture the target shows
+     * @param {Object} viewport - { x, y, width, height } in canvas pixels
+     * @returns {Float32Array} xAxis, yAxis and origin as in the output shader
+     */
+    getPlacement(target, texture, viewport) {
+        const { a, b, c, d, e, f } = this.getTransformMatrix(target, texture, viewport);
+
+        // Pixels of the viewport to clip space, y pointing up
+        const toClipX = 2 / viewport.width;
+        const toClipY = -2 / viewport.height;
+
+        return new Float32Array([
+            a * texture.width * toClipX, b * texture.width * toClipY,
+            c * texture.height * toClipX, d * texture.height * toClipY,
+            e * toClipX - 1, f * toClipY + 1,
+            0, 0
+        ]);
+    }
+
+    /**
+     * Map a point of a target's canvas back to pixel coordinates of the image it shows, e.g. for picking
+     * @param {number} x - Horizontal position in canvas pixels
+     * @param {number} y - Vertical position in canvas pixels
+     * @param {string} id - Target id, defaults to the presentation canvas of drawFrame
+     * @returns {{x: number, y: number, inside: boolean}} Pixel coordinates in the full-resolution source
+     * image, whatever ratio it renders at. inside is false when the point misses the image or lies
+     * outside the target's viewport or clip
+     */
+    screenToImage(x, y, id = PRESENTATION_TARGET) {
+        const target = this.targets.get(id);
+        if (!target) {
+            throw new Error(`Output target ${id} not found`);
+        }
+
+        const { width, height } = target.canvas;
+        const viewport = this._clampRect(target.viewport, width, height);
+        const clip = this._clampRect(target.clip || viewport, width, height);
+        const size = this._getTextureSize(target);
+        const { a, b, c, d, e, f } = this.getTransformMatrix(target, size, viewport);
+
+        const determinant = a * d - b * c;
+        if (determinant === 0) {
+            return { x: NaN, y: NaN, inside: false };
+        }
+
+        const localX = x - viewport.x - e;
+        const localY = y - viewport.y - f;
+        const imageX = (d * localX - c * localY) / determinant;
+        const imageY = (a * localY - b * localX) / determinant;
+
+        const inRect = (rect) => x >= rect.x && x < rect.x + rect.width && y >= rect.y && y < rect.y + rect.height;
+
+        // The texture holds the source at the render ratio, of a preview too
+        const source = this._getSourceSize() ?? size;
+
+        return {
+            x: imageX * source.width / size.width,
+            y: imageY * source.height / size.height,
+            inside: imageX >= 0 && imageX < size.width && imageY >= 0 && imageY < size.height &&
+                inRect(viewport) && inRect(clip)
+        };
+    }
+
+    /**
+     * Release GPU objects and canvases. Targets stay registered and are set up again on the next render
+     */
+    dispose() {
+        for (const target of this.targets.values()) {
+            target.uniformBuffer?.destroy();
+        }
+        this.screenTexture?.destroy();
+        this._reset(null);
+    }
+
+    /**
+     * Size of the texture a target shows, the screen output has the size of the renderer's canvas
+     * @private
+     */
+    _getTextureSize(target) {
+        if (target.texture === undefined) {
+            return { width: this.app.canvas.width, height: this.app.canvas.height };
+        }
+
+        const texture = this.app.textureManager.getTexture(target.texture);
+        if (!texture) {
+            throw new Error(`Texture ${target.texture} for an output target not found`);
+        }
+        return { width: texture.width, height: texture.height };
+    }
+
+    /**
+     * Size of the loaded image or video at full resolution, null without a source
+     * @private
+     */
+    _getSourceSize() {
+        const { app } = this;
+
+        if (app.imageArray?.[app.imageIndex]?.type === 'Video') {
+            const video = app.videoProcessor?.videoElement;
+            return video?.videoWidth ? { width: video.videoWidth, height: video.videoHeight } : null;
+        }
+        return app.image?.width ? { width: app.image.width, height: app.image.height } : null;
+    }
+
+    /**
+     * Look up the texture of every target. The screen output only exists in the canvas while a
+     * frame is presented, so the screen pass is rendered once more into a texture the targets share
+     * @private
+     */
+    async _resolveTextures() {
+        const textures = new Map();
+
+        for (const { texture: key } of this.targets.values()) {
+            if (textures.has(key)) continue;
+
+            if (key === undefined) {
+                textures.set(key, await this._renderScreenTexture());
+                continue;
+            }
+
+            const texture = this.app.textureManager.getTexture(key);
+            if (!texture) {
+                throw new Error(`Texture ${key} for an output target not found`);
+            }
+            textures.set(key, texture);
+        }
+
+        return textures;
+    }
+
+    /**
+     * @private
+     */
+    async _renderScreenTexture() {
+        const { filterManager, canvas, device, presentationFormat } = this.app;
+        const final = ImageExport.findFinalPass(filterManager.getExecutionPlan());
+
+        if (!final || final.filter.type !== 'fragment') {
+            throw new Error('No fragment pass draws to the screen. Bind the output target to a texture instead');
+        }
+
+        if (!this.screenTexture || this.screenTexture.width !== canvas.width ||
+            this.screenTexture.height !== canvas.height) {
+            this.screenTexture?.destroy();
+            this.screenTexture = device.createTexture({
+                label: 'Output Target Screen Texture',
+                size: { width: canvas.width, height: canvas.height, depthOrArrayLayers: 1 },
+                format: presentationFormat,
+                usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_SRC
+            });
+        }
+
+        await filterManager.executeFilterPass(final.pass, final.filter.type, final.filter, this.screenTexture);
+        return this.screenTexture;
+    }
+
+    /**
+     * @private
+     */
+    _getCanvasContext(canvas) {
+        if (!this.canvases.has(canvas)) {
+            const context = canvas.getContext('webgpu');
+            if (!context) {
+                throw new Error('Failed to get a WebGPU context for an output target canvas');
+            }
+
+            const format = this.app.presentationFormat;
+            context.configure({ device: this.device, format, alphaMode: 'premultiplied' });
+            this.canvases.set(canvas, { context, format });
+        }
+        return this.canvases.get(canvas);
+    }
+
+    /**
+     * @private
+     */
+    _getPipeline(format, texture, filter) {
+        const filterable = GPUUtils.isFilterableFormat(texture.format, this.device);
+        const linear = filter !== 'nearest' && filterable;
+        const key = `${format}|${linear}|${filterable}`;
+
+        if (!this.pipelines.has(key)) {
+            this.shaderModule ??= this.device.createShaderModule({ label: 'Output Target', code: OUTPUT_SHADER });
+
+            const bindGroupLayout = this.device.createBindGroupLayout({
+                label: `Output Target ${key}`,
+                entries: [
+                    { binding: 0, visibility: GPUShaderStage.FRAGMENT, sampler: { type: filterable ? 'filtering' : 'non-filtering' } },
+                    { binding: 1, visibility: GPUShaderStage.FRAGMENT, texture: { sampleType: filterable ? 'float' : 'unfilterable-float' } },
+                    { binding: 2, visibility: GPUShaderStage.VERTEX, buffer: { type: 'uniform' } }
+                ]
+            });
+
+            const pipeline = this.device.createRenderPipeline({
+                label: `Output Target ${key}`,
+                layout: this.device.createPipelineLayout({ bindGroupLayouts: [bindGroupLayout] }),
+                vertex: { module: this.shaderModule, entryPoint: 'vs' },
+                fragment: { module: this.shaderModule, entryPoint: 'fs', targets: [{ format }] },
+                primitive: { topology: 'triangle-strip' }
+            });
+
+            this.pipelines.set(key, {
+                key,
+                pipeline,
+                bindGroupLayout,
+                sampler: GPUUtils.createStandardSampler(this.device, { filter: linear ? 'linear' : 'nearest' })
+            });
+        }
+
+        return this.pipelines.get(key);
+    }
+
+    /**
+     * @private
+     */
+    _getUniformBuffer(target) {
+        if (!target.uniformBuffer) {
+            target.uniformBuffer = this.device.createBuffer({
+                label: `Output target ${target.id} placement`,
+                size: 32,
+                usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+            });
+        }
+        return target.uniformBuffer;
+    }
+
+    /**
+     * Bind groups are rebuilt when the texture is recreated, e.g. after a resize
+     * @private
+     */
+    _getBindGroup(target, texture, pipeline) {
+        if (target.bindGroupKey?.texture !== texture || target.bindGroupKey?.pipeline !== pipeline) {
+            target.bindGroup = this.device.createBindGroup({
+                label: `Output target ${target.id}`,
+                layout: pipeline.bindGroupLayout,
+                entries: [
+                    { binding: 0, resource: pipeline.sampler },
+                    { binding: 1, resource: texture.createView({ baseMipLevel: 0, mipLevelCount: 1 }) },
+                    { binding: 2, resource: { buffer: target.uniformBuffer } }
+                ]
+            });
+            target.bindGroupKey = { texture, pipeline };
+        }
+        return target.bindGroup;
+    }
+
+    /**
+     * @private
+     */
+    _clampRect(rect, width, height) {
+        const x = Math.min(Math.max(Math.round(rect?.x ?? 0), 0), width);
+        const y = Math.min(Math.max(Math.round(rect?.y ?? 0), 0), height);
+        return {
+            x,
+            y,
+            width: Math.min(Math.round(rect?.width ?? width), width - x),
+            height: Math.min(Math.round(rect?.height ?? height), height - y)
+        };
+    }
+
+    /**
+     * GPU objects belong to one device, start over after device recovery
+     * @private
+     */
+    _reset(device) {
+        this.device = device;
+        this.shaderModule = null;
+        this.pipelines.clear();
+        this.screenTexture = null;
+
+        for (const { context } of this.canvases.values()) {
+            context.unconfigure();
+        }
+        this.canvases.clear();
+
+        for (const target of this.targets.values()) {
+            target.uniformBuffer = null;
+            target.bindGroup = null;
+            target.bindGroupKey = null;
+        }
+    }
+}
+
+export default OutputTargetManager;
@@ -108,6 +108,10 @@ class PerformanceTracker {
         this.leakCheckInterval = setInterval(() => {
             this.checkForMemoryLeaks();
         }, 5000);
+
+        // Don't keep a Node process alive just for monitoring
+        this.fpsInterval.unref?.();
+        this.leakCheckInterval.unref?.();
     }
     
     // Queue Performance Tracking
@@ -1,5 +1,39 @@
 import PipelineCacheManager from "../memory/pipelineCacheManager.js";
 import GPUUtils from '../core/gpuUtils.js';
+import ShaderPreprocessor from "./shaderPreprocessor.js";
+import ShaderReflection from "./shaderReflection.js";
+
+// Built-in shader of `present` passes, copies a texture to a lower precision target
+const PRESENT_SHADER = `
+struct VertexOutput {
+    @builtin(position) position: vec4<f32>,
+    @location(0) texCoord: vec2<f32>,
+};
+
+@group(0) @binding(0) var presentSampler: sampler;
+@group(0) @binding(1) var presentTexture: texture_2d<f32>;
+
+@vertex
+fn vs(@location(0) position: vec2<f32>, @location(1) texCoord: vec2<f32>) -> VertexOutput {
+    var output: VertexOutput;
+    output.position = vec4<f32>(position, 0.0, 1.0);
+    output.texCoord = texCoord;
+    return output;
+}
+
+@fragment
+fn fs(input: VertexOutput) -> @location(0) vec4<f32> {
+    var color = textureSample(presentTexture, presentSampler, input.texCoord);
+#ifdef DITHER
+    // 4x4 ordered dither spreads the 8-bit rounding error so smooth gradients do not band
+    var bayer = array<f32, 16>(0.0, 8.0, 2.0, 10.0, 12.0, 4.0, 14.0, 6.0, 3.0, 11.0, 1.0, 9.0, 15.0, 7.0, 13.0, 5.0);
+    let pixel = vec2<u32>(input.position.xy) % vec2<u32>(4u, 4u);
+    let threshold = (bayer[pixel.y * 4u + pixel.x] + 0.5) / 16.0 - 0.5;
+    color = vec4<f32>(color.rgb + threshold / 255.0, color.a);
+#endif
+    return clamp(color, vec4<f32>(0.0), vec4<f32>(1.0));
+}
+`;
 
 class PipelineManager {
     constructor(app) {
@@ -9,12 +43,28 @@ class PipelineManager {
         this.textureManager = app.textureManager;
         this.shaderCache = new Map();
         this.pipelineCacheManager = new PipelineCacheManager(app);
+
+        // Resolves #include / #define / #ifdef before compilation
+        this.preprocessor = new ShaderPreprocessor({
+            loadFile: (url) => this.fetchShaderSource(url)
+        });
+        for (const [name, code] of Object.entries(app.shaderFiles || {})) {
+            this.preprocessor.registerFile(name, code);
+        }
     }
 
-    async loadShader(url) {
+    /**
+     * Fetch raw shader source, cached by URL
+     * @param {string} url - Shader URL
+     * @returns {Promise<string>} Unprocessed WGSL
+     */
+    async fetchShaderSource(url) {
         try {
             if (!this.shaderCache.has(url)) {
                 const response = await fetch(url);
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status} for ${url}`);
+                }
                 const code = await response.text();
                 this.shaderCache.set(url, code);
             }
@@ -23,8 +73,81 @@ class PipelineManager {
             console.error(`Failed to load shader from ${url}`);
             throw error;
         }
+    }
+
+    /**
+     * Load a shader and run it through the preprocessor
+     * Includes resolve relative to the shader URL or from registered shader files
+     * @param {string} url - Shader URL
+     * @param {Object} defines - Defines for #ifdef variants, { NAME: value }
+     * @returns {Promise<{code: string, sourceMap: Array}>}
+     */
+    async loadShader(url, defines = {}) {
+        const source = await this.fetchShaderSource(url);
+        return this.preprocessShader(source, { file: url, defines });
+    }
+
+    /**
+     * Preprocess WGSL source
+     * @param {string} source - WGSL source with directives
+     * @param {Object} options - { file, defines }
+     * @returns {Promise<{code: string, sourceMap: Array}>}
+     */
+    async preprocessShader(source, options = {}) {
+        return this.preprocessor.process(source, options);
+    }
+
+    /**
+     * Register a virtual file that shaders can #include by name
+     * @param {string} name - Include name, e.g. 'common.wgsl'
+     * @param {string} code - WGSL source
+     */
+    registerShaderFile(name, code) {
+        this.preprocessor.registerFile(name, code);
+    }
+
+    /**
+     * Resolve the shader module for a pass from its shaderModule, shaderCode or shaderURL
+     * @param {Object} filter - The filter the pass belongs to
+     * @param {Object} pass - The pass to resolve
+     * @returns {Promise<{shaderModule: GPUShaderModule, shaderKey: string, code: string}>} code is undefined for pre-built modules
+     */
+    async resolveShaderModule(filter, pass) {
+        const label = `${filter.label}_${pass.label || 'pass'}`;
+
+        // Pre-built modules are used as-is
+        if (pass.shaderModule) {
+            return {
+                shaderModule: pass.shaderModule,
+                shaderKey: this.pipelineCacheManager.getShaderKey(pass.shaderModule)
+            };
+        }
 
+        let shader;
+        if (pass.present) {
+            const format = this.getTargetFormat(pass);
+            shader = await this.preprocessShader(PRESENT_SHADER, {
+                file: `${label}.wgsl`,
+                defines: { DITHER: !!pass.dither && /^(rgba|bgra)8unorm/.test(format) }
+            });
+        } else if (typeof pass.shaderCode === 'string') {
+            shader = await this.preprocessShader(pass.shaderCode, { file: `${label}.wgsl`, defines: pass.defines });
+        } else if (pass.shaderURL) {
+            shader = await this.loadShader(pass.shaderURL, pass.defines);
+        } else {
+            throw new Error(`Pass ${pass.label} in filter ${filter.label} has no shaderURL, shaderCode or shaderModule`);
+        }
+
+        const shaderModule = await this.pipelineCacheManager.getShaderModule(shader.code, {
+            label,
+            sourceMap: shader.sourceMap
+        });
 
+        return {
+            shaderModule,
+            shaderKey: this.pipelineCacheManager.getShaderKey(shader.code),
+            code: shader.code
+        };
     }
 
     getCacheStats() {
@@ -140,13 +263,14 @@ class PipelineManager {
         return layout;
     }*/
     createBindGroupLayout(filter, pass) {
-        const layoutKey = GPUUtils.generateBindGroupLayoutKey(filter, pass);
+        const textureSampleTypes = this.getTextureSampleTypes(filter, pass);
+        const layoutKey = GPUUtils.generateBindGroupLayoutKey(filter, pass, textureSampleTypes);
 
         // Try cache first
         let layout = this.pipelineCacheManager.layoutCache.get(layoutKey)?.layout;
 
         if (!layout) {
-            const entries = GPUUtils.createStandardLayoutEntries({ filter, pass });
+            const entries = GPUUtils.createStandardLayoutEntries({ filter, pass, textureSampleTypes });
             layout = this.device.createBindGroupLayout({ entries });
 
             // Cache the new layout
@@ -161,10 +285,58 @@ class PipelineManager {
             });
         }
 
-        layout.entries = GPUUtils.createStandardLayoutEntries({ filter, pass });
+        layout.entries = GPUUtils.createStandardLayoutEntries({ filter, pass, textureSampleTypes });
         return layout;
     }
 
+    /**
+     * Get the format a pass renders to, its output texture's format or the canvas format
+     * @param {Object} pass - Pass configuration
+     * @returns {string} Format of the first render target
+     */
+    getTargetFormat(pass) {
+        return this.getTargetFormats(pass)[0];
+    }
+
+    /**
+     * Get the format of every render target of a pass, in @location order
+     * @param {Object} pass - Pass configuration
+     * @returns {string[]} Texture formats
+     */
+    getTargetFormats(pass) {
+        return GPUUtils.getOutputTextures(pass).map(key => key === undefined ?
+            this.presentationFormat :
+            this.textureManager.getTexture(key)?.format || this.presentationFormat);
+    }
+
+    /**
+     * Get the sample type of each input texture for the standard layout
+     * Textures the device cannot filter are 'unfilterable-float' and need a nearest sampler
+     * @param {Object} filter - Filter configuration
+     * @param {Object} pass - Pass configuration
+     * @returns {string[]} Sample types in inputTexture order
+     * @throws {Error} If an unfilterable texture would be read with a filtering sampler
+     */
+    getTextureSampleTypes(filter, pass) {
+        const sampleTypes = (pass.inputTexture || []).map(key => {
+            const format = this.textureManager.getTexture(key)?.format;
+            return format && !GPUUtils.isFilterableFormat(format, this.device) ? 'unfilterable-float' : 'float';
+        });
+
+        if (sampleTypes.includes('unfilterable-float')) {
+            const { magFilter, minFilter, mipmapFilter } = GPUUtils.normalizeSamplerDescriptor(pass.sampler);
+            if (magFilter !== 'nearest' || minFilter !== 'nearest' || mipmapFilter !== 'nearest') {
+                const key = pass.inputTexture[sampleTypes.indexOf('unfilterable-float')];
+                throw new Error(
+                    `Pass ${pass.label} in filter ${filter.label} samples ${key}, which this device cannot filter. ` +
+                    `Use sampler { filter: 'nearest' } or an rgba16float texture`
+                );
+            }
+        }
+
+        return sampleTypes;
+    }
+
     ////////////////
     /*_generateDetailedPipelineKey(config) {
         const keyComponents = {
@@ -313,6 +485,104 @@ class PipelineManager {
         }
     }
 
+    /**
+     * Get how a pass's bind group layout is built
+     * 'standard' uses the fixed sampler/texture/buffer slots, 'reflect' parses the
+     * shader's @group/@binding declarations and 'auto' lets the GPU derive the layout
+     * @param {Object} filter - Filter configuration
+     * @param {Object} pass - Pass configuration
+     * @returns {string} 'standard', 'reflect' or 'auto'
+     */
+    getLayoutMode(filter, pass) {
+        return pass.layout || filter.layout || 'standard';
+    }
+
+    /**
+     * Generate a key for all sampler settings of a pass
+     * @param {Object} filter - Filter configuration
+     * @param {Object} pass - Pass configuration
+     * @returns {string} Sampler key
+     */
+    getSamplerKey(filter, pass) {
+        const textureSamplers = Object.entries(pass.textureSamplers || {})
+            .map(([key, sampler]) => [key, GPUUtils.getSamplerKey(sampler)]);
+        return JSON.stringify([GPUUtils.getSamplerKey(pass.sampler), textureSamplers]);
+    }
+
+    /**
+     * Create one bind group layout per group declared in the shader
+     * @param {Object} filter - Filter configuration
+     * @param {Object} pass - Pass configuration with shaderBindings
+     * @returns {GPUBindGroupLayout[]} Layouts indexed by group
+     */
+    createReflectedBindGroupLayouts(filter, pass) {
+        const matched = ShaderReflection.matchResources(filter, pass);
+        const groupEntries = ShaderReflection.createLayoutEntries(matched, {
+            filter,
+            textureManager: this.textureManager
+        });
+
+        return groupEntries.map((entries, group) => {
+            const layoutKey = this.pipelineCacheManager._hashString(JSON.stringify({ reflected: entries }));
+            let layout = this.pipelineCacheManager.layoutCache.get(layoutKey)?.layout;
+
+            if (!layout) {
+                layout = this.device.createBindGroupLayout({
+                    label: `${filter.label}_${pass.label} group ${group}`,
+                    entries
+                });
+                this.pipelineCacheManager.layoutCache.set(layoutKey, {
+                    layout,
+                    entries,
+                    metadata: {
+                        createdAt: Date.now(),
+                        type: filter.type,
+                        lastUsed: Date.now()
+                    }
+                });
+            }
+
+            layout.entries = entries;
+            return layout;
+        });
+    }
+
+    /**
+     * Create the bind groups of a pass, one per layout
+     * @param {Object} filter - Filter configuration
+     * @param {Object} pass - Pass configuration
+     * @param {GPUBindGroupLayout[]} layouts - Layouts indexed by group
+     * @param {Object} bufferResource - The filter's buffers
+     * @returns {GPUBindGroup[]} Bind groups indexed by group
+     */
+    createPassBindGroups(filter, pass, layouts, bufferResource) {
+        // Standard layouts bind the fixed slots, and so do auto layouts of shaders without source
+        if (!pass.shaderBindings) {
+            return [this.createBindGroup(layouts[0], filter, pass, bufferResource)];
+        }
+
+        const matched = ShaderReflection.matchResources(filter, pass);
+        const groupEntries = ShaderReflection.createBindGroupEntries(matched, {
+            device: this.device,
+            textureManager: this.textureManager,
+            filter,
+            pass,
+            bufferResource
+        });
+
+        try {
+            return layouts.map((layout, group) => this.device.createBindGroup({
+                layout,
+                entries: groupEntries[group] || []
+            }));
+        } catch (error) {
+            throw GPUUtils.handleError('PipelineManager', 'createPassBindGroups', error, {
+                filterLabel: filter.label,
+                passLabel: pass.label
+            });
+        }
+    }
+
     async createFilterPipeline(filter) {
         try {
             let bufferResource;
@@ -325,32 +595,55 @@ class PipelineManager {
             for (const pass of filter.passes) {
                 const startTime = performance.now();
 
+                // Mipmap passes run the built-in MipmapGenerator
+                if (pass.generateMipmaps) {
+                    hasValidPasses = true;
+                    continue;
+                }
+
                 try {
                     // Load and cache shader with enhanced error handling
-                    const shaderCode = await this.loadShader(pass.shaderURL);
-                    const shaderModule = await this.pipelineCacheManager.getShaderModule(
-                        shaderCode,
-                        {
-                            label: `${filter.label}_${pass.label || 'pass'}`
-                        }
-                    );
-
-                    // Create bind group layout and pipeline as before...
-                    const bindGroupLayout = this.createBindGroupLayout(filter, pass);
+                    const { shaderModule, shaderKey, code } = await this.resolveShaderModule(filter, pass);
+                    const layoutMode = this.getLayoutMode(filter, pass);
+
+                    // Reflect the shader's resource declarations when the layout is derived from it
+                    pass.shaderBindings = null;
+                    if (layoutMode !== 'standard' && code !== undefined) {
+                        pass.shaderBindings = ShaderReflection.reflect(code);
+                    } else if (layoutMode === 'reflect') {
+                        throw new Error(`Layout 'reflect' needs WGSL source, use shaderURL or shaderCode or layout 'auto'`);
+                    }
 
+                    // Create bind group layouts, one per group
+                    let bindGroupLayouts = null;
+                    if (layoutMode === 'reflect') {
+                        bindGroupLayouts = this.createReflectedBindGroupLayouts(filter, pass);
+                    } else if (layoutMode === 'standard') {
+                        bindGroupLayouts = [this.createBindGroupLayout(filter, pass)];
+                    }
 
                     // Create pipeline layout
-                    const pipelineLayout = this.device.createPipelineLayout({
-                        bindGroupLayouts: [bindGroupLayout]
-                    });
+                    const pipelineLayout = bindGroupLayouts ?
+                        this.device.createPipelineLayout({ bindGroupLayouts }) :
+                        'auto';
 
-                    // Generate pipeline key using URL
+                    // Render pipelines target the formats of the pass's output textures
+                    const targetFormats = this.getTargetFormats(pass);
+                    const sampleCount = filter.type === 'compute' ? 1 :
+                        GPUUtils.getPassSampleCount(filter, pass, targetFormats);
+
+                    // Generate pipeline key from the shader source key
                     const pipelineKey = this._generateDetailedPipelineKey({
                         type: filter.type,
-                        shaderURL: pass.shaderURL,  // Use URL instead of content
-                        presentationFormat: this.presentationFormat,
-                        sampleCount: filter.type === 'compute' ? 1 : 4,
-                        bindGroupLayout: bindGroupLayout.entries
+                        shaderKey,
+                        presentationFormat: targetFormats.join(','),
+                        sampleCount,
+                        layoutMode,
+                        samplerKey: this.getSamplerKey(filter, pass),
+                        bindGroupLayout: bindGroupLayouts ?
+                            bindGroupLayouts.flatMap((layout, group) =>
+                                layout.entries.map(entry => ({ ...entry, group }))) :
+                            undefined
                     });
 
                     let pipeline = this.pipelineCacheManager.pipelineCache.get(pipelineKey);
@@ -386,10 +679,10 @@ class PipelineManager {
                                 fragment: {
                                     module: shaderModule,
                                     entryPoint: 'fs',
-                                    targets: [{ format: this.presentationFormat }]
+                                    targets: targetFormats.map(format => ({ format }))
                                 },
                                 multisample: {
-                                    count: 4
+                                    count: sampleCount
                                 }
                             };
                             actualPipeline = this.device.createRenderPipeline(renderDescriptor);
@@ -400,6 +693,7 @@ class PipelineManager {
                             metadata: {
                                 createdAt: Date.now(),
                                 type: filter.type,
+                                shaderKey,
                                 shaderURL: pass.shaderURL,
                                 lastUsed: Date.now()
                             }
@@ -427,8 +721,17 @@ class PipelineManager {
                     // Assign pipeline first
                     pass.pipeline = actualPipeline;
 
-                    // Create bind group and verify
-                    pass.bindGroup = [this.createBindGroup(bindGroupLayout, filter, pass, bufferResource)];
+                    // Auto layouts are read back from the pipeline
+                    if (!bindGroupLayouts) {
+                        const groupCount = pass.shaderBindings ?
+                            pass.shaderBindings.reduce((count, binding) => Math.max(count, binding.group + 1), 1) : 1;
+                        bindGroupLayouts = Array.from({ length: groupCount }, (_, group) =>
+                            actualPipeline.getBindGroupLayout(group));
+                    }
+                    pass.bindGroupLayouts = bindGroupLayouts;
+
+                    // Create bind groups and verify
+                    pass.bindGroup = this.createPassBindGroups(filter, pass, bindGroupLayouts, bufferResource);
                     if (!pass.bindGroup || !pass.bindGroup[0]) {
                         throw new Error(`Failed to create valid bind group for pass ${pass.label}`);
                     }
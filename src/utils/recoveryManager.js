@@ -307,8 +307,8 @@ class RecoveryManager {
             // Make sure we reload the image/video before recreating resources
             if (isVideo) {
                 if (!this.app.videoProcessor) {
-                    this.app.videoProcessor = new VideoProcessor(this.app);
-                    await this.app.videoProcessor.initializeVideo(this.app.imageArray[this.app.imageIndex].filePath);
+                    const source = this.app.imageArray[this.app.imageIndex];
+                    await this.app.loadVideoSource(source.filePath, source);
                 }
             } else {
                 // Reload the image
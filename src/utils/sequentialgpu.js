@@ -6,7 +6,7 @@
 
 import { getBuildConfig } from '../../build.config.js';
 import { WebGpuRenderer } from '../core/webGpuRenderer.js';
-import { RenderQueue } from '../queue/renderQueue.optimized.js';
+import RenderQueue from '../queue/renderQueue.js';
 
 // Build configuration
 const config = getBuildConfig();
@@ -88,7 +88,8 @@ export const SequentialGPU = {
         try {
             const webGpuRenderer = new WebGpuRenderer({
                 ...settings,
-                buildConfig: config,
+                // A buildConfig of the settings replaces the one of this build
+                buildConfig: settings.buildConfig ?? config,
                 debugLogger: debug,
                 performanceTracker: performance
             });
@@ -1,3 +1,5 @@
+import BufferLayout from "../memory/bufferLayout.js";
+
 class SettingsValidator {
     static validateSettings(settings) {
         if (!settings.presentationFormat) throw new Error('Presentation format is required.');
@@ -7,6 +9,32 @@ class SettingsValidator {
         this.validatePresentationFormat(settings.presentationFormat);
         this.validateTextures(settings.textures);
         this.validateFilters(settings.filters);
+        this.validateRenderTiming(settings);
+    }
+
+    static validateRenderTiming(settings) {
+        const { previewRatio, refineDelay, renderDeadline, queueAgingInterval, queueAbortGracePeriod } = settings;
+
+        if (previewRatio !== undefined && !(previewRatio > 0 && previewRatio <= 1)) {
+            throw new Error(`Invalid previewRatio '${previewRatio}'. It must be greater than 0 and at most 1`);
+        }
+        if (refineDelay !== undefined && !(Number.isFinite(refineDelay) && refineDelay >= 0)) {
+            throw new Error(`Invalid refineDelay '${refineDelay}'. It must be a non-negative number of milliseconds`);
+        }
+        if (renderDeadline !== undefined && !(Number.isFinite(renderDeadline) && renderDeadline >= 0)) {
+            throw new Error(`Invalid renderDeadline '${renderDeadline}'. It must be a non-negative number of milliseconds`);
+        }
+        if (queueAgingInterval !== undefined && !(Number.isFinite(queueAgingInterval) && queueAgingInterval >= 0)) {
+            throw new Error(
+                `Invalid queueAgingInterval '${queueAgingInterval}'. Use milliseconds per priority level, 0 to turn aging off`
+            );
+        }
+        if (queueAbortGracePeriod !== undefined &&
+            !(Number.isFinite(queueAbortGracePeriod) && queueAbortGracePeriod >= 0)) {
+            throw new Error(
+                `Invalid queueAbortGracePeriod '${queueAbortGracePeriod}'. It must be a non-negative number of milliseconds`
+            );
+        }
     }
 
     static validatePresentationFormat(format) {
@@ -46,6 +74,20 @@ class SettingsValidator {
             if (texture.size) {
                 this.validateTextureSize(key, texture.size);
             }
+
+            if (texture.scale !== undefined) {
+                if (texture.size) {
+                    throw new Error(`Texture ${key} sets both size and scale, use one of them`);
+                }
+                if (typeof texture.scale !== 'number' || !(texture.scale > 0) || texture.scale > 4) {
+                    throw new Error(`Texture ${key} scale must be a number greater than 0 and at most 4`);
+                }
+            }
+
+            if (texture.mipLevelCount !== undefined && texture.mipLevelCount !== 'auto' &&
+                (!Number.isInteger(texture.mipLevelCount) || texture.mipLevelCount < 1)) {
+                throw new Error(`Texture ${key} mipLevelCount must be a positive integer or 'auto'`);
+            }
         }
     }
 
@@ -121,6 +163,22 @@ class SettingsValidator {
         }
     }
 
+    static validateRenderSampleCount(filterKey, owner, config) {
+        if (config.sampleCount !== undefined && ![1, 4].includes(config.sampleCount)) {
+            throw new Error(
+                `Invalid sampleCount '${config.sampleCount}' on ${owner} of filter "${filterKey}". Use 1 or 4`
+            );
+        }
+    }
+
+    static validateHalo(filterKey, filter) {
+        if (filter.halo !== undefined && (!Number.isInteger(filter.halo) || filter.halo < 0)) {
+            throw new Error(
+                `Invalid halo '${filter.halo}' on filter "${filterKey}". Use the kernel radius in pixels, a non-negative integer`
+            );
+        }
+    }
+
     static validateTextureSize(textureKey, size) {
         // Validate width
         if (!Number.isInteger(size.width) || size.width <= 0 || size.width > 16384) {
@@ -164,17 +222,182 @@ class SettingsValidator {
             }
 
             this.validateFilterPasses(key, filter.passes);
-            this.validateBufferAttachment(key, filter.bufferAttachment);
+            this.validateBufferAttachment(key, filter.bufferAttachment, filter.type);
+
+            this.validateLayout(key, 'filter', filter);
+            this.validateRenderSampleCount(key, 'filter', filter);
+            this.validateHalo(key, filter);
+            filter.passes.forEach((pass, index) => {
+                this.validateLayout(key, `pass ${index}`, pass);
+                this.validateRenderSampleCount(key, `pass ${index}`, pass);
+                this.validatePassSamplers(key, index, pass, filter);
+            });
+
+            if (filter.type === 'compute' && filter.passes.some(pass => pass.present)) {
+                throw new Error(`Filter "${key}" is a compute filter and cannot contain present passes`);
+            }
+
+            if (filter.type === 'compute') {
+                this.validateComputeDispatch(key, 'filter', filter);
+                filter.passes.forEach((pass, index) => {
+                    this.validateComputeDispatch(key, `pass ${index}`, pass);
+                });
+            }
         });
     }
 
+    static validatePassSamplers(filterKey, index, pass, filter) {
+        const owner = `pass ${index} of filter "${filterKey}"`;
+
+        if (pass.sampler !== undefined) {
+            this.validateSampler(`sampler in ${owner}`, pass.sampler);
+        }
+
+        if (pass.textureSamplers === undefined) {
+            return;
+        }
+
+        if (typeof pass.textureSamplers !== 'object' || pass.textureSamplers === null) {
+            throw new Error(`TextureSamplers in ${owner} must be an object keyed by input texture`);
+        }
+
+        if ((pass.layout || filter.layout || 'standard') === 'standard') {
+            throw new Error(
+                `TextureSamplers in ${owner} need layout 'reflect' or 'auto'; ` +
+                'the standard layout only has the sampler at binding 0'
+            );
+        }
+
+        for (const [textureKey, sampler] of Object.entries(pass.textureSamplers)) {
+            if (!Array.isArray(pass.inputTexture) || !pass.inputTexture.includes(textureKey)) {
+                throw new Error(`TextureSamplers in ${owner} references "${textureKey}" which is not an input texture`);
+            }
+            this.validateSampler(`sampler for "${textureKey}" in ${owner}`, sampler);
+        }
+    }
+
+    static validateSampler(owner, sampler) {
+        if (typeof sampler !== 'object' || sampler === null) {
+            throw new Error(`Invalid ${owner}: must be an object`);
+        }
+
+        const filterModes = ['nearest', 'linear'];
+        const addressModes = ['clamp-to-edge', 'repeat', 'mirror-repeat'];
+        const compareFunctions = ['never', 'less', 'equal', 'less-equal', 'greater', 'not-equal', 'greater-equal', 'always'];
+
+        for (const key of ['filter', 'magFilter', 'minFilter', 'mipmapFilter']) {
+            if (sampler[key] !== undefined && !filterModes.includes(sampler[key])) {
+                throw new Error(`Invalid ${key} '${sampler[key]}' in ${owner}. Must be one of: ${filterModes.join(', ')}`);
+            }
+        }
+
+        for (const key of ['addressMode', 'addressModeU', 'addressModeV', 'addressModeW', 'wrapU', 'wrapV']) {
+            if (sampler[key] !== undefined && !addressModes.includes(sampler[key])) {
+                throw new Error(`Invalid ${key} '${sampler[key]}' in ${owner}. Must be one of: ${addressModes.join(', ')}`);
+            }
+        }
+
+        if (sampler.compare !== undefined && !compareFunctions.includes(sampler.compare)) {
+            throw new Error(`Invalid compare '${sampler.compare}' in ${owner}`);
+        }
+
+        const { lodMinClamp = 0, lodMaxClamp = 32, maxAnisotropy = 1 } = sampler;
+        if (lodMinClamp < 0 || lodMaxClamp < lodMinClamp) {
+            throw new Error(`Invalid LOD clamps in ${owner}: need 0 <= lodMinClamp <= lodMaxClamp`);
+        }
+
+        if (!Number.isInteger(maxAnisotropy) || maxAnisotropy < 1 || maxAnisotropy > 16) {
+            throw new Error(`Invalid maxAnisotropy in ${owner}: must be an integer from 1 to 16`);
+        }
+
+        if (maxAnisotropy > 1) {
+            const filters = [
+                sampler.magFilter || sampler.filter || 'linear',
+                sampler.minFilter || sampler.filter || 'linear',
+                sampler.mipmapFilter || 'nearest'
+            ];
+            if (filters.some(mode => mode !== 'linear')) {
+                throw new Error(`maxAnisotropy above 1 in ${owner} requires linear mag, min and mipmap filters`);
+            }
+        }
+    }
+
+    static validateLayout(filterKey, owner, config) {
+        const validModes = ['standard', 'reflect', 'auto'];
+        if (config.layout !== undefined && !validModes.includes(config.layout)) {
+            throw new Error(
+                `Invalid layout '${config.layout}' in ${owner} of filter "${filterKey}". ` +
+                `Must be one of: ${validModes.join(', ')}`
+            );
+        }
+
+        const { resourceBindings } = config;
+        if (resourceBindings === undefined) {
+            return;
+        }
+
+        if (typeof resourceBindings !== 'object' || resourceBindings === null || Array.isArray(resourceBindings)) {
+            throw new Error(`ResourceBindings in ${owner} of filter "${filterKey}" must be an object keyed by shader variable name`);
+        }
+
+        for (const [name, resource] of Object.entries(resourceBindings)) {
+            const valid = typeof resource === 'string' ||
+                (resource && typeof resource === 'object' &&
+                    (typeof resource.texture === 'string' || typeof resource.buffer === 'string' ||
+                        typeof resource.sampler === 'object'));
+            if (!valid) {
+                throw new Error(
+                    `ResourceBinding "${name}" in ${owner} of filter "${filterKey}" must be a texture key, ` +
+                    '{ texture }, { buffer } or { sampler }'
+                );
+            }
+        }
+    }
+
+    static validateComputeDispatch(filterKey, owner, config) {
+        const { workgroupSize, dispatch } = config;
+
+        if (workgroupSize !== undefined) {
+            if (!Array.isArray(workgroupSize) || workgroupSize.length === 0 || workgroupSize.length > 3 ||
+                !workgroupSize.every(size => Number.isInteger(size) && size > 0)) {
+                throw new Error(
+                    `Invalid workgroupSize in ${owner} of filter "${filterKey}". ` +
+                    'Must be an array of 1 to 3 positive integers'
+                );
+            }
+        }
+
+        if (dispatch === undefined) {
+            return;
+        }
+
+        const validTypes = ['pixels', 'texture', 'fixed'];
+        if (!validTypes.includes(dispatch.type)) {
+            throw new Error(
+                `Invalid dispatch type '${dispatch.type}' in ${owner} of filter "${filterKey}". ` +
+                `Valid types are: ${validTypes.join(', ')}`
+            );
+        }
+
+        if (dispatch.type === 'texture' && !dispatch.texture) {
+            throw new Error(`Dispatch of type 'texture' in ${owner} of filter "${filterKey}" requires a texture key`);
+        }
+
+        if (dispatch.type === 'fixed' &&
+            (!Array.isArray(dispatch.workgroups) || !dispatch.workgroups.every(count => Number.isInteger(count) && count >= 0))) {
+            throw new Error(
+                `Dispatch of type 'fixed' in ${owner} of filter "${filterKey}" requires a workgroups array of non-negative integers`
+            );
+        }
+    }
+
     static validateFilterPasses(filterKey, passes) {
         if (!Array.isArray(passes)) {
             throw new Error(`Passes for filter "${filterKey}" must be an array`);
         }
 
         passes.forEach((pass, index) => {
-            const requiredKeys = ['inputTexture', 'shaderURL'];
+            const requiredKeys = ['inputTexture'];
             const missingKeys = requiredKeys.filter(k => !pass.hasOwnProperty(k));
 
             if (missingKeys.length > 0) {
@@ -183,15 +406,105 @@ class SettingsValidator {
                 );
             }
 
+            const shaderSources = ['shaderURL', 'shaderCode', 'shaderModule'].filter(k => pass[k] !== undefined);
+
+            // Mipmap passes fill the levels of their output texture from level 0
+            if (pass.generateMipmaps) {
+                if (shaderSources.length > 0 || typeof pass.outputTexture !== 'string' ||
+                    !Array.isArray(pass.inputTexture) || pass.inputTexture.length !== 1 ||
+                    pass.inputTexture[0] !== pass.outputTexture) {
+                    throw new Error(
+                        `Mipmap pass ${index} in filter "${filterKey}" needs inputTexture: ['key'] and ` +
+                        `outputTexture: 'key' for the same texture and no shader`
+                    );
+                }
+                return;
+            }
+
+            // Present passes use the built-in conversion shader
+            if (pass.present) {
+                if (shaderSources.length > 0) {
+                    throw new Error(
+                        `Pass ${index} in filter "${filterKey}" is a present pass and cannot set ${shaderSources.join(', ')}`
+                    );
+                }
+                if (!Array.isArray(pass.inputTexture) || pass.inputTexture.length !== 1) {
+                    throw new Error(`Present pass ${index} in filter "${filterKey}" needs exactly one inputTexture`);
+                }
+                if (Array.isArray(pass.outputTexture)) {
+                    throw new Error(`Present pass ${index} in filter "${filterKey}" writes a single outputTexture`);
+                }
+                return;
+            }
+
+            if (shaderSources.length === 0) {
+                throw new Error(
+                    `Pass ${index} in filter "${filterKey}" requires one of shaderURL, shaderCode or shaderModule`
+                );
+            }
+
+            if (shaderSources.length > 1) {
+                throw new Error(
+                    `Pass ${index} in filter "${filterKey}" sets ${shaderSources.join(', ')}; use only one shader source`
+                );
+            }
+
+            if (pass.shaderCode !== undefined && typeof pass.shaderCode !== 'string') {
+                throw new Error(`ShaderCode in pass ${index} of filter "${filterKey}" must be a WGSL string`);
+            }
+
+            if (pass.defines !== undefined &&
+                (typeof pass.defines !== 'object' || pass.defines === null || Array.isArray(pass.defines))) {
+                throw new Error(`Defines in pass ${index} of filter "${filterKey}" must be an object of NAME: value pairs`);
+            }
+
             if (!Array.isArray(pass.inputTexture)) {
                 throw new Error(
                     `InputTexture in pass ${index} of filter "${filterKey}" must be an array`
                 );
             }
+
+            if (Array.isArray(pass.outputTexture)) {
+                const outputs = pass.outputTexture;
+                if (outputs.length === 0 || outputs.length > 8 ||
+                    outputs.some(key => typeof key !== 'string') || new Set(outputs).size !== outputs.length) {
+                    throw new Error(
+                        `OutputTexture in pass ${index} of filter "${filterKey}" must be a texture key or ` +
+                        'an array of 1 to 8 different texture keys'
+                    );
+                }
+            }
+
+            if (pass.outputMipLevel !== undefined &&
+                (!Number.isInteger(pass.outputMipLevel) || pass.outputMipLevel < 0 || pass.outputTexture === undefined)) {
+                throw new Error(
+                    `OutputMipLevel in pass ${index} of filter "${filterKey}" must be a non-negative integer ` +
+                    'and needs an outputTexture'
+                );
+            }
+
+            const inputMipLevels = typeof pass.inputMipLevel === 'object' && pass.inputMipLevel !== null ?
+                Object.entries(pass.inputMipLevel) :
+                pass.inputMipLevel === undefined ? [] : pass.inputTexture.map(key => [key, pass.inputMipLevel]);
+            for (const [key, level] of inputMipLevels) {
+                if (!pass.inputTexture.includes(key) || !Number.isInteger(level) || level < 0) {
+                    throw new Error(
+                        `InputMipLevel in pass ${index} of filter "${filterKey}" must be a non-negative integer ` +
+                        'or an object of inputTexture keys to levels'
+                    );
+                }
+            }
+
+            if (pass.previousFrame !== undefined &&
+                (!Array.isArray(pass.previousFrame) || pass.previousFrame.some(key => !pass.inputTexture.includes(key)))) {
+                throw new Error(
+                    `PreviousFrame in pass ${index} of filter "${filterKey}" must be an array of keys from inputTexture`
+                );
+            }
         });
     }
 
-    static validateBufferAttachment(filterKey, attachment) {
+    static validateBufferAttachment(filterKey, attachment, filterType) {
         if (attachment) {
             if (attachment.groupIndex === undefined) {
                 throw new Error(`Filter "${filterKey}" buffer attachment missing groupIndex`);
@@ -209,12 +522,12 @@ class SettingsValidator {
 
             // Validate bindings if they exist
             if (attachment.bindings) {
-                this.validateBindings(filterKey, attachment.bindings);
+                this.validateBindings(filterKey, attachment.bindings, filterType === 'compute' ? 'storage' : 'uniform');
             }
         }
     }
 
-    static validateBindings(filterKey, bindings) {
+    static validateBindings(filterKey, bindings, addressSpace = 'uniform') {
         Object.entries(bindings).forEach(([bindingKey, binding]) => {
             if (!binding.type) {
                 throw new Error(
@@ -226,6 +539,14 @@ class SettingsValidator {
                     `Binding "${bindingKey}" in filter "${filterKey}" missing required value property`
                 );
             }
+
+            if (binding.type !== 'uniform' && binding.type !== 'float') {
+                try {
+                    BufferLayout.parseType(binding.type, addressSpace);
+                } catch (error) {
+                    throw new Error(`Binding "${bindingKey}" in filter "${filterKey}": ${error.message}`);
+                }
+            }
         });
     }
 }
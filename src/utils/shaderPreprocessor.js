@@ -0,0 +1,220 @@
+/**
+ * Resolves #include, #define, #undef, #ifdef, #ifndef, #else and #endif
+ * directives in WGSL before it is handed to the GPU.
+ *
+ * Each output line is tracked back to the file and line it came from so
+ * compilation errors can point at the original source.
+ */
+class ShaderPreprocessor {
+    /**
+     * @param {Object} options - Preprocessor options
+     * @param {Function} options.loadFile - async (url) => string, used for includes not in the virtual file map
+     */
+    constructor(options = {}) {
+        this.loadFile = options.loadFile || (async (url) => {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            return response.text();
+        });
+        this.virtualFiles = new Map();
+    }
+
+    /**
+     * Register a file that can be included by name without fetching it
+     * @param {string} name - Name used in #include "name"
+     * @param {string} code - WGSL source
+     */
+    registerFile(name, code) {
+        this.virtualFiles.set(name, code);
+    }
+
+    /**
+     * Preprocess WGSL source
+     * @param {string} source - WGSL source with directives
+     * @param {Object} options - Processing options
+     * @param {string} options.file - Name or URL of the source, includes resolve relative to it
+     * @param {Object} options.defines - Initial defines, { NAME: value }. `true` defines without a value, `false` is ignored
+     * @returns {Promise<{code: string, sourceMap: Array<{file: string, line: number}>}>}
+     */
+    async process(source, options = {}) {
+        const { file = 'inline.wgsl', defines = {} } = options;
+
+        const state = {
+            defines: new Map(),
+            included: new Set(),
+            lines: [],
+            sourceMap: []
+        };
+
+        for (const [name, value] of Object.entries(defines)) {
+            if (value === false || value === undefined || value === null) continue;
+            state.defines.set(name, value === true ? '' : String(value));
+        }
+
+        await this._processFile(source, file, state, []);
+
+        return {
+            code: state.lines.join('\n'),
+            sourceMap: state.sourceMap
+        };
+    }
+
+    /**
+     * @private
+     */
+    async _processFile(source, file, state, includeStack) {
+        if (includeStack.includes(file)) {
+            throw new Error(`Circular #include of ${file}: ${[...includeStack, file].join(' -> ')}`);
+        }
+        includeStack = [...includeStack, file];
+
+        // Stack of { active, hasElse, line } for open conditionals
+        const conditions = [];
+        const isActive = () => conditions.every(condition => condition.active);
+        const sourceLines = source.split(/\r?\n/);
+
+        for (let i = 0; i < sourceLines.length; i++) {
+            const lineNum = i + 1;
+            const line = sourceLines[i];
+            const directive = line.match(/^\s*#\s*(\w+)\s*(.*?)\s*$/);
+
+            if (!directive) {
+                if (isActive()) {
+                    state.lines.push(this._substituteDefines(line, state.defines));
+                    state.sourceMap.push({ file, line: lineNum });
+                }
+                continue;
+            }
+
+            const [, name, argument] = directive;
+            const location = `${file}:${lineNum}`;
+
+            switch (name) {
+                case 'ifdef':
+                case 'ifndef': {
+                    const symbol = this._parseSymbol(argument, name, location);
+                    const defined = state.defines.has(symbol);
+                    conditions.push({
+                        active: name === 'ifdef' ? defined : !defined,
+                        hasElse: false,
+                        line: location
+                    });
+                    break;
+                }
+                case 'else': {
+                    const condition = conditions[conditions.length - 1];
+                    if (!condition || condition.hasElse) {
+                        throw new Error(`Unexpected #else at ${location}`);
+                    }
+                    condition.active = !condition.active;
+                    condition.hasElse = true;
+                    break;
+                }
+                case 'endif':
+                    if (!conditions.pop()) {
+                        throw new Error(`Unexpected #endif at ${location}`);
+                    }
+                    break;
+                case 'define': {
+                    if (!isActive()) break;
+                    const match = argument.match(/^([A-Za-z_]\w*)\s*(.*)$/);
+                    if (!match) {
+                        throw new Error(`Invalid #define at ${location}`);
+                    }
+                    state.defines.set(match[1], match[2]);
+                    break;
+                }
+                case 'undef':
+                    if (isActive()) {
+                        state.defines.delete(this._parseSymbol(argument, name, location));
+                    }
+                    break;
+                case 'include': {
+                    if (!isActive()) break;
+                    const match = argument.match(/^"([^"]+)"$/);
+                    if (!match) {
+                        throw new Error(`Invalid #include at ${location}, expected #include "file.wgsl"`);
+                    }
+                    const includeFile = this.resolvePath(match[1], file);
+
+                    // Each file is included once per shader
+                    if (state.included.has(includeFile)) break;
+                    state.included.add(includeFile);
+
+                    const includeSource = await this._readFile(includeFile, location);
+                    await this._processFile(includeSource, includeFile, state, includeStack);
+                    break;
+                }
+                default:
+                    throw new Error(`Unknown directive #${name} at ${location}`);
+            }
+        }
+
+        if (conditions.length > 0) {
+            throw new Error(`Unterminated conditional opened at ${conditions[conditions.length - 1].line}`);
+        }
+    }
+
+    /**
+     * Resolve an include name against the file including it
+     * Registered virtual files match by name and take precedence
+     * @param {string} name - Name from the #include directive
+     * @param {string} from - File containing the directive
+     * @returns {string} Resolved name or URL
+     */
+    resolvePath(name, from) {
+        if (this.virtualFiles.has(name) || !from || this.virtualFiles.has(from)) {
+            return name;
+        }
+
+        try {
+            const base = new URL(from, globalThis.location?.href);
+            return new URL(name, base).href;
+        } catch (error) {
+            // Not a URL, resolve as a plain relative path
+            const directory = from.includes('/') ? from.slice(0, from.lastIndexOf('/') + 1) : '';
+            return directory + name;
+        }
+    }
+
+    /**
+     * @private
+     */
+    async _readFile(file, location) {
+        if (this.virtualFiles.has(file)) {
+            return this.virtualFiles.get(file);
+        }
+
+        try {
+            return await this.loadFile(file);
+        } catch (error) {
+            throw new Error(`Failed to #include "${file}" at ${location}: ${error.message}`);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _parseSymbol(argument, directive, location) {
+        if (!/^[A-Za-z_]\w*$/.test(argument)) {
+            throw new Error(`Invalid #${directive} at ${location}`);
+        }
+        return argument;
+    }
+
+    /**
+     * Replace defined names that carry a value with that value
+     * @private
+     */
+    _substituteDefines(line, defines) {
+        for (const [name, value] of defines) {
+            if (value === '') continue;
+            line = line.replace(new RegExp(`\\b${name}\\b`, 'g'), value);
+        }
+        return line;
+    }
+}
+
+export default ShaderPreprocessor;
@@ -0,0 +1,336 @@
+import GPUUtils from '../core/gpuUtils.js';
+
+const VIEW_DIMENSIONS = {
+    '1d': '1d',
+    '2d': '2d',
+    '2d_array': '2d-array',
+    '3d': '3d',
+    'cube': 'cube',
+    'cube_array': 'cube-array'
+};
+
+const STORAGE_ACCESS = {
+    'read': 'read-only',
+    'write': 'write-only',
+    'read_write': 'read-write'
+};
+
+class ShaderReflection {
+    /**
+     * Parse the resource declarations of a WGSL shader
+     * @param {string} code - WGSL source (already preprocessed)
+     * @returns {Array<Object>} One entry per `@group/@binding` variable, sorted by group then binding
+     */
+    static reflect(code) {
+        const source = this.stripComments(code);
+        const bindings = [];
+        const declaration = /((?:@\w+\s*\([^)]*\)\s*)+)var\s*(<[^>]*>)?\s*(\w+)\s*:\s*([^;]+);/g;
+
+        let match;
+        while ((match = declaration.exec(source)) !== null) {
+            const [, attributes, addressSpace, name, type] = match;
+            const group = attributes.match(/@group\s*\(\s*(\d+)\s*\)/);
+            const binding = attributes.match(/@binding\s*\(\s*(\d+)\s*\)/);
+
+            if (!group || !binding) continue;
+
+            bindings.push({
+                group: Number(group[1]),
+                binding: Number(binding[1]),
+                name,
+                type: type.trim(),
+                ...this.parseResourceType(type.trim(), addressSpace)
+            });
+        }
+
+        return bindings.sort((a, b) => a.group - b.group || a.binding - b.binding);
+    }
+
+    /**
+     * Remove // and block comments so they are not parsed as declarations
+     * @param {string} code - WGSL source
+     * @returns {string}
+     */
+    static stripComments(code) {
+        return code
+            .replace(/\/\*[\s\S]*?\*\//g, '')
+            .replace(/\/\/.*$/gm, '');
+    }
+
+    /**
+     * Classify a WGSL variable by its address space and type
+     * @param {string} type - WGSL type, e.g. `texture_2d<f32>`
+     * @param {string} addressSpace - e.g. `<uniform>` or `<storage, read_write>`
+     * @returns {Object} { kind, ...details } where kind is 'buffer', 'sampler', 'texture' or 'storageTexture'
+     */
+    static parseResourceType(type, addressSpace) {
+        if (addressSpace) {
+            const [space, access] = addressSpace.slice(1, -1).split(',').map(part => part.trim());
+            if (space === 'uniform') {
+                return { kind: 'buffer', bufferType: 'uniform' };
+            }
+            if (space === 'storage') {
+                return { kind: 'buffer', bufferType: access === 'read_write' ? 'storage' : 'read-only-storage' };
+            }
+            throw new Error(`Unsupported address space ${addressSpace} for resource of type ${type}`);
+        }
+
+        if (type === 'sampler') {
+            return { kind: 'sampler', samplerType: 'filtering' };
+        }
+        if (type === 'sampler_comparison') {
+            return { kind: 'sampler', samplerType: 'comparison' };
+        }
+
+        const storage = type.match(/^texture_storage_(\w+?)\s*<\s*(\w+)\s*,\s*(\w+)\s*>$/);
+        if (storage) {
+            return {
+                kind: 'storageTexture',
+                viewDimension: VIEW_DIMENSIONS[storage[1]],
+                format: storage[2],
+                access: STORAGE_ACCESS[storage[3]]
+            };
+        }
+
+        const depth = type.match(/^texture_depth_(multisampled_)?(\w+)$/);
+        if (depth) {
+            return {
+                kind: 'texture',
+                sampleType: 'depth',
+                viewDimension: VIEW_DIMENSIONS[depth[2]],
+                multisampled: !!depth[1]
+            };
+        }
+
+        const texture = type.match(/^texture_(multisampled_)?(\w+?)\s*<\s*(\w+)\s*>$/);
+        if (texture) {
+            const sampleTypes = { f32: 'float', i32: 'sint', u32: 'uint' };
+            return {
+                kind: 'texture',
+                sampleType: sampleTypes[texture[3]],
+                viewDimension: VIEW_DIMENSIONS[texture[2]],
+                multisampled: !!texture[1]
+            };
+        }
+
+        throw new Error(`Unsupported resource type ${type}`);
+    }
+
+    /**
+     * Match every reflected binding to a resource from the pass configuration
+     *
+     * Resolution order for a variable `name`:
+     *   1. `pass.resourceBindings[name]` - a texture key, `{ texture }`, `{ sampler }` or `{ buffer }`
+     *   2. A texture in `pass.inputTexture` or a buffer in `bufferAttachment.bindings` with the same key
+     *   3. Sampled textures take the remaining input textures in binding order and a single uniform
+     *      variable takes the filter's uniform buffer
+     *   4. Samplers named `<texture variable>Sampler` use `pass.textureSamplers[textureKey]`,
+     *      any other sampler uses `pass.sampler`
+     *
+     * @param {Object} filter - Filter configuration
+     * @param {Object} pass - Pass configuration with `shaderBindings` from reflect()
+     * @returns {Array<Object>} Reflected bindings with a `resource` description
+     */
+    static matchResources(filter, pass) {
+        const reflected = pass.shaderBindings || [];
+        const explicit = pass.resourceBindings || {};
+        const inputTextures = Array.isArray(pass.inputTexture) ? pass.inputTexture : [];
+        const bufferBindings = filter.bufferAttachment?.bindings || {};
+        const storageKeys = filter.type === 'compute' ?
+            GPUUtils.getStorageBufferBindings(filter).map(entry => entry.key) : [];
+        const uniformVariables = reflected.filter(binding => binding.bufferType === 'uniform');
+
+        const usedTextures = new Set();
+        const matched = reflected.map(binding => {
+            const config = explicit[binding.name];
+
+            if (config !== undefined) {
+                const resource = typeof config === 'string' ? { texture: config } : { ...config };
+                if (resource.texture) usedTextures.add(resource.texture);
+                return { ...binding, resource };
+            }
+
+            if ((binding.kind === 'texture' || binding.kind === 'storageTexture') && inputTextures.includes(binding.name)) {
+                usedTextures.add(binding.name);
+                return { ...binding, resource: { texture: binding.name } };
+            }
+
+            if (binding.kind === 'buffer' && bufferBindings[binding.name] && storageKeys.includes(binding.name)) {
+                return { ...binding, resource: { buffer: binding.name } };
+            }
+
+            if (binding.kind === 'buffer' && binding.bufferType === 'uniform' &&
+                uniformVariables.length === 1 && filter.type !== 'compute' && filter.bufferAttachment?.bindings) {
+                return { ...binding, resource: { buffer: 'uniform' } };
+            }
+
+            return { ...binding, resource: null };
+        });
+
+        // Remaining sampled textures take the unused input textures in order
+        const remaining = inputTextures.filter(key => !usedTextures.has(key));
+        for (const binding of matched) {
+            if (!binding.resource && binding.kind === 'texture' && remaining.length > 0) {
+                binding.resource = { texture: remaining.shift() };
+            }
+        }
+
+        // Samplers named after a texture variable (lutSampler, lut_sampler) use that texture's
+        // sampler from pass.textureSamplers, other samplers use pass.sampler
+        for (const binding of matched) {
+            if (binding.resource || binding.kind !== 'sampler') continue;
+
+            const texture = matched.find(candidate => candidate.kind === 'texture' && candidate.resource?.texture &&
+                (binding.name === `${candidate.name}Sampler` || binding.name === `${candidate.name}_sampler`));
+            const sampler = (texture && pass.textureSamplers?.[texture.resource.texture]) || pass.sampler || {};
+
+            binding.resource = { sampler };
+        }
+
+        const unmatched = matched.filter(binding => !binding.resource);
+        if (unmatched.length > 0) {
+            const list = unmatched
+                .map(binding => `@group(${binding.group}) @binding(${binding.binding}) ${binding.name}: ${binding.type}`)
+                .join(', ');
+            throw new Error(
+                `No resource for shader binding(s) ${list} in pass "${pass.label}" of filter "${filter.label}". ` +
+                `Add them to pass.resourceBindings or pass.inputTexture`
+            );
+        }
+
+        return matched;
+    }
+
+    /**
+     * Build bind group layout entries for matched bindings, grouped by bind group index
+     * @param {Array<Object>} matched - Result of matchResources()
+     * @param {Object} options - { filter, textureManager }
+     * @returns {Array<Array<Object>>} Layout entries per group; missing groups are empty
+     */
+    static createLayoutEntries(matched, options) {
+        const { filter, textureManager } = options;
+        const isCompute = filter.type === 'compute';
+        const groups = this._createGroups(matched);
+
+        for (const binding of matched) {
+            const { resource } = binding;
+            const writes = (binding.kind === 'storageTexture' && binding.access !== 'read-only') ||
+                binding.bufferType === 'storage';
+
+            // Read-only resources may also be used by the vertex stage
+            const visibility = isCompute ? GPUShaderStage.COMPUTE :
+                writes ? GPUShaderStage.FRAGMENT : GPUShaderStage.VERTEX | GPUShaderStage.FRAGMENT;
+
+            const entry = { binding: binding.binding, visibility };
+
+            switch (binding.kind) {
+                case 'buffer':
+                    entry.buffer = { type: binding.bufferType };
+                    break;
+                case 'sampler':
+                    entry.sampler = { type: resource.type || this._getSamplerType(binding, resource) };
+                    break;
+                case 'storageTexture':
+                    entry.storageTexture = {
+                        access: binding.access,
+                        format: binding.format,
+                        viewDimension: binding.viewDimension
+                    };
+                    break;
+                case 'texture': {
+                    let sampleType = resource.sampleType || binding.sampleType;
+                    const format = textureManager.getTexture(resource.texture)?.format;
+                    if (!resource.sampleType && sampleType === 'float' && format &&
+                        !GPUUtils.isFilterableFormat(format, textureManager.device)) {
+                        sampleType = 'unfilterable-float';
+                    }
+                    entry.texture = {
+                        sampleType,
+                        viewDimension: binding.viewDimension,
+                        multisampled: binding.multisampled
+                    };
+                    break;
+                }
+            }
+
+            groups[binding.group].push(entry);
+        }
+
+        return groups;
+    }
+
+    /**
+     * Build bind group entries for matched bindings, grouped by bind group index
+     * @param {Array<Object>} matched - Result of matchResources()
+     * @param {Object} options - { device, textureManager, filter, pass, bufferResource }
+     * @returns {Array<Array<Object>>} Bind group entries per group; missing groups are empty
+     */
+    static createBindGroupEntries(matched, options) {
+        const { device, textureManager, filter, pass, bufferResource } = options;
+        const groups = this._createGroups(matched);
+
+        for (const binding of matched) {
+            const { resource } = binding;
+            let entryResource;
+
+            if (binding.kind === 'sampler') {
+                const descriptor = resource.sampler || {};
+                entryResource = GPUUtils.createStandardSampler(device, binding.samplerType === 'comparison' ?
+                    { compare: 'less', ...descriptor } : descriptor);
+            } else if (binding.kind === 'buffer') {
+                const buffer = resource.buffer === 'uniform' ?
+                    bufferResource?.buffer : bufferResource?.buffers?.[resource.buffer];
+                if (!buffer) {
+                    throw new Error(
+                        `Buffer ${resource.buffer} for shader binding ${binding.name} not found in filter ${filter.label}`
+                    );
+                }
+                entryResource = { buffer, offset: 0, size: buffer.size };
+            } else {
+                const texture = textureManager.getTexture(resource.texture);
+                if (!texture) {
+                    throw new Error(
+                        `Texture ${resource.texture} for shader binding ${binding.name} not found in pass ${pass.label}`
+                    );
+                }
+                entryResource = texture.createView({
+                    dimension: binding.viewDimension,
+                    ...(binding.kind === 'texture' && GPUUtils.getInputViewDescriptor(pass, resource.texture)),
+                    // Storage texture views cover exactly one mip level
+                    ...(binding.kind === 'storageTexture' && texture.mipLevelCount > 1 && {
+                        baseMipLevel: GPUUtils.getInputMipLevel(pass, resource.texture) ?? 0,
+                        mipLevelCount: 1
+                    })
+                });
+            }
+
+            groups[binding.group].push({ binding: binding.binding, resource: entryResource });
+        }
+
+        return groups;
+    }
+
+    /**
+     * @private
+     */
+    static _createGroups(matched) {
+        const groupCount = matched.reduce((count, binding) => Math.max(count, binding.group + 1), 1);
+        return Array.from({ length: groupCount }, () => []);
+    }
+
+    /**
+     * A sampler that only uses nearest filtering is declared non-filtering so it
+     * can be paired with unfilterable textures
+     * @private
+     */
+    static _getSamplerType(binding, resource) {
+        if (binding.samplerType === 'comparison') return 'comparison';
+
+        const { magFilter, minFilter, mipmapFilter } = GPUUtils.normalizeSamplerDescriptor(resource.sampler);
+        const nearest = magFilter === 'nearest' && minFilter === 'nearest' && mipmapFilter === 'nearest';
+
+        return nearest ? 'non-filtering' : 'filtering';
+    }
+}
+
+export default ShaderReflection;
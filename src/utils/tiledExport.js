@@ -0,0 +1,276 @@
+import ImageExport from './imageExport.js';
+
+class TiledExport {
+    /**
+     * Process an image too large for one texture in overlapping tiles and stitch the results.
+     * Every tile runs the whole filter graph with a border of `halo` pixels around it, so filters
+     * that read neighbouring pixels see the same input as they would on the full image. Beyond the
+     * image edges the border repeats the edge pixels, like a clamp-to-edge sampler
+     * @param {WebGpuRenderer} renderer - The WebGPU renderer instance
+     * @param {Object} options - Export options
+     * @param {string} options.texture - Texture key to stitch, defaults to the output of the final pass
+     * @param {string} options.format - 'png', 'webp', 'jpeg' or 'raw'
+     * @param {number} options.quality - Encoder quality between 0 and 1 for 'webp' and 'jpeg'
+     * @param {number} options.tileSize - Width and height of a tile without its halo, default 2048
+     * @param {number} options.halo - Border around each tile, defaults to the sum of the active filters' halo
+     * @param {string} options.priority - Render queue priority of the export, default 'normal'
+     * @param {Function} options.onProgress - Called with { completed, total, tile } after each tile
+     * @param {AbortSignal} options.signal - Stops the export between tiles and before read backs
+     * @returns {Promise<Blob|ImageData|Float32Array>} As ImageExport.exportImage, at the full image size
+     */
+    static async exportTiled(renderer, options = {}) {
+        const { texture: textureKey, format = 'png', quality, priority = 'normal', onProgress, signal } = options;
+
+        ImageExport.validateFormat(format);
+        if (renderer.imageArray[renderer.imageIndex]?.type === 'Video') {
+            throw new Error('Tiled export does not support video sources');
+        }
+
+        const source = renderer.image;
+        if (!source?.width || !source?.height) {
+            throw new Error('No image loaded for tiled export');
+        }
+
+        const halo = options.halo ?? this.getHalo(renderer.filters);
+        const tileSize = this.getTileSize(renderer, options.tileSize, halo);
+        const layout = this.getTiles(source.width, source.height, tileSize, halo);
+        const total = layout.tiles.length;
+
+        // One queue operation for the whole export, nothing else may render between its tiles.
+        // The tile being processed is kept in the metadata for getRenderQueueStatus
+        const metadata = { type: 'export', operation: 'exportTiled', tile: 0, total, signal };
+
+        const output = await renderer.queueOperation(async () => {
+            // Restore the full-resolution ratio below, not the one of a preview
+            await renderer.filterManager.finishPreview();
+
+            const saved = { image: renderer.image, ratio: renderer.ratio };
+            let stitched = null;
+            let failed = false;
+
+            try {
+                // Size every texture to one tile with its halo, edge tiles are padded to the same size
+                renderer.image = {
+                    width: layout.paddedWidth,
+                    height: layout.paddedHeight,
+                    data: new Uint8ClampedArray(layout.paddedWidth * layout.paddedHeight * 4)
+                };
+                renderer.ratio = 1;
+                await renderer.recreateResources();
+
+                for (const [index, tile] of layout.tiles.entries()) {
+                    signal?.throwIfAborted();
+                    metadata.tile = index;
+
+                    const pixels = await this.renderTile(renderer, source, tile, layout, textureKey, signal);
+
+                    stitched ??= pixels instanceof Float32Array ?
+                        new Float32Array(source.width * source.height * 4) :
+                        new Uint8ClampedArray(source.width * source.height * 4);
+
+                    this.stitch(stitched, source.width, pixels, layout, tile);
+                    onProgress?.({ completed: index + 1, total, tile });
+                }
+            } catch (error) {
+                failed = true;
+                throw error;
+            } finally {
+                renderer.image = saved.image;
+                renderer.ratio = saved.ratio;
+
+                try {
+                    await renderer.recreateResources();
+                } catch (error) {
+                    // The caller gets the error that stopped the export, not this one
+                    if (!failed) throw error;
+                    console.error('Failed to restore the display textures after the tiled export:', error);
+                }
+            }
+
+            return stitched;
+        }, priority, metadata);
+
+        signal?.throwIfAborted();
+        return ImageExport.encodePixels(output, source.width, source.height, format, quality);
+    }
+
+    /**
+     * Border every tile needs, the kernel radii of the active filters add up along the chain
+     * @param {Object} filters - Filter settings
+     * @returns {number} Halo in pixels
+     */
+    static getHalo(filters) {
+        return Object.values(filters)
+            .filter(filter => filter.active)
+            .reduce((sum, filter) => sum + (filter.halo || 0), 0);
+    }
+
+    /**
+     * @param {WebGpuRenderer} renderer - The WebGPU renderer instance
+     * @param {number} tileSize - Requested tile size
+     * @param {number} halo - Border around each tile
+     * @returns {number} Tile size that fits the device's texture size limit with its halo
+     */
+    static getTileSize(renderer, tileSize, halo) {
+        const maxSize = renderer.device.limits?.maxTextureDimension2D || 8192;
+        const size = tileSize ?? Math.min(2048, maxSize - 2 * halo);
+
+        if (!Number.isInteger(size) || size <= 0) {
+            throw new Error(`Invalid tile size ${size}. It must be a positive integer`);
+        }
+        if (size + 2 * halo > maxSize) {
+            throw new Error(
+                `Tiles of ${size} pixels with a halo of ${halo} exceed the texture size limit of ${maxSize}`
+            );
+        }
+
+        return size;
+    }
+
+    /**
+     * Split an image into tiles
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {number} tileSize - Width and height of a tile without its halo
+     * @param {number} halo - Border around each tile
+     * @returns {{tiles: Array<{x: number, y: number, width: number, height: number}>,
+     * halo: number, paddedWidth: number, paddedHeight: number}} Tiles in row-major order and the
+     * size of the textures processing them
+     */
+    static getTiles(width, height, tileSize, halo) {
+        const tiles = [];
+
+        for (let y = 0; y < height; y += tileSize) {
+            for (let x = 0; x < width; x += tileSize) {
+                tiles.push({
+                    x,
+                    y,
+                    width: Math.min(tileSize, width - x),
+                    height: Math.min(tileSize, height - y)
+                });
+            }
+        }
+
+        return {
+            tiles,
+            halo,
+            paddedWidth: Math.min(tileSize, width) + 2 * halo,
+            paddedHeight: Math.min(tileSize, height) + 2 * halo
+        };
+    }
+
+    /**
+     * Upload one tile, run the filters and read back the result
+     * @private
+     */
+    static async renderTile(renderer, source, tile, layout, textureKey, signal) {
+        const { halo, paddedWidth, paddedHeight } = layout;
+
+        renderer.textureManager.writePixelsToTexture({
+            width: paddedWidth,
+            height: paddedHeight,
+            data: this.readRegion(source, tile.x - halo, tile.y - halo, paddedWidth, paddedHeight)
+        }, 'texture');
+
+        renderer.filterManager.markAllDirty();
+        await renderer.filterManager.updateFilters();
+
+        let texture;
+        let exportTexture = null;
+
+        if (textureKey) {
+            texture = renderer.textureManager.getTexture(textureKey);
+            if (!texture) {
+                throw new Error(`Texture ${textureKey} not found for export`);
+            }
+            if (texture.width !== paddedWidth || texture.height !== paddedHeight) {
+                throw new Error(`Texture ${textureKey} is not the size of the image and cannot be tiled`);
+            }
+        } else {
+            exportTexture = await ImageExport.renderFinalPass(renderer);
+            texture = exportTexture;
+        }
+
+        try {
+            return await ImageExport.readTexturePixels(renderer, texture, signal);
+        } finally {
+            exportTexture?.destroy();
+        }
+    }
+
+    /**
+     * Copy the inside of a processed tile, without its halo, into the stitched image
+     * @private
+     */
+    static stitch(output, outputWidth, pixels, layout, tile) {
+        const { halo, paddedWidth } = layout;
+        const rowLength = tile.width * 4;
+
+        for (let row = 0; row < tile.height; row++) {
+            const start = ((row + halo) * paddedWidth + halo) * 4;
+            output.set(
+                pixels.subarray(start, start + rowLength),
+                ((tile.y + row) * outputWidth + tile.x) * 4
+            );
+        }
+    }
+
+    /**
+     * RGBA pixels of a region of the source, repeating the edge pixels where it reaches past the image
+     * @param {Object} source - Pixel source ({ width, height, data }) or an image, bitmap or canvas
+     * @param {number} x - Left edge, may be negative
+     * @param {number} y - Top edge, may be negative
+     * @param {number} width - Region width
+     * @param {number} height - Region height
+     * @returns {Uint8ClampedArray}
+     */
+    static readRegion(source, x, y, width, height) {
+        // Part of the region inside the image
+        const left = Math.max(x, 0);
+        const top = Math.max(y, 0);
+        const right = Math.min(x + width, source.width);
+        const bottom = Math.min(y + height, source.height);
+
+        let inside;
+        let insideWidth;
+
+        if (source.data) {
+            inside = source.data;
+            insideWidth = source.width;
+        } else {
+            // Draw only the needed part, the full image may not fit in a canvas
+            insideWidth = right - left;
+            const canvas = typeof OffscreenCanvas !== 'undefined' ?
+                new OffscreenCanvas(insideWidth, bottom - top) :
+                Object.assign(document.createElement('canvas'), { width: insideWidth, height: bottom - top });
+            const ctx = canvas.getContext('2d');
+            ctx.drawImage(source, left, top, insideWidth, bottom - top, 0, 0, insideWidth, bottom - top);
+            inside = ctx.getImageData(0, 0, insideWidth, bottom - top).data;
+        }
+
+        // Offset of the region inside the pixels read above
+        const originX = source.data ? 0 : left;
+        const originY = source.data ? 0 : top;
+
+        const region = new Uint8ClampedArray(width * height * 4);
+
+        for (let row = 0; row < height; row++) {
+            const sourceY = Math.min(Math.max(y + row, top), bottom - 1) - originY;
+
+            for (let column = 0; column < width; column++) {
+                const sourceX = Math.min(Math.max(x + column, left), right - 1) - originX;
+                const from = (sourceY * insideWidth + sourceX) * 4;
+                const to = (row * width + column) * 4;
+
+                region[to] = inside[from];
+                region[to + 1] = inside[from + 1];
+                region[to + 2] = inside[from + 2];
+                region[to + 3] = inside[from + 3];
+            }
+        }
+
+        return region;
+    }
+}
+
+export default TiledExport;
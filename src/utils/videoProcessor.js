@@ -0,0 +1,329 @@
+class VideoProcessor {
+    constructor(app) {
+        this.app = app;
+        this.videoElement = null;
+        this.isProcessingVideo = false; // True while frames are being pushed through the filters
+        this.isRenderingFrame = false;
+        this.frameRender = null; // Promise of the frame being rendered
+        this.pendingSeeks = 0; // seek() calls waiting for their frame
+        this.isDisposed = false;
+        this.frameCount = 0;
+
+        // Optional output target rendered on every decoded frame
+        this.output = null;
+
+        this.frameCallbackId = null;
+        this.animationFrameId = null;
+        this.lastFrameTime = -1;
+        this.objectURL = null; // Object URL created for Blob sources
+
+        this._onPlay = this._onPlay.bind(this);
+        this._onPause = this._onPause.bind(this);
+        this._onSeeked = this._onSeeked.bind(this);
+    }
+
+    /**
+     * Load a video file and wait until its first frame is available
+     * @param {string|Blob} source - Video URL or Blob
+     * @param {Object} options - Playback options
+     * @param {boolean} options.loop - Loop the video when it ends
+     * @param {boolean} options.muted - Mute audio (required by most browsers for autoplay)
+     * @param {boolean} options.autoplay - Start playback once loaded
+     * @returns {Promise<HTMLVideoElement>} The loaded video element
+     */
+    async initializeVideo(source, options = {}) {
+        const { loop = false, muted = true, autoplay = false } = options;
+
+        this._releaseVideoElement();
+
+        const video = document.createElement('video');
+        video.crossOrigin = 'anonymous';
+        video.playsInline = true;
+        video.preload = 'auto';
+        video.loop = loop;
+        video.muted = muted;
+
+        if (typeof source !== 'string') {
+            this.objectURL = URL.createObjectURL(source);
+        }
+        const url = this.objectURL || source;
+
+        try {
+            await new Promise((resolve, reject) => {
+                video.addEventListener('loadeddata', () => resolve(), { once: true });
+                video.addEventListener('error', () => {
+                    reject(new Error(`Failed to load video: ${video.error?.message || url}`));
+                }, { once: true });
+                video.src = url;
+                video.load();
+            });
+        } catch (error) {
+            console.error('Failed to load video source', error);
+            video.removeAttribute('src');
+            video.load();
+            // Revokes the object URL, the element was never attached
+            this._releaseVideoElement();
+            throw error;
+        }
+
+        video.addEventListener('play', this._onPlay);
+        video.addEventListener('pause', this._onPause);
+        video.addEventListener('ended', this._onPause);
+        video.addEventListener('seeked', this._onSeeked);
+
+        this.videoElement = video;
+        this.frameCount = 0;
+        this.lastFrameTime = -1;
+
+        if (autoplay) {
+            await this.play();
+        }
+
+        return video;
+    }
+
+    /**
+     * Set where each processed frame is drawn
+     * Without an output the filters still run, but nothing is drawn
+     * @param {Object} drawToCanvas - { canvas, ctx } target passed to updateOutputCanvas
+     * @param {Object} transformations - Transform passed to updateOutputCanvas
+     * @param {Object} filterUpdateConditions - Conditions passed to updateOutputCanvas
+     */
+    setOutput(drawToCanvas, transformations, filterUpdateConditions = false) {
+        this.output = drawToCanvas ? { drawToCanvas, transformations, filterUpdateConditions } : null;
+    }
+
+    async play() {
+        if (!this.videoElement) {
+            throw new Error('No video loaded');
+        }
+        await this.videoElement.play();
+    }
+
+    pause() {
+        this.videoElement?.pause();
+    }
+
+    /**
+     * Seek to a time and render the frame shown there
+     * @param {number} time - Time in seconds
+     * @returns {Promise<void>} Resolves once the frame at the new position has been rendered
+     */
+    async seek(time) {
+        if (!this.videoElement) {
+            throw new Error('No video loaded');
+        }
+
+        const video = this.videoElement;
+        const target = Math.min(Math.max(time, 0), video.duration || 0);
+
+        this.pendingSeeks++;
+        try {
+            await new Promise(resolve => {
+                video.addEventListener('seeked', () => resolve(), { once: true });
+                video.currentTime = target;
+            });
+
+            // A render still running started before the seek finished and shows the old position
+            await this.frameRender;
+
+            if (!await this.processFrame()) {
+                // The frame loop started rendering the new position first
+                await this.frameRender;
+            }
+        } finally {
+            this.pendingSeeks--;
+        }
+    }
+
+    setLoop(loop) {
+        if (this.videoElement) {
+            this.videoElement.loop = !!loop;
+        }
+    }
+
+    get currentTime() {
+        return this.videoElement?.currentTime || 0;
+    }
+
+    get duration() {
+        return this.videoElement?.duration || 0;
+    }
+
+    get paused() {
+        return this.videoElement ? this.videoElement.paused : true;
+    }
+
+    /**
+     * Upload the current video frame and run the filter stack on it
+     * Frames that arrive while the previous one is still rendering are dropped
+     * @returns {Promise<boolean>} Whether the frame was processed
+     */
+    async processFrame() {
+        if (this.isDisposed || this.isRenderingFrame || !this.videoElement || !this.app.textureManager) {
+            return false;
+        }
+
+        this.isRenderingFrame = true;
+        this.frameRender = this._renderFrame().finally(() => {
+            this.isRenderingFrame = false;
+        });
+
+        return this.frameRender;
+    }
+
+    /**
+     * @private
+     */
+    async _renderFrame() {
+        try {
+            await this.app.textureManager.copyVideoFrameToTexture(
+                this.videoElement,
+                this._getSourceTextureKey(),
+                {
+                    width: this.app.canvas.width,
+                    height: this.app.canvas.height
+                }
+            );
+
+            if (this.app.filterManager) {
+                this.app.filterManager.markTextureDirty(this._getSourceTextureKey());
+
+                if (this.output) {
+                    await this.app.updateOutputCanvas(
+                        this.output.drawToCanvas,
+                        this.output.transformations,
+                        this.output.filterUpdateConditions
+                    );
+                } else {
+                    await this.app.updateFilters();
+                    await this.app.safeQueueFlush();
+                }
+            }
+
+            this.frameCount++;
+
+            if (this.app.onVideoFrame) {
+                this.app.onVideoFrame({
+                    currentTime: this.videoElement.currentTime,
+                    frameCount: this.frameCount
+                });
+            }
+
+            return true;
+        } catch (error) {
+            console.error('Error processing video frame:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Find the texture the source image/video is copied to
+     * @private
+     */
+    _getSourceTextureKey() {
+        const textures = this.app.textures || {};
+        return Object.keys(textures).find(key => textures[key].copyImageTo) || 'texture';
+    }
+
+    /**
+     * Start the per-frame loop
+     * Uses requestVideoFrameCallback where available so each decoded frame is processed once
+     * @private
+     */
+    _startFrameLoop() {
+        if (this.isProcessingVideo || !this.videoElement) return;
+        this.isProcessingVideo = true;
+
+        const video = this.videoElement;
+
+        if (typeof video.requestVideoFrameCallback === 'function') {
+            const onFrame = () => {
+                if (!this.isProcessingVideo) return;
+                this.processFrame();
+                this.frameCallbackId = video.requestVideoFrameCallback(onFrame);
+            };
+            this.frameCallbackId = video.requestVideoFrameCallback(onFrame);
+        } else {
+            // Fallback: poll on animation frames and process when the time advances
+            const onAnimationFrame = () => {
+                if (!this.isProcessingVideo) return;
+                if (video.currentTime !== this.lastFrameTime) {
+                    this.lastFrameTime = video.currentTime;
+                    this.processFrame();
+                }
+                this.animationFrameId = requestAnimationFrame(onAnimationFrame);
+            };
+            this.animationFrameId = requestAnimationFrame(onAnimationFrame);
+        }
+    }
+
+    /**
+     * Stop the per-frame loop
+     * @private
+     */
+    _stopFrameLoop() {
+        this.isProcessingVideo = false;
+
+        if (this.frameCallbackId !== null && this.videoElement?.cancelVideoFrameCallback) {
+            this.videoElement.cancelVideoFrameCallback(this.frameCallbackId);
+        }
+        this.frameCallbackId = null;
+
+        if (this.animationFrameId !== null) {
+            cancelAnimationFrame(this.animationFrameId);
+            this.animationFrameId = null;
+        }
+    }
+
+    _onPlay() {
+        this._startFrameLoop();
+    }
+
+    _onPause() {
+        this._stopFrameLoop();
+    }
+
+    _onSeeked() {
+        // A paused video produces no frame callbacks, so render the new position directly.
+        // seek() renders its own frame
+        if (!this.isProcessingVideo && this.pendingSeeks === 0) {
+            this.processFrame();
+        }
+    }
+
+    /**
+     * Detach and unload the current video element
+     * @private
+     */
+    _releaseVideoElement() {
+        this._stopFrameLoop();
+
+        if (this.objectURL) {
+            URL.revokeObjectURL(this.objectURL);
+            this.objectURL = null;
+        }
+
+        const video = this.videoElement;
+        if (!video) return;
+
+        video.removeEventListener('play', this._onPlay);
+        video.removeEventListener('pause', this._onPause);
+        video.removeEventListener('ended', this._onPause);
+        video.removeEventListener('seeked', this._onSeeked);
+        video.pause();
+
+        video.removeAttribute('src');
+        video.load();
+
+        this.videoElement = null;
+    }
+
+    dispose() {
+        this._releaseVideoElement();
+        this.output = null;
+        this.isDisposed = true;
+    }
+}
+
+export default VideoProcessor;
@@ -0,0 +1,121 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import BufferLayout from '../src/memory/bufferLayout.js';
+import BufferManager from '../src/memory/bufferManager.js';
+
+const offsets = layout => Object.fromEntries(layout.fields.map(field => [field.name, field.offset]));
+
+test('scalars, vectors and matrices get their WGSL size and alignment', () => {
+    const sizes = type => {
+        const { size, align } = BufferLayout.parseType(type);
+        return [size, align];
+    };
+
+    assert.deepEqual(sizes('f32'), [4, 4]);
+    assert.deepEqual(sizes('bool'), [4, 4]);
+    assert.deepEqual(sizes('vec2f'), [8, 8]);
+    assert.deepEqual(sizes('vec3<f32>'), [12, 16]);
+    assert.deepEqual(sizes('vec4'), [16, 16]);
+    assert.deepEqual(sizes('mat2x2<f32>'), [16, 8]);
+    assert.deepEqual(sizes('mat3'), [48, 16]);
+    assert.deepEqual(sizes('mat4x4f'), [64, 16]);
+    assert.throws(() => BufferLayout.parseType('f16'), /Unsupported buffer type "f16"/);
+});
+
+test('struct members are placed at their alignment and the struct is padded to it', () => {
+    const layout = BufferLayout.createStruct({
+        intensity: 'f32',
+        position: 'vec3<f32>',
+        radius: 'f32',
+        offset: 'vec2<f32>',
+        enabled: 'bool'
+    }, 'uniform');
+
+    // The vec3 starts a new 16 byte row, radius fills its last 4 bytes
+    assert.deepEqual(offsets(layout), { intensity: 0, position: 16, radius: 28, offset: 32, enabled: 40 });
+    assert.equal(layout.size, 48);
+    assert.equal(layout.align, 16);
+
+    // Storage structs are aligned to their largest member only
+    const storage = BufferLayout.createStruct({ a: 'f32', b: 'vec2<f32>', c: 'f32' }, 'storage');
+    assert.deepEqual(offsets(storage), { a: 0, b: 8, c: 16 });
+    assert.equal(storage.size, 24);
+    assert.equal(storage.align, 8);
+});
+
+test('nested structs in uniform buffers start on 16 bytes', () => {
+    const layout = BufferLayout.createStruct({
+        scale: 'f32',
+        light: { struct: { color: 'vec3<f32>', power: 'f32' } },
+        lights: { array: { struct: { power: 'f32' } }, length: 3 }
+    }, 'uniform');
+
+    assert.deepEqual(offsets(layout), { scale: 0, light: 16, lights: 32 });
+    assert.equal(layout.fields[2].layout.stride, 16);
+    assert.equal(layout.size, 80);
+});
+
+test('array strides follow the element and the address space', () => {
+    const vectors = BufferLayout.parseType('array<vec4<f32>, 3>');
+    assert.equal(vectors.stride, 16);
+    assert.equal(vectors.size, 48);
+
+    const vec3s = BufferLayout.parseType('array<vec3f, 2>');
+    assert.equal(vec3s.stride, 16);
+
+    const floats = BufferLayout.parseType('array<f32, 5>', 'storage');
+    assert.equal(floats.stride, 4);
+    assert.equal(floats.size, 20);
+    assert.equal(floats.align, 4);
+
+    for (const type of ['array<f32, 5>', 'array<vec2<f32>, 2>']) {
+        assert.throws(() => BufferLayout.parseType(type, 'uniform'), /multiple of 16 bytes/);
+    }
+    assert.throws(() => BufferLayout.parseType('array<f32, 0>', 'storage'), /positive integer/);
+});
+
+test('atomics are storage-only scalars and runtime-sized arrays are rejected', () => {
+    const counter = BufferLayout.parseType('atomic<u32>', 'storage');
+    assert.deepEqual([counter.kind, counter.scalar, counter.size, counter.align], ['scalar', 'u32', 4, 4]);
+
+    const histogram = BufferLayout.parseType('array<atomic<u32>, 256>', 'storage');
+    assert.equal(histogram.size, 1024);
+
+    assert.throws(() => BufferLayout.parseType('atomic<u32>', 'uniform'), /only allowed in storage buffers/);
+    assert.throws(() => BufferLayout.parseType('atomic<f32>', 'storage'), /Unsupported buffer type/);
+    assert.throws(() => BufferLayout.parseType('array<u32>', 'storage'), /Runtime-sized array<u32> is not supported/);
+});
+
+test('encode writes members at their offsets and leaves the padding zeroed', () => {
+    const layout = BufferLayout.createStruct({
+        gain: 'f32',
+        tint: 'vec3<f32>',
+        count: 'i32',
+        transform: 'mat2x2<f32>'
+    }, 'uniform');
+
+    const buffer = BufferLayout.encode(layout, { gain: 2, tint: [0.5, 0.25, 1], count: -3, transform: [[1, 2], [3, 4]] });
+    const floats = new Float32Array(buffer);
+
+    assert.equal(buffer.byteLength, 48);
+    // count fills the last 4 bytes of the vec3 row
+    assert.deepEqual([...floats.slice(0, 7)], [2, 0, 0, 0, 0.5, 0.25, 1]);
+    assert.equal(new Int32Array(buffer)[7], -3);
+    assert.deepEqual([...floats.slice(8, 12)], [1, 2, 3, 4]);
+
+    assert.throws(() => BufferLayout.encode(layout, { tint: [1, 2] }), /Expected 3 values but got 2/);
+});
+
+test('float bindings of more than 4 values are laid out as vec4 arrays', () => {
+    const manager = new BufferManager({});
+    const weights = { type: 'float', value: [1, 2, 3, 4, 5, 6] };
+
+    assert.equal(manager.getBindingType(weights), 'array<vec4<f32>, 2>');
+    assert.equal(manager.getBindingType({ type: 'float', value: [1, 2, 3] }), 'vec3<f32>');
+
+    const layout = BufferLayout.createStruct({ radius: 'f32', weights: manager.getBindingType(weights) }, 'uniform');
+    assert.deepEqual(offsets(layout), { radius: 0, weights: 16 });
+
+    const buffer = BufferLayout.encode(layout, { radius: 9, weights: manager.getBindingValue(weights, weights.value) });
+    assert.deepEqual([...new Float32Array(buffer)], [9, 0, 0, 0, 1, 2, 3, 4, 5, 6, 0, 0]);
+});
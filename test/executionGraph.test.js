@@ -0,0 +1,128 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import ExecutionGraph from '../src/utils/executionGraph.js';
+
+const pass = (label, inputTexture, outputTexture, extra = {}) => ({ label, active: true, inputTexture, outputTexture, ...extra });
+const fragment = (...passes) => ({ active: true, type: 'fragment', passes });
+
+const build = filters => ExecutionGraph.build(filters, { sourceTextures: ['texture'] });
+const labels = steps => [...steps].map(step => step.label);
+
+test('passes run after the passes writing the textures they read, whatever the declaration order', () => {
+    const plan = build({
+        grade: fragment(
+            pass('Sharpen', ['textureBlur'], 'textureSharp'),
+            pass('Blur', ['texture'], 'textureBlur')
+        ),
+        output: fragment(pass('Present', ['textureSharp', 'textureMask'], undefined)),
+        mask: fragment(pass('Mask', ['texture'], 'textureMask'))
+    });
+
+    assert.deepEqual(labels(plan.steps), ['Blur', 'Sharpen', 'Mask', 'Present']);
+    assert.equal(plan.outputStep.id, 'output/0');
+    assert.deepEqual(ExecutionGraph.describe(plan).steps.map(step => [step.id, step.dependsOn]), [
+        ['grade/1', []],
+        ['grade/0', ['grade/1']],
+        ['mask/0', []],
+        ['output/0', ['grade/0', 'mask/0']]
+    ]);
+    assert.deepEqual(plan.warnings, []);
+});
+
+test('inactive, shadowed and unused passes are skipped with the reason', () => {
+    const plan = build({
+        main: fragment(
+            pass('Tone', ['texture'], 'textureTone'),
+            pass('Unused', ['texture'], 'textureSpare'),
+            { ...pass('Disabled', ['texture'], 'textureOff'), active: false },
+            pass('Present', ['textureTone', 'textureMissing'], undefined),
+            pass('Second screen', ['texture'], undefined),
+            pass('Kept', ['texture'], 'textureDebug', { keepOutput: true })
+        )
+    });
+
+    assert.deepEqual(labels(plan.steps), ['Tone', 'Present', 'Kept']);
+    assert.deepEqual(plan.skipped.map(entry => [entry.pass, entry.reason]), [
+        ['Disabled', 'inactive'],
+        ['Second screen', 'shadowed'],
+        ['Unused', 'unused']
+    ]);
+    assert.deepEqual(plan.warnings, [
+        'Pass "Present" reads "textureMissing" which no other active pass writes and which is not loaded from the image source'
+    ]);
+});
+
+test('a cycle is reported with its passes unless one of them reads the previous frame', () => {
+    const filters = feedback => ({
+        loop: fragment(
+            pass('Decay', ['textureTrail'], 'textureAccum', feedback ? { previousFrame: ['textureTrail'] } : {}),
+            pass('Trail', ['textureAccum'], 'textureTrail'),
+            pass('Present', ['textureTrail'], undefined)
+        )
+    });
+
+    assert.throws(() => build(filters(false)), {
+        message: 'Filter passes form a cycle: "Decay" -> "Trail" -> "Decay". ' +
+            'List a texture in pass.previousFrame to read the result of the last frame instead'
+    });
+    assert.deepEqual(labels(build(filters(true)).steps), ['Decay', 'Trail', 'Present']);
+});
+
+test('selectSteps runs dirty steps, the steps downstream of them and the output', () => {
+    const plan = build({
+        chain: fragment(
+            pass('Blur', ['texture'], 'textureBlur'),
+            pass('Sharpen', ['textureBlur'], 'textureSharp'),
+            pass('Mask', ['texture'], 'textureMask'),
+            pass('Present', ['textureSharp', 'textureMask'], undefined)
+        )
+    });
+    // In plan order
+    const select = dirty => {
+        const run = ExecutionGraph.selectSteps(plan, { all: false, steps: new Set(), textures: new Set(), ...dirty });
+        return labels(plan.steps.filter(step => run.has(step)));
+    };
+
+    assert.deepEqual(select({}), ['Present']);
+    assert.deepEqual(select({ steps: new Set(['chain/1']) }), ['Sharpen', 'Present']);
+    assert.deepEqual(select({ steps: new Set(['chain/0']) }), ['Blur', 'Sharpen', 'Present']);
+    assert.deepEqual(select({ textures: new Set(['textureMask']) }), ['Present']);
+    assert.deepEqual(select({ textures: new Set(['texture']) }), ['Blur', 'Sharpen', 'Mask', 'Present']);
+    assert.equal(select({ all: true }).length, 4);
+});
+
+test('selectSteps reruns the writer of a texture version that was overwritten since', () => {
+    const plan = build({
+        inPlace: fragment(
+            pass('Base', ['texture'], 'textureWork'),
+            pass('Adjust in place', ['textureWork'], 'textureWork'),
+            pass('Present', ['textureWork'], undefined)
+        )
+    });
+
+    // Adjust reads what Base wrote, which Adjust itself replaced on the last frame
+    const run = ExecutionGraph.selectSteps(plan, { all: false, steps: new Set(['inPlace/1']), textures: new Set() });
+    assert.deepEqual(labels(run).sort(), ['Adjust in place', 'Base', 'Present']);
+});
+
+test('getSignature changes when passes are toggled or rewired only', () => {
+    const filters = {
+        main: {
+            ...fragment(pass('Tone', ['texture'], 'textureTone'), pass('Present', ['textureTone'], undefined)),
+            bufferAttachment: { bindings: { gain: { type: 'float', value: 1 } } }
+        }
+    };
+    const signature = ExecutionGraph.getSignature(filters);
+
+    filters.main.bufferAttachment.bindings.gain.value = 2;
+    assert.equal(ExecutionGraph.getSignature(filters), signature);
+
+    filters.main.passes[1].inputTexture = ['texture'];
+    assert.notEqual(ExecutionGraph.getSignature(filters), signature);
+    filters.main.passes[1].inputTexture = ['textureTone'];
+
+    filters.main.passes[0].active = false;
+    assert.notEqual(ExecutionGraph.getSignature(filters), signature);
+
+    assert.equal(ExecutionGraph.getStepId('main', 1), 'main/1');
+});
@@ -0,0 +1,94 @@
+import MockGPU from '../src/testing/mockGPU.js';
+
+MockGPU.installGlobals();
+
+// Imported after the GPU constants exist, the renderer reads them while it sets up
+const { default: SequentialGPU } = await import('../src/index.js');
+
+const VERTEX_STAGE = `
+struct VertexOutput {
+    @builtin(position) position: vec4<f32>,
+    @location(0) texCoord: vec2<f32>,
+};
+
+@group(0) @binding(0) var textureSampler: sampler;
+@group(0) @binding(1) var inputTexture: texture_2d<f32>;
+
+@vertex
+fn vs(@location(0) position: vec2<f32>, @location(1) texCoord: vec2<f32>) -> VertexOutput {
+    var output: VertexOutput;
+    output.position = vec4<f32>(position, 0.0, 1.0);
+    output.texCoord = texCoord;
+    return output;
+}
+`;
+
+/**
+ * WGSL of a single-input fragment pass
+ * @param {string} body - Fragment body, `color` holds the sampled input and the body returns the result
+ * @param {string} declarations - Extra bindings, e.g. the filter's uniform
+ * @returns {string}
+ */
+export function fragmentShader(body, declarations = '') {
+    return `${VERTEX_STAGE}
+${declarations}
+
+@fragment
+fn fs(input: VertexOutput) -> @location(0) vec4<f32> {
+    let color = textureSample(inputTexture, textureSampler, input.texCoord);
+    ${body}
+}
+`;
+}
+
+/**
+ * RGBA pixel source filled by a callback
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {Function} fill - (x, y) => [r, g, b, a] in 0-255
+ * @returns {{width: number, height: number, data: Uint8ClampedArray}}
+ */
+export function createPixels(width, height, fill) {
+    const data = new Uint8ClampedArray(width * height * 4);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            data.set(fill(x, y), (y * width + x) * 4);
+        }
+    }
+
+    return { width, height, data };
+}
+
+/**
+ * Headless app on a MockGPU
+ * @param {Object} settings - createApp settings, `pixels` is the image source
+ * @param {Object} options - { gpu } to pass a configured MockGPU
+ * @returns {Promise<{app: WebGpuRenderer, gpu: MockGPU, device: MockGPUDevice}>}
+ */
+export async function createTestApp(settings, options = {}) {
+    const gpu = options.gpu || new MockGPU();
+    const { pixels, ...rest } = settings;
+
+    const app = await SequentialGPU.createApp({
+        headless: true,
+        gpu,
+        presentationFormat: 'rgba8unorm',
+        imageIndex: 0,
+        imageArray: [{ name: 'test', pixels }],
+        textures: {},
+        ...rest
+    });
+
+    return { app, gpu, device: gpu.devices[0] };
+}
+
+/**
+ * Wait out the renderer's 60 FPS frame limit, renders closer together are dropped
+ * @returns {Promise<void>}
+ */
+export function nextFrame() {
+    return new Promise(resolve => setTimeout(resolve, 20));
+}
+
+export { MockGPU };
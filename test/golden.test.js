@@ -0,0 +1,209 @@
+/**
+ * Golden-image regression test of a filter stack.
+ *
+ * The CPU reference implementations must reproduce test/golden/tone-blur.json, and the renderer must run the
+ * same passes in the same order. Where the runtime has a WebGPU implementation (navigator.gpu) the rendered
+ * output is compared with the golden image too.
+ *
+ * After an intended change to the stack, regenerate the image with:
+ *   UPDATE_GOLDEN=1 node --test test/golden.test.js
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import CPUExecutor from '../src/testing/cpuExecutor.js';
+import { createPixels, createTestApp, fragmentShader } from './fixtures.js';
+
+const GOLDEN_PATH = new URL('./golden/tone-blur.json', import.meta.url);
+
+// Within one 8-bit step of the golden image, where GPU and CPU may round differently
+const TOLERANCE = { maxAbsDiff: 1 / 255, minPSNR: 45 };
+
+const settings = {
+    pixels: createPixels(8, 6, (x, y) => [x * 32, y * 48, (x + y) * 16, 255]),
+    textures: {
+        textureInverted: { label: 'textureInverted' },
+        textureGain: { label: 'textureGain' }
+    },
+    filters: {
+        tone: {
+            label: 'tone',
+            active: true,
+            type: 'fragment',
+            passes: [
+                {
+                    label: 'Invert',
+                    active: true,
+                    inputTexture: ['texture'],
+                    outputTexture: 'textureInverted',
+                    shaderCode: fragmentShader('return vec4<f32>(1.0 - color.rgb, color.a);'),
+                    cpuReference: ({ uv, sample }) => {
+                        const [r, g, b, a] = sample(0, uv[0], uv[1]);
+                        return [1 - r, 1 - g, 1 - b, a];
+                    }
+                },
+                {
+                    label: 'Gain',
+                    active: true,
+                    inputTexture: ['textureInverted'],
+                    outputTexture: 'textureGain',
+                    shaderCode: fragmentShader(
+                        'return vec4<f32>(color.rgb * gain, color.a);',
+                        '@group(0) @binding(3) var<uniform> gain: f32;'
+                    ),
+                    cpuReference: ({ uv, sample, uniforms }) => {
+                        const [r, g, b, a] = sample(0, uv[0], uv[1]);
+                        return [r * uniforms.gain, g * uniforms.gain, b * uniforms.gain, a];
+                    }
+                }
+            ],
+            bufferAttachment: {
+                groupIndex: 0,
+                bindingIndex: 3,
+                bindings: {
+                    gain: { type: 'float', value: 1.5, usage: 'read' }
+                }
+            }
+        },
+        blur: {
+            label: 'blur',
+            active: true,
+            type: 'fragment',
+            passes: [
+                {
+                    label: 'Box blur',
+                    active: true,
+                    inputTexture: ['textureGain'],
+                    shaderCode: fragmentShader(`
+    let size = vec2<i32>(textureDimensions(inputTexture));
+    let center = vec2<i32>(input.position.xy);
+    var sum = vec4<f32>(0.0);
+    for (var dy = -1; dy <= 1; dy++) {
+        for (var dx = -1; dx <= 1; dx++) {
+            sum += textureLoad(inputTexture, clamp(center + vec2<i32>(dx, dy), vec2<i32>(0), size - 1), 0);
+        }
+    }
+    return sum / 9.0;`),
+                    cpuReference: ({ x, y, width, height, load }) => {
+                        const sum = [0, 0, 0, 0];
+                        for (let dy = -1; dy <= 1; dy++) {
+                            for (let dx = -1; dx <= 1; dx++) {
+                                const texel = load(0,
+                                    Math.min(Math.max(x + dx, 0), width - 1),
+                                    Math.min(Math.max(y + dy, 0), height - 1)
+                                );
+                                texel.forEach((value, c) => { sum[c] += value; });
+                            }
+                        }
+                        return sum.map(value => value / 9);
+                    }
+                }
+            ],
+            bufferAttachment: {
+                groupIndex: 0,
+                bindingIndex: 3,
+                bindings: {}
+            }
+        }
+    }
+};
+
+// The stack written out directly, rounding to 8 bits after each pass like rgba8unorm textures
+function referenceStack({ width, height, data }, gain) {
+    const quantize = value => Math.round(Math.min(Math.max(value, 0), 1) * 255) / 255;
+    const pixel = (image, x, y) => image.subarray((y * width + x) * 4, (y * width + x) * 4 + 4);
+
+    const toned = new Float32Array(data.length);
+    for (let i = 0; i < data.length; i++) {
+        const value = data[i] / 255;
+        toned[i] = i % 4 === 3 ? quantize(value) : quantize(quantize(1 - value) * gain);
+    }
+
+    const blurred = new Float32Array(data.length);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const sum = [0, 0, 0, 0];
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    const texel = pixel(toned, Math.min(Math.max(x + dx, 0), width - 1), Math.min(Math.max(y + dy, 0), height - 1));
+                    texel.forEach((value, c) => { sum[c] += value; });
+                }
+            }
+            sum.forEach((value, c) => { blurred[(y * width + x) * 4 + c] = quantize(value / 9); });
+        }
+    }
+
+    return { width, height, data: blurred };
+}
+
+function toBytes(image) {
+    return Uint8Array.from(image.data, value => Math.round(value * 255));
+}
+
+function readGolden() {
+    const { width, height, data } = JSON.parse(fs.readFileSync(GOLDEN_PATH, 'utf8'));
+    return { width, height, data: new Uint8Array(Buffer.from(data, 'base64')) };
+}
+
+function writeGolden(image) {
+    const golden = {
+        width: image.width,
+        height: image.height,
+        data: Buffer.from(toBytes(image)).toString('base64')
+    };
+    fs.mkdirSync(new URL('.', GOLDEN_PATH), { recursive: true });
+    fs.writeFileSync(GOLDEN_PATH, `${JSON.stringify(golden, null, 4)}\n`);
+}
+
+test('CPU reference of the stack matches the golden image', async () => {
+    const { output } = await new CPUExecutor(settings).run({ source: settings.pixels });
+
+    if (process.env.UPDATE_GOLDEN) {
+        writeGolden(output);
+    }
+
+    const golden = readGolden();
+    const result = CPUExecutor.compareImages(output, golden, TOLERANCE);
+    assert.ok(result.passed, `max difference ${result.maxAbsDiff}, PSNR ${result.psnr}dB, ${result.mismatchedPixels} pixels off`);
+});
+
+test('golden image matches the stack computed directly', () => {
+    const result = CPUExecutor.compareImages(referenceStack(settings.pixels, 1.5), readGolden(), TOLERANCE);
+    assert.ok(result.passed, `max difference ${result.maxAbsDiff}, PSNR ${result.psnr}dB, ${result.mismatchedPixels} pixels off`);
+});
+
+test('renderer runs the passes the CPU reference ran with the same uniforms', async () => {
+    const { plan } = await new CPUExecutor(settings).run({ source: settings.pixels });
+    const { app, device } = await createTestApp(settings);
+
+    try {
+        const [uniforms] = device.getCalls('writeBuffer').filter(call => call.label === 'tone-buffer');
+        assert.equal(new Float32Array(uniforms.result.data.buffer)[0], 1.5);
+
+        device.resetCalls();
+        await app.updateOutputCanvas(null, null, {});
+
+        assert.deepEqual(
+            device.getPasses().map(pass => pass.label),
+            plan.steps.map(step => `Render pass for ${step.pass}`)
+        );
+    } finally {
+        await app.dispose();
+    }
+});
+
+test('GPU output matches the golden image', {
+    skip: !globalThis.navigator?.gpu && 'no WebGPU implementation in this runtime'
+}, async () => {
+    const { app } = await createTestApp(settings, { gpu: globalThis.navigator.gpu });
+
+    try {
+        await app.updateOutputCanvas(null, null, {});
+        const pixels = await app.exportImage({ format: 'raw' });
+
+        const result = CPUExecutor.compareImages(pixels, readGolden(), TOLERANCE);
+        assert.ok(result.passed, `max difference ${result.maxAbsDiff}, PSNR ${result.psnr}dB, ${result.mismatchedPixels} pixels off`);
+    } finally {
+        await app.dispose();
+    }
+});
@@ -0,0 +1,373 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getBuildConfig } from '../build.config.js';
+import { createPixels, createTestApp, fragmentShader, nextFrame } from './fixtures.js';
+
+const settings = {
+    pixels: createPixels(4, 2, (x, y) => [x * 60, y * 200, 128, 255]),
+    textures: {
+        textureOUT: { label: 'textureOUT' }
+    },
+    filters: {
+        adjust: {
+            label: 'adjust',
+            active: true,
+            type: 'fragment',
+            passes: [
+                {
+                    label: 'Invert',
+                    active: true,
+                    inputTexture: ['texture'],
+                    outputTexture: 'textureOUT',
+                    shaderCode: fragmentShader('return vec4<f32>(1.0 - color.rgb, color.a);')
+                },
+                {
+                    label: 'Gain',
+                    active: true,
+                    inputTexture: ['textureOUT'],
+                    shaderCode: fragmentShader(
+                        'return vec4<f32>(color.rgb * gain, color.a);',
+                        '@group(0) @binding(3) var<uniform> gain: f32;'
+                    )
+                }
+            ],
+            bufferAttachment: {
+                groupIndex: 0,
+                bindingIndex: 3,
+                bindings: {
+                    gain: { type: 'float', value: 2, usage: 'read' }
+                }
+            }
+        }
+    }
+};
+
+// Texture a bind group entry or color attachment view belongs to
+const textureOf = resource => resource.texture;
+
+test('createApp uploads the source and creates textures at the image size', async () => {
+    const { app, device } = await createTestApp(settings);
+
+    try {
+        const textures = Object.fromEntries(
+            device.getCalls('createTexture').map(call => [call.label, call.descriptor.size])
+        );
+        assert.deepEqual(textures.texture, { width: 4, height: 2, depthOrArrayLayers: 1 });
+        assert.deepEqual(textures.textureOUT, { width: 4, height: 2, depthOrArrayLayers: 1 });
+
+        const [upload] = device.getCalls('writeTexture');
+        assert.equal(upload.label, 'texture');
+        assert.deepEqual(upload.result.data, settings.pixels.data);
+        assert.equal(upload.result.dataLayout.bytesPerRow, 16);
+    } finally {
+        await app.dispose();
+    }
+});
+
+test('every pass gets its own pipeline and bind group', async () => {
+    const { app, device } = await createTestApp(settings);
+
+    try {
+        const pipelines = device.getCalls('createRenderPipeline');
+        assert.equal(pipelines.length, 2);
+        for (const { descriptor } of pipelines) {
+            assert.equal(descriptor.vertex.entryPoint, 'vs');
+            assert.equal(descriptor.fragment.entryPoint, 'fs');
+            assert.equal(descriptor.fragment.targets[0].format, 'rgba8unorm');
+        }
+
+        const bindGroups = device.getCalls('createBindGroup').map(call => call.descriptor.entries);
+        assert.equal(bindGroups.length, 2);
+
+        const [invert, gain] = bindGroups.map(entries => Object.fromEntries(
+            entries.map(entry => [entry.binding, entry.resource])
+        ));
+        assert.equal(invert[0].type, 'sampler');
+        assert.equal(textureOf(invert[1]).label, 'texture');
+        assert.equal(textureOf(gain[1]).label, 'textureOUT');
+        assert.equal(gain[3].buffer.label, 'adjust-buffer');
+    } finally {
+        await app.dispose();
+    }
+});
+
+test('renderFrame runs the passes in order and presents the last one', async () => {
+    const { app, device } = await createTestApp(settings);
+
+    try {
+        device.resetCalls();
+        const result = await app.updateOutputCanvas(null, null, {});
+        assert.equal(result.success, true);
+
+        const passes = device.getPasses();
+        assert.deepEqual(passes.map(pass => pass.label), ['Render pass for Invert', 'Render pass for Gain']);
+
+        const [invert, gain] = passes.map(pass => pass.descriptor.colorAttachments[0].view);
+        assert.equal(textureOf(invert).label, 'textureOUT');
+        assert.equal(textureOf(gain).label, 'Headless Canvas Texture');
+
+        for (const pass of passes) {
+            assert.deepEqual(
+                pass.commands.map(command => command.method),
+                ['setViewport', 'setPipeline', 'setBindGroup', 'setVertexBuffer', 'setVertexBuffer', 'draw']
+            );
+            assert.equal(pass.commands.at(-1).args[0], 3);
+        }
+    } finally {
+        await app.dispose();
+    }
+});
+
+test('updateFilterBuffer writes the new uniform value and reruns the filter owning it', async () => {
+    const { app, device } = await createTestApp(settings);
+
+    try {
+        await app.updateOutputCanvas(null, null, {});
+        device.resetCalls();
+
+        await app.updateFilterBuffer('gain', 0.5);
+        const writes = device.getCalls('writeBuffer').filter(call => call.label === 'adjust-buffer');
+        assert.equal(writes.length, 1);
+        assert.equal(new Float32Array(writes[0].result.data.buffer)[0], 0.5);
+
+        await nextFrame();
+        await app.updateOutputCanvas(null, null, {});
+        assert.deepEqual(device.getPasses().map(pass => pass.label), ['Render pass for Invert', 'Render pass for Gain']);
+    } finally {
+        await app.dispose();
+    }
+});
+
+test('a render that misses its deadline with no newer render queued is drawn later', async () => {
+    const { app, device } = await createTestApp({ ...settings, renderDeadline: 10 });
+
+    try {
+        await nextFrame();
+        device.resetCalls();
+
+        // Keeps the queue busy past the deadline
+        const busy = app.queueOperation(() => new Promise(resolve => setTimeout(resolve, 40)), 'high');
+        const result = await app.updateOutputCanvas(null, null, {});
+        await busy;
+
+        assert.deepEqual(result, { success: true, complete: true, error: null });
+        assert.deepEqual(device.getPasses().map(pass => pass.label), ['Render pass for Invert', 'Render pass for Gain']);
+        assert.equal(app.getRenderQueueStatus().stats.timedOut, 1);
+    } finally {
+        await app.dispose();
+    }
+});
+
+test('passes of an update that fails or is aborted run again on the next update', async () => {
+    const { app, device } = await createTestApp(settings);
+    const { filterManager } = app;
+
+    try {
+        await app.updateOutputCanvas(null, null, {});
+        await app.updateFilterBuffer('gain', 0.5);
+
+        // The first pass fails once
+        const executeFilterPass = filterManager.executeFilterPass.bind(filterManager);
+        filterManager.executeFilterPass = () => {
+            filterManager.executeFilterPass = executeFilterPass;
+            return Promise.reject(new Error('pass failed'));
+        };
+        await assert.rejects(filterManager.updateFilters(), { message: 'pass failed' });
+
+        const controller = new AbortController();
+        controller.abort();
+        await assert.rejects(filterManager.updateFilters(false, controller.signal), { name: 'AbortError' });
+
+        device.resetCalls();
+        await filterManager.updateFilters();
+        assert.deepEqual(device.getPasses().map(pass => pass.label), ['Render pass for Invert', 'Render pass for Gain']);
+    } finally {
+        await app.dispose();
+    }
+});
+
+test('createApp rejects a queueAgingInterval that is not a finite number of milliseconds', async () => {
+    for (const queueAgingInterval of [Infinity, -5]) {
+        await assert.rejects(createTestApp({ ...settings, queueAgingInterval }), /Invalid queueAgingInterval/);
+    }
+});
+
+test('a pass writing the texture it reads copies its result to the mip level it wrote', async () => {
+    const { app, device } = await createTestApp({
+        pixels: createPixels(16, 8, () => [10, 20, 30, 255]),
+        textures: {
+            textureHalf: { label: 'textureHalf', scale: 0.5, mipLevelCount: 2 }
+        },
+        filters: {
+            inPlace: {
+                label: 'inPlace',
+                active: true,
+                type: 'fragment',
+                passes: [
+                    {
+                        label: 'Downsample',
+                        active: true,
+                        inputTexture: ['texture'],
+                        outputTexture: 'textureHalf',
+                        shaderCode: fragmentShader('return color;')
+                    },
+                    {
+                        label: 'Invert level 1',
+                        active: true,
+                        inputTexture: ['textureHalf'],
+                        outputTexture: 'textureHalf',
+                        outputMipLevel: 1,
+                        inputMipLevel: 1,
+                        keepOutput: true,
+                        shaderCode: fragmentShader('return vec4<f32>(1.0 - color.rgb, color.a);')
+                    }
+                ],
+                bufferAttachment: {
+                    groupIndex: 0,
+                    bindingIndex: 3,
+                    bindings: {}
+                }
+            }
+        }
+    });
+
+    try {
+        device.resetCalls();
+        await app.updateOutputCanvas(null, null, {});
+
+        const copies = device.submissions
+            .flatMap(commandBuffer => commandBuffer.commands)
+            .filter(command => command.type === 'copyTextureToTexture');
+        assert.equal(copies.length, 1);
+        assert.equal(copies[0].destination.texture.label, 'textureHalf');
+        assert.equal(copies[0].destination.mipLevel, 1);
+        assert.deepEqual(copies[0].copySize, { width: 4, height: 2, depthOrArrayLayers: 1 });
+    } finally {
+        await app.dispose();
+    }
+});
+
+test('the newest render requested during a slow frame is drawn once that frame completes', async () => {
+    const { app } = await createTestApp(settings);
+    const { filterManager } = app;
+
+    try {
+        await nextFrame();
+
+        // The first frame takes longer than the frame interval
+        const updateFilters = filterManager.updateFilters.bind(filterManager);
+        filterManager.updateFilters = async (...args) => {
+            filterManager.updateFilters = updateFilters;
+            await new Promise(resolve => setTimeout(resolve, 30));
+            return updateFilters(...args);
+        };
+
+        const drawn = [];
+        const drawFrame = filterManager.drawFrame.bind(filterManager);
+        filterManager.drawFrame = (drawToCanvas, transformations) => {
+            drawn.push(transformations.frame);
+            return drawFrame(drawToCanvas, transformations);
+        };
+
+        const a = app.updateOutputCanvas(null, { frame: 'A' }, {});
+        await new Promise(resolve => setTimeout(resolve, 10));
+        const [b, c] = ['B', 'C'].map(frame => app.updateOutputCanvas(null, { frame }, {}));
+
+        assert.deepEqual(await a, { success: true, complete: true, error: null });
+        assert.equal((await b).superseded, true);
+        assert.deepEqual(await c, { success: true, complete: true, error: null });
+        assert.deepEqual(drawn, ['A', 'C']);
+    } finally {
+        await app.dispose();
+    }
+});
+
+test('a render between a preview and its refine restores the full resolution', async () => {
+    const { app } = await createTestApp({ ...settings, previewRatio: 0.5, refineDelay: 30 });
+    const { filterManager } = app;
+
+    try {
+        const drawn = [];
+        const drawFrame = filterManager.drawFrame.bind(filterManager);
+        filterManager.drawFrame = (drawToCanvas, transformations) => {
+            drawn.push([transformations.frame, app.canvas.width]);
+            return drawFrame(drawToCanvas, transformations);
+        };
+
+        await nextFrame();
+        await app.updateOutputCanvas(null, { frame: 'preview' }, {}, 'preview');
+        assert.equal(app.ratio, 0.5);
+
+        // A pan redraws within the refine delay
+        await nextFrame();
+        assert.deepEqual(await app.updateOutputCanvas(null, { frame: 'pan' }, {}), {
+            success: true, complete: true, error: null
+        });
+        assert.equal(app.ratio, 1);
+        assert.equal(filterManager.preview, null);
+
+        // The refine of the preview would draw its transformations over the pan
+        await new Promise(resolve => setTimeout(resolve, 60));
+        assert.deepEqual(drawn, [['preview', 2], ['pan', 4]]);
+    } finally {
+        await app.dispose();
+    }
+});
+
+test('createApp configures the render queue from a buildConfig in the settings', async () => {
+    const defaults = getBuildConfig();
+    const buildConfig = {
+        ...defaults,
+        queueOptimizations: { ...defaults.queueOptimizations, debounceDelay: 7, enableDetailedStats: true }
+    };
+    const { app } = await createTestApp({ ...settings, buildConfig });
+
+    try {
+        assert.equal(app.buildConfig, buildConfig);
+        assert.equal(app.filterManager.renderQueue.debounceDelay, 7);
+        assert.ok(app.getRenderQueueStatus().performanceStats);
+    } finally {
+        await app.dispose();
+    }
+});
+
+test('exportImage reads the full resolution after a preview and runs passes changed since the last frame', async () => {
+    const { app, device } = await createTestApp({ ...settings, previewRatio: 0.5, refineDelay: 1000 });
+
+    try {
+        await app.updateOutputCanvas(null, null, {}, 'preview');
+        assert.equal(app.canvas.width, 2);
+
+        const exported = await app.exportImage({ format: 'raw' });
+        assert.equal(exported.width, 4);
+        assert.equal(exported.height, 2);
+        assert.equal(app.filterManager.preview, null);
+
+        // Changed after the last frame, the export reruns the upstream pass
+        await app.updateFilterBuffer('gain', 0.5);
+        device.resetCalls();
+        await app.exportImage({ format: 'raw' });
+        const passes = device.getPasses();
+        assert.equal(passes[0].label, 'Render pass for Invert');
+        assert.equal(textureOf(passes.at(-1).descriptor.colorAttachments[0].view).label, 'Export Texture');
+    } finally {
+        await app.dispose();
+    }
+});
+
+test('exportImage renders at full resolution and restores the ratio set by resize', async () => {
+    const { app } = await createTestApp(settings);
+
+    try {
+        await app.resize(2, 1, true);
+        assert.equal(app.ratio, 0.5);
+
+        const exported = await app.exportImage({ format: 'raw' });
+        assert.equal(exported.width, 4);
+        assert.equal(exported.height, 2);
+        assert.equal(app.ratio, 0.5);
+        assert.equal(app.canvas.width, 2);
+    } finally {
+        await app.dispose();
+    }
+});
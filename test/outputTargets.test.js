@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import HeadlessCanvas from '../src/core/headlessCanvas.js';
+import { createPixels, createTestApp, fragmentShader, nextFrame } from './fixtures.js';
+
+const settings = {
+    pixels: createPixels(8, 4, (x, y) => [x * 30, y * 60, 0, 255]),
+    textures: {
+        textureOUT: { label: 'textureOUT' }
+    },
+    filters: {
+        copy: {
+            label: 'copy',
+            active: true,
+            type: 'fragment',
+            passes: [
+                {
+                    label: 'Copy',
+                    active: true,
+                    inputTexture: ['texture'],
+                    shaderCode: fragmentShader('return color;')
+                }
+            ],
+            bufferAttachment: {
+                groupIndex: 0,
+                bindingIndex: 3,
+                bindings: {}
+            }
+        }
+    }
+};
+
+// Canvas pixels of a target are all screenToImage reads
+const canvas = { width: 100, height: 100 };
+
+test('screenToImage returns source pixels when the image renders at a reduced ratio', async () => {
+    const { app } = await createTestApp(settings);
+
+    try {
+        // Rendered at half the source size, 4x2 texture pixels
+        await app.resize(4, 2, true);
+        assert.equal(app.canvas.width, 4);
+
+        app.addOutputTarget('view', { canvas, transform: { scale: 10 } });
+        assert.deepEqual(app.screenToImage(15, 5, 'view'), { x: 3, y: 1, inside: true });
+        assert.equal(app.screenToImage(45, 5, 'view').inside, false);
+
+        // Rotated a quarter turn clockwise around the texture center (2, 1)
+        app.updateOutputTarget('view', { transform: { rotation: Math.PI / 2 } });
+        const rotated = app.screenToImage(25, 5, 'view');
+        assert.ok(Math.abs(rotated.x - 3) < 1e-9 && Math.abs(rotated.y - 1) < 1e-9, JSON.stringify(rotated));
+
+        // And mirrored
+        app.updateOutputTarget('view', { transform: { flipX: true } });
+        const flipped = app.screenToImage(25, 15, 'view');
+        assert.ok(Math.abs(flipped.x - 3) < 1e-9 && Math.abs(flipped.y - 1) < 1e-9, JSON.stringify(flipped));
+        assert.equal(flipped.inside, true);
+    } finally {
+        await app.dispose();
+    }
+});
+
+test('screenToImage maps a preview frame to source pixels', async () => {
+    const { app } = await createTestApp({ ...settings, previewRatio: 0.5 });
+
+    try {
+        await app.updateOutputCanvas(null, null, {}, 'preview');
+        assert.equal(app.canvas.width, 4);
+
+        // A presentation scaled up to the full-resolution size, as drawFrame does for previews
+        app.addOutputTarget('view', { canvas, transform: { scale: 2 } });
+        assert.deepEqual(app.screenToImage(7, 3, 'view'), { x: 7, y: 3, inside: true });
+    } finally {
+        await app.dispose();
+    }
+});
+
+test('a target keeps drawing after its canvas is swapped', async () => {
+    const { app, device } = await createTestApp(settings);
+
+    try {
+        const first = new HeadlessCanvas(8, 4);
+        app.addOutputTarget('view', { canvas: first });
+        await app.updateOutputCanvas(null, null, {});
+
+        const second = new HeadlessCanvas(16, 8);
+        app.updateOutputTarget('view', { canvas: second });
+        device.resetCalls();
+        await nextFrame();
+        await app.updateOutputCanvas(null, null, {});
+
+        const [placement] = device.getCalls('writeBuffer').filter(call => call.label === 'Output target view placement');
+        assert.equal(placement.result.buffer.destroyed, false);
+
+        const [bindGroup] = device.getCalls('createBindGroup').filter(call => call.label === 'Output target view');
+        assert.equal(bindGroup.descriptor.entries[2].resource.buffer, placement.result.buffer);
+
+        const pass = device.getPasses().find(pass => pass.label === 'Output target view');
+        assert.equal(pass.descriptor.colorAttachments[0].view.texture, second.context.getCurrentTexture());
+    } finally {
+        await app.dispose();
+    }
+});
@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import RenderQueue, { QueueTimeoutError } from '../src/queue/renderQueue.js';
+
+test('an operation past its timeout is aborted and the queue moves on without it after the grace period', async () => {
+    const queue = new RenderQueue({ abortGracePeriod: 20 });
+    const events = [];
+    let hungSignal;
+    let finishHung;
+
+    try {
+        // Ignores its signal and finishes only when the test lets it
+        const hung = queue.queue(signal => {
+            hungSignal = signal;
+            return new Promise(resolve => {
+                finishHung = () => {
+                    events.push('hung finished');
+                    resolve();
+                };
+            });
+        }, 'high', { operation: 'hung', timeout: 20 });
+        const next = queue.queue(() => events.push('next'), 'high', { operation: 'next' });
+
+        await assert.rejects(hung, error => error instanceof QueueTimeoutError && error.reason === 'timeout');
+        assert.equal(hungSignal.aborted, true);
+        assert.ok(hungSignal.reason instanceof QueueTimeoutError);
+
+        await next;
+        assert.deepEqual(events, ['next']);
+        assert.equal(queue.getStatus().stats.timedOut, 1);
+        assert.equal(queue.getStatus().stats.failed, 0);
+
+        finishHung();
+        assert.deepEqual(events, ['next', 'hung finished']);
+    } finally {
+        queue.dispose();
+    }
+});
+
+test('the operation after one past its timeout starts once the aborted one settled', async () => {
+    const queue = new RenderQueue();
+    const events = [];
+
+    // Renders that stop at the next pass once aborted
+    const render = (name, duration) => signal => new Promise((resolve, reject) => {
+        events.push(`${name} started`);
+        const finish = setTimeout(() => {
+            events.push(`${name} finished`);
+            resolve(true);
+        }, duration);
+        signal.addEventListener('abort', () => setTimeout(() => {
+            clearTimeout(finish);
+            events.push(`${name} aborted`);
+            reject(signal.reason);
+        }, 10), { once: true });
+    });
+
+    try {
+        const slow = queue.queue(render('slow', 1000), 'high', { operation: 'slow', timeout: 20 });
+        const next = queue.queue(render('next', 5), 'high', { operation: 'next' });
+
+        await assert.rejects(slow, { name: 'TimeoutError', reason: 'timeout' });
+        assert.equal(await next, true);
+        assert.deepEqual(events, ['slow started', 'slow aborted', 'next started', 'next finished']);
+    } finally {
+        queue.dispose();
+    }
+});
+
+test('a running operation receives the abort of the signal it was queued with', async () => {
+    const queue = new RenderQueue();
+    const controller = new AbortController();
+
+    try {
+        const running = queue.queue(signal => new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+            controller.abort();
+        }), 'high', { signal: controller.signal });
+
+        await assert.rejects(running, { name: 'AbortError' });
+    } finally {
+        queue.dispose();
+    }
+});
+
+test('agingInterval must be a finite number of milliseconds', () => {
+    for (const agingInterval of [Infinity, -1, NaN, '100']) {
+        assert.throws(() => new RenderQueue({ agingInterval }), /Invalid agingInterval/);
+    }
+    new RenderQueue({ agingInterval: 0 }).dispose();
+});
+
+test('abortGracePeriod must be a finite number of milliseconds', () => {
+    for (const abortGracePeriod of [Infinity, -1, NaN]) {
+        assert.throws(() => new RenderQueue({ abortGracePeriod }), /Invalid abortGracePeriod/);
+    }
+});
@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import ShaderPreprocessor from '../src/utils/shaderPreprocessor.js';
+
+test('#include expands a file once and maps every line back to its source', async () => {
+    const preprocessor = new ShaderPreprocessor();
+    preprocessor.registerFile('common.wgsl', 'const PI = 3.14159;\nfn square(x: f32) -> f32 { return x * x; }');
+
+    const { code, sourceMap } = await preprocessor.process(
+        '#include "common.wgsl"\n#include "common.wgsl"\nfn main() {}',
+        { file: 'main.wgsl' }
+    );
+
+    assert.equal(code, 'const PI = 3.14159;\nfn square(x: f32) -> f32 { return x * x; }\nfn main() {}');
+    assert.deepEqual(sourceMap, [
+        { file: 'common.wgsl', line: 1 },
+        { file: 'common.wgsl', line: 2 },
+        { file: 'main.wgsl', line: 3 }
+    ]);
+});
+
+test('includes resolve relative to the including file through loadFile', async () => {
+    const requested = [];
+    const preprocessor = new ShaderPreprocessor({
+        loadFile: async url => {
+            requested.push(url);
+            return url.endsWith('color.wgsl') ? '#include "../math.wgsl"\nfn color() {}' : 'fn math() {}';
+        }
+    });
+
+    const { code } = await preprocessor.process('#include "lib/color.wgsl"', { file: 'shaders/main.wgsl' });
+
+    assert.deepEqual(requested, ['shaders/lib/color.wgsl', 'shaders/lib/../math.wgsl']);
+    assert.equal(code, 'fn math() {}\nfn color() {}');
+});
+
+test('#define values replace whole words and conditionals follow the defines', async () => {
+    const preprocessor = new ShaderPreprocessor();
+    const source = [
+        '#define RADIUS 4',
+        'let r = RADIUS + RADIUS_MAX;',
+        '#ifdef USE_LUT',
+        'let lut = true;',
+        '#else',
+        'let lut = false;',
+        '#endif',
+        '#ifndef DISABLED',
+        'let enabled = SCALE;',
+        '#endif',
+        '#undef RADIUS',
+        '#ifdef RADIUS',
+        'let unreachable = 1;',
+        '#endif'
+    ].join('\n');
+
+    const { code } = await preprocessor.process(source, { defines: { USE_LUT: true, DISABLED: false, SCALE: 0.5 } });
+
+    assert.equal(code, 'let r = 4 + RADIUS_MAX;\nlet lut = true;\nlet enabled = 0.5;');
+});
+
+test('directives inside an inactive branch are skipped', async () => {
+    const preprocessor = new ShaderPreprocessor({
+        loadFile: () => Promise.reject(new Error('must not be loaded'))
+    });
+
+    const { code } = await preprocessor.process([
+        '#ifdef DEBUG',
+        '#include "debug.wgsl"',
+        '#define LEVEL 2',
+        '#endif',
+        'let level = LEVEL;'
+    ].join('\n'));
+
+    assert.equal(code, 'let level = LEVEL;');
+});
+
+test('malformed directives and includes are reported with their location', async () => {
+    const preprocessor = new ShaderPreprocessor({
+        loadFile: () => Promise.reject(new Error('HTTP 404'))
+    });
+    const process = source => preprocessor.process(source, { file: 'main.wgsl' });
+
+    await assert.rejects(process('#pragma once'), { message: 'Unknown directive #pragma at main.wgsl:1' });
+    await assert.rejects(process('fn a() {}\n#else'), { message: 'Unexpected #else at main.wgsl:2' });
+    await assert.rejects(process('#ifdef A\n#else\n#else\n#endif'), { message: 'Unexpected #else at main.wgsl:3' });
+    await assert.rejects(process('#endif'), { message: 'Unexpected #endif at main.wgsl:1' });
+    await assert.rejects(process('#ifdef A\nfn a() {}'), { message: 'Unterminated conditional opened at main.wgsl:1' });
+    await assert.rejects(process('#define 1X'), { message: 'Invalid #define at main.wgsl:1' });
+    await assert.rejects(process('#ifdef A B'), { message: 'Invalid #ifdef at main.wgsl:1' });
+    await assert.rejects(process('#include <lib.wgsl>'), /^Error: Invalid #include at main.wgsl:1/);
+    await assert.rejects(process('#include "missing.wgsl"'), {
+        message: 'Failed to #include "missing.wgsl" at main.wgsl:1: HTTP 404'
+    });
+});
+
+test('circular includes are rejected with the include chain', async () => {
+    const preprocessor = new ShaderPreprocessor();
+    preprocessor.registerFile('a.wgsl', '#include "b.wgsl"');
+    preprocessor.registerFile('b.wgsl', '#include "a.wgsl"');
+
+    await assert.rejects(
+        preprocessor.process('#include "b.wgsl"', { file: 'a.wgsl' }),
+        { message: 'Circular #include of a.wgsl: a.wgsl -> b.wgsl -> a.wgsl' }
+    );
+});
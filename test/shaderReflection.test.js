@@ -0,0 +1,158 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MockGPU } from './fixtures.js';
+import ShaderReflection from '../src/utils/shaderReflection.js';
+
+const shader = `
+struct Params { gain: f32 };
+
+// @group(9) @binding(9) var commented: sampler;
+/* @group(9) @binding(8) var<uniform> alsoCommented: Params; */
+@group(1) @binding(0) var<storage, read_write> histogram: array<atomic<u32>, 256>;
+@group(0) @binding(3) var<uniform> params: Params;
+@group(0) @binding(1) var lut: texture_3d<f32>;
+@group(0) @binding(0) var inputSampler: sampler;
+@group(0)
+@binding(2)
+var image: texture_2d<f32>;
+@group(0) @binding(4) var depth: texture_depth_multisampled_2d;
+@group(0) @binding(5) var output: texture_storage_2d<rgba16float, write>;
+@group(0) @binding(6) var shadowSampler: sampler_comparison;
+@group(0) @binding(7) var<storage, read> counts: array<u32>;
+@group(0) @binding(8) var ids: texture_2d_array<u32>;
+var<private> scratch: f32;
+`;
+
+test('reflect lists every bound resource sorted by group and binding, without comments', () => {
+    const bindings = ShaderReflection.reflect(shader);
+
+    assert.deepEqual(bindings.map(({ group, binding, name }) => `${group}.${binding} ${name}`), [
+        '0.0 inputSampler', '0.1 lut', '0.2 image', '0.3 params', '0.4 depth',
+        '0.5 output', '0.6 shadowSampler', '0.7 counts', '0.8 ids', '1.0 histogram'
+    ]);
+
+    const byName = Object.fromEntries(bindings.map(({ name, group, binding, ...rest }) => [name, rest]));
+    assert.deepEqual(byName.inputSampler, { type: 'sampler', kind: 'sampler', samplerType: 'filtering' });
+    assert.deepEqual(byName.shadowSampler, { type: 'sampler_comparison', kind: 'sampler', samplerType: 'comparison' });
+    assert.deepEqual(byName.lut, {
+        type: 'texture_3d<f32>', kind: 'texture', sampleType: 'float', viewDimension: '3d', multisampled: false
+    });
+    assert.deepEqual(byName.ids, {
+        type: 'texture_2d_array<u32>', kind: 'texture', sampleType: 'uint', viewDimension: '2d-array', multisampled: false
+    });
+    assert.deepEqual(byName.depth, {
+        type: 'texture_depth_multisampled_2d', kind: 'texture', sampleType: 'depth', viewDimension: '2d', multisampled: true
+    });
+    assert.deepEqual(byName.output, {
+        type: 'texture_storage_2d<rgba16float, write>',
+        kind: 'storageTexture',
+        viewDimension: '2d',
+        format: 'rgba16float',
+        access: 'write-only'
+    });
+    assert.equal(byName.params.bufferType, 'uniform');
+    assert.equal(byName.counts.bufferType, 'read-only-storage');
+    assert.equal(byName.histogram.bufferType, 'storage');
+});
+
+test('unsupported address spaces and resource types are rejected', () => {
+    assert.throws(
+        () => ShaderReflection.reflect('@group(0) @binding(0) var<workgroup> tile: array<f32, 64>;'),
+        /Unsupported address space <workgroup>/
+    );
+    assert.throws(
+        () => ShaderReflection.reflect('@group(0) @binding(0) var video: texture_external;'),
+        /Unsupported resource type texture_external/
+    );
+});
+
+test('matchResources binds textures, samplers and the uniform buffer of a pass by name and order', () => {
+    const pass = {
+        label: 'Grade',
+        inputTexture: ['texture', 'lutTexture'],
+        textureSamplers: { lutTexture: { filter: 'nearest' } },
+        sampler: { filter: 'linear' },
+        shaderBindings: ShaderReflection.reflect(`
+            @group(0) @binding(0) var inputSampler: sampler;
+            @group(0) @binding(1) var image: texture_2d<f32>;
+            @group(0) @binding(2) var lutTexture: texture_3d<f32>;
+            @group(0) @binding(3) var<uniform> params: Params;
+            @group(0) @binding(4) var lutTextureSampler: sampler;
+        `)
+    };
+    const filter = { label: 'grade', type: 'fragment', bufferAttachment: { bindings: { gain: { type: 'float', value: 1 } } } };
+
+    const resources = Object.fromEntries(
+        ShaderReflection.matchResources(filter, pass).map(({ name, resource }) => [name, resource])
+    );
+
+    assert.deepEqual(resources, {
+        inputSampler: { sampler: { filter: 'linear' } },
+        image: { texture: 'texture' },
+        lutTexture: { texture: 'lutTexture' },
+        params: { buffer: 'uniform' },
+        lutTextureSampler: { sampler: { filter: 'nearest' } }
+    });
+});
+
+test('resourceBindings override matching and unmatched bindings are reported', () => {
+    const filter = { label: 'mix', type: 'fragment' };
+    const shaderBindings = ShaderReflection.reflect(`
+        @group(0) @binding(1) var base: texture_2d<f32>;
+        @group(0) @binding(2) var overlay: texture_2d<f32>;
+        @group(1) @binding(0) var<uniform> extra: Params;
+    `);
+
+    const matched = ShaderReflection.matchResources(filter, {
+        label: 'Mix',
+        inputTexture: ['texture'],
+        resourceBindings: { overlay: 'textureOverlay', extra: { buffer: 'params' } },
+        shaderBindings
+    });
+    assert.deepEqual(matched.map(binding => binding.resource), [
+        { texture: 'texture' }, { texture: 'textureOverlay' }, { buffer: 'params' }
+    ]);
+
+    assert.throws(
+        () => ShaderReflection.matchResources(filter, { label: 'Mix', inputTexture: ['texture'], shaderBindings }),
+        {
+            message: 'No resource for shader binding(s) @group(0) @binding(2) overlay: texture_2d<f32>, ' +
+                '@group(1) @binding(0) extra: Params in pass "Mix" of filter "mix". ' +
+                'Add them to pass.resourceBindings or pass.inputTexture'
+        }
+    );
+});
+
+test('createLayoutEntries groups entries and picks sampler and texture types from their resources', async () => {
+    const device = await (await new MockGPU().requestAdapter()).requestDevice();
+    const textures = { textureFloat: { format: 'rgba32float' }, texture: { format: 'rgba8unorm' } };
+    const textureManager = { device, getTexture: key => textures[key] };
+    const filter = { label: 'blur', type: 'fragment' };
+
+    const matched = ShaderReflection.matchResources(filter, {
+        label: 'Blur',
+        inputTexture: ['texture', 'textureFloat'],
+        sampler: { filter: 'nearest' },
+        shaderBindings: ShaderReflection.reflect(`
+            @group(0) @binding(0) var pointSampler: sampler;
+            @group(0) @binding(1) var image: texture_2d<f32>;
+            @group(0) @binding(2) var weights: texture_2d<f32>;
+            @group(2) @binding(0) var output: texture_storage_2d<rgba8unorm, write>;
+        `),
+        resourceBindings: { output: 'textureOUT' }
+    });
+    const groups = ShaderReflection.createLayoutEntries(matched, { filter, textureManager });
+
+    assert.equal(groups.length, 3);
+    assert.deepEqual(groups[1], []);
+    const [sampler, image, weights] = groups[0];
+    assert.deepEqual(sampler.sampler, { type: 'non-filtering' });
+    assert.equal(sampler.visibility, GPUShaderStage.VERTEX | GPUShaderStage.FRAGMENT);
+    assert.equal(image.texture.sampleType, 'float');
+    assert.equal(weights.texture.sampleType, 'unfilterable-float');
+    assert.deepEqual(groups[2][0], {
+        binding: 0,
+        visibility: GPUShaderStage.FRAGMENT,
+        storageTexture: { access: 'write-only', format: 'rgba8unorm', viewDimension: '2d' }
+    });
+});
@@ -0,0 +1,162 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MockGPU, createPixels, createTestApp, fragmentShader } from './fixtures.js';
+
+const settings = {
+    pixels: createPixels(10, 6, (x, y) => [x * 25, y * 40, 64, 255]),
+    textures: {
+        textureOUT: { label: 'textureOUT' }
+    },
+    filters: {
+        copy: {
+            label: 'copy',
+            active: true,
+            type: 'fragment',
+            passes: [
+                {
+                    label: 'Copy',
+                    active: true,
+                    inputTexture: ['texture'],
+                    shaderCode: fragmentShader('return color;')
+                }
+            ],
+            bufferAttachment: {
+                groupIndex: 0,
+                bindingIndex: 3,
+                bindings: {}
+            }
+        }
+    }
+};
+
+test('tiled export is one queue operation, renders requested meanwhile run after it', async () => {
+    const { app } = await createTestApp(settings);
+
+    try {
+        const events = [];
+        const exported = app.exportTiled({
+            format: 'raw',
+            tileSize: 4,
+            onProgress: ({ completed, total }) => {
+                events.push(`tile ${completed}/${total}`);
+                assert.equal(app.getRenderQueueStatus().currentOperation.metadata.tile, completed - 1);
+            }
+        });
+        const rendered = app.updateOutputCanvas(null, null, {}).then(() => events.push('render'));
+
+        const pixels = await exported;
+        await rendered;
+
+        assert.equal(pixels.width, 10);
+        assert.equal(pixels.height, 6);
+        assert.deepEqual(events, ['tile 1/6', 'tile 2/6', 'tile 3/6', 'tile 4/6', 'tile 5/6', 'tile 6/6', 'render']);
+    } finally {
+        await app.dispose();
+    }
+});
+
+test('pixel sources beyond the texture size limit are shown downscaled and exported in full', async () => {
+    const pixels = createPixels(16, 8, (x, y) => [x * 10, y * 20, (x % 2) * 100, 255]);
+    const gpu = new MockGPU({ limits: { maxTextureDimension2D: 8 } });
+    const { app, device } = await createTestApp({ ...settings, pixels }, { gpu });
+
+    try {
+        // Scaled by half to fit, every texel averages a 2x2 block of the source
+        const texture = device.getCalls('createTexture').find(call => call.label === 'texture');
+        assert.deepEqual(texture.descriptor.size, { width: 8, height: 4, depthOrArrayLayers: 1 });
+
+        const [upload] = device.getCalls('writeTexture');
+        assert.deepEqual(upload.result.size, { width: 8, height: 4, depthOrArrayLayers: 1 });
+        assert.equal(upload.result.dataLayout.bytesPerRow, 32);
+        assert.deepEqual(
+            upload.result.data,
+            createPixels(8, 4, (x, y) => [20 * x + 5, 40 * y + 10, 50, 255]).data
+        );
+
+        device.resetCalls();
+        const exported = await app.exportTiled({ format: 'raw' });
+        assert.equal(exported.width, 16);
+        assert.equal(exported.height, 8);
+
+        // Textures recreated at the tile size, two tiles uploaded at full resolution, then the
+        // display textures restored
+        const uploads = device.getCalls('writeTexture').filter(call => call.label === 'texture');
+        assert.deepEqual(uploads.map(call => [call.result.size.width, call.result.size.height]), [
+            [8, 8], [8, 8], [8, 8], [8, 4]
+        ]);
+        for (const [index, tile] of uploads.slice(1, 3).entries()) {
+            const offset = index * 8;
+            assert.deepEqual(tile.result.data, createPixels(8, 8, (x, y) => [
+                (x + offset) * 10, y * 20, ((x + offset) % 2) * 100, 255
+            ]).data);
+        }
+    } finally {
+        await app.dispose();
+    }
+});
+
+test('an aborted export rejects with the abort even when restoring the textures fails', async () => {
+    const { app } = await createTestApp(settings);
+    const controller = new AbortController();
+
+    // Restoring the display textures after the export fails
+    const recreateResources = app.recreateResources.bind(app);
+    let recreated = 0;
+    app.recreateResources = () => ++recreated === 2 ?
+        Promise.reject(new Error('device lost')) :
+        recreateResources();
+
+    try {
+        await assert.rejects(
+            app.exportTiled({
+                format: 'raw',
+                tileSize: 4,
+                onProgress: () => controller.abort(),
+                signal: controller.signal
+            }),
+            { name: 'AbortError' }
+        );
+        assert.equal(recreated, 2);
+        assert.deepEqual(app.image, settings.pixels);
+        assert.equal(app.ratio, 1);
+    } finally {
+        await app.dispose();
+    }
+});
+
+test('exports requested during a render run after it without dropping other queued operations', async () => {
+    const { app } = await createTestApp(settings);
+    const { filterManager } = app;
+
+    try {
+        // The frame is still rendering when the exports are requested
+        const updateFilters = filterManager.updateFilters.bind(filterManager);
+        filterManager.updateFilters = async (...args) => {
+            filterManager.updateFilters = updateFilters;
+            await new Promise(resolve => setTimeout(resolve, 30));
+            return updateFilters(...args);
+        };
+
+        const events = [];
+        const rendering = app.updateOutputCanvas(null, null, {}).then(() => events.push('render'));
+        await new Promise(resolve => setTimeout(resolve, 10));
+
+        const image = app.exportImage({ format: 'raw' }).then(pixels => {
+            events.push('exportImage');
+            return pixels;
+        });
+        const tiled = app.exportTiled({ format: 'raw', tileSize: 4 }).then(pixels => {
+            events.push('exportTiled');
+            return pixels;
+        });
+        const task = app.queueOperation(() => events.push('task'), 'normal');
+
+        const [, exported, stitched] = await Promise.all([rendering, image, tiled, task]);
+        assert.deepEqual(events.sort(), ['exportImage', 'exportTiled', 'render', 'task']);
+        assert.equal(exported.width, 10);
+        assert.equal(stitched.width, 10);
+        assert.equal(stitched.height, 6);
+    } finally {
+        await app.dispose();
+    }
+});